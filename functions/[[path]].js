@@ -1,5 +1,25 @@
 import yaml from 'js-yaml';
-import { StorageFactory, DataMigrator, STORAGE_TYPES } from './storage-adapter.js';
+import { StorageFactory, DataMigrator, STORAGE_TYPES, canonicalStringify } from './storage-adapter.js';
+import { MIGRATIONS, LATEST_SCHEMA_VERSION, readMigrationState, listMigrationBackups, runMigrations, ensureDataMigrated } from './data-migrations.js';
+import { NODE_LINK_REGEX, getNodeName, getNodeDisplayName, getNodeProtocol, normalizeProtocol, normalizeNodeLink, prependNodeName, setNodeName } from '../src/shared/node-parser.js';
+import { compileRenameRules, renameNodeLink } from '../src/shared/rename-rules.js';
+import { detectRegion, getRegionOrder, formatRegionNames } from '../src/shared/regions.js';
+import { readSubscriptionCache, isSubscriptionCacheFresh, writeSubscriptionCache, markSubscriptionCacheStale, getSubscriptionCacheStatus } from './subscription-cache.js';
+import { fetchSubscription, createFetchLimiter, buildSubscriptionHeaders, DEFAULT_SUBSCRIPTION_USER_AGENT } from './subscription-fetcher.js';
+import { aggregateUserInfo, formatUserInfoHeader } from './subscription-userinfo.js';
+import { createSubscriptionSnapshot, readSubscriptionHistory, appendSubscriptionHistory } from './subscription-history.js';
+import { matchResourceRoute, handleResourceRequest } from './resource-api.js';
+import { forecastUsage, shouldWarnDepletion } from './usage-forecast.js';
+import { diffNodeLinks, detectNodeChangeReasons, readNodeBaseline, writeNodeBaseline } from './subscription-changes.js';
+import { sendNotification, sendToChannel, hasNotificationChannel } from './notifications.js';
+import { BOT_COMMANDS, getTelegramBot, getTelegramWebhookSecret, callTelegramApi, parseCommand, runBotCommand } from './telegram-bot.js';
+import { writeAccessLog, pruneAccessLogs, queryAccessLogs } from './access-log.js';
+import { readAccessNotifyState, writeAccessNotifyState, throttleAccess, addAccessToDigest, mergeAccessDigests, isAccessDigestDue, buildAccessDigestData, throttleAccessInD1, addAccessToDigestInD1, readAccessDigestFromD1, pruneAccessNotifyEvents } from './access-notify.js';
+import { getNotificationFormatter } from '../src/shared/notification-templates.js';
+import { formatBytes } from '../src/shared/format.js';
+import { generateClashConfig } from './clash-generator.js';
+import { generateSingboxConfig } from './singbox-generator.js';
+import { generateSurgeConfig, generateLoonConfig, generateQuanxConfig } from './client-generators.js';
 
 /**
  * 修复Clash配置中的WireGuard问题
@@ -34,6 +54,8 @@ const OLD_KV_KEY = 'misub_data_v1';
 const KV_KEY_SUBS = 'misub_subscriptions_v1';
 const KV_KEY_PROFILES = 'misub_profiles_v1';
 const KV_KEY_SETTINGS = 'worker_settings_v1';
+// 数据迁移读写的存储键 (见 data-migrations.js)
+const MIGRATION_KEYS = { subs: KV_KEY_SUBS, profiles: KV_KEY_PROFILES, settings: KV_KEY_SETTINGS, legacy: OLD_KV_KEY };
 const COOKIE_NAME = 'auth_session';
 const SESSION_DURATION = 8 * 60 * 60 * 1000;
 
@@ -65,6 +87,42 @@ function hasDataChanged(oldData, newData) {
     return calculateDataHash(oldData) !== calculateDataHash(newData);
 }
 
+// 由后端刷新节点数、定时任务或通知维护的订阅字段，不计入数据版本号
+const SERVER_MAINTAINED_FIELDS = ['nodeCount', 'userInfo', 'conversionErrors', 'usageForecast', 'cacheStatus', 'lastNotifiedExpire', 'lastNotifiedTraffic', 'lastNotifiedDepletion'];
+
+/**
+ * 计算订阅与订阅组数据的版本号 (内容的 SHA-256 摘要)，用于保存时检测并发修改
+ * 只有用户可编辑的内容参与计算：前端保存与 REST 接口的修改会使其变化，
+ * 刷新节点数、批量更新与定时任务只改写 SERVER_MAINTAINED_FIELDS，不会让打开的页面在下次保存时误报冲突
+ * @param {Object[]} misubs
+ * @param {Object[]} profiles
+ * @returns {Promise<string>}
+ */
+async function calculateDataRevision(misubs, profiles) {
+    const editableMisubs = (misubs || []).map(sub => Object.fromEntries(
+        Object.entries(sub).filter(([field]) => !SERVER_MAINTAINED_FIELDS.includes(field))
+    ));
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalStringify({ misubs: editableMisubs, profiles })));
+    return Array.from(new Uint8Array(digest).slice(0, 8)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 保存订阅列表时沿用已存储的 SERVER_MAINTAINED_FIELDS (按 id 对应)
+ * 这些字段不参与版本号，刷新前打开的页面仍能通过版本检查，不能让它写回过期的节点数、流量与通知时间
+ * @param {Object[]} misubs - 请求中的订阅列表，会被直接修改
+ * @param {Object[]} currentMisubs - 已存储的订阅列表
+ */
+function preserveServerMaintainedFields(misubs, currentMisubs) {
+    const currentById = new Map(currentMisubs.filter(sub => sub?.id).map(sub => [sub.id, sub]));
+    misubs.forEach(sub => {
+        const current = sub?.id && currentById.get(sub.id);
+        if (!current) return;
+        SERVER_MAINTAINED_FIELDS.forEach(field => {
+            if (field in current) sub[field] = current[field];
+        });
+    });
+}
+
 /**
  * 条件性写入KV存储，只在数据真正变更时写入
  * @param {Object} env - Cloudflare环境对象
@@ -188,38 +246,6 @@ async function getStorageAdapter(env) {
     return StorageFactory.createAdapter(env, storageType);
 }
 
-/**
- * 处理配置的向后兼容性，确保新的前缀配置结构存在
- * @param {Object} config - 原始配置对象
- * @returns {Object} - 处理后的配置对象
- */
-function migrateConfigSettings(config) {
-    const migratedConfig = { ...config };
-    
-    // 如果没有新的 prefixConfig，但有老的 prependSubName，则创建默认的 prefixConfig
-    if (!migratedConfig.prefixConfig) {
-        const fallbackEnabled = migratedConfig.prependSubName ?? true;
-        migratedConfig.prefixConfig = {
-            enableManualNodes: fallbackEnabled,
-            enableSubscriptions: fallbackEnabled,
-            manualNodePrefix: '手动节点'
-        };
-    }
-    
-    // 确保 prefixConfig 的所有字段都存在
-    if (!migratedConfig.prefixConfig.hasOwnProperty('enableManualNodes')) {
-        migratedConfig.prefixConfig.enableManualNodes = migratedConfig.prependSubName ?? true;
-    }
-    if (!migratedConfig.prefixConfig.hasOwnProperty('enableSubscriptions')) {
-        migratedConfig.prefixConfig.enableSubscriptions = migratedConfig.prependSubName ?? true;
-    }
-    if (!migratedConfig.prefixConfig.hasOwnProperty('manualNodePrefix')) {
-        migratedConfig.prefixConfig.manualNodePrefix = '手动节点';
-    }
-    
-    return migratedConfig;
-}
-
 // --- [新] 默认设置中增加通知阈值和存储类型 ---
 const defaultSettings = {
   FileName: 'MiSub',
@@ -235,72 +261,47 @@ const defaultSettings = {
   },
   NotifyThresholdDays: 3,
   NotifyThresholdPercent: 90,
+  NotifyDepletionDays: 5, // 预计在该天数内耗尽且早于到期时提醒，0 表示关闭
+  NotifyNodeDropPercent: 30, // 定时刷新时节点数减少达到该比例则提醒，0 表示关闭 (节点归零始终提醒)
+  NotifyNodeChangePercent: 50, // 新增与移除的节点数之和占原节点数达到该比例则提醒，0 表示关闭
+  singboxRoute: '', // 自定义 sing-box route 段 (JSON)，留空使用内置规则
+  subscriptionCacheTtl: 10, // 上游订阅缓存有效期 (分钟)，0 表示每次都请求上游，仅在失败时回退到缓存
+  userInfoAggregation: 'sum', // 输出 subscription-userinfo 时的合并方式：'sum' 累加流量 / 'earliest' 取最早到期的订阅
+  profileUpdateInterval: 24, // profile-update-interval 响应头 (小时)，0 表示不输出
+  enableTrafficNode: true, // 是否在节点列表最前面插入「流量剩余」信息节点
+  notificationTemplates: {}, // 各事件的自定义通知模板，未设置的事件使用默认模板
+  notificationLocale: 'zh-CN', // 通知中日期时间的语言区域
+  notificationTimeZone: 'Asia/Shanghai', // 通知中日期时间的时区
+  accessNotifyMode: 'instant', // 订阅访问通知：'instant' 每次访问发送 / 'digest' 定时汇总 / 'off' 关闭
+  accessNotifyIpWindow: 60, // 即时模式下同一 IP 在该时间内 (分钟) 只通知一次，0 表示不限制
+  accessNotifyProfileWindow: 0, // 即时模式下同一订阅组在该时间内 (分钟) 只通知一次，0 表示不限制
+  accessDigestInterval: 'hourly', // 汇总模式的发送周期：'hourly' / 'daily'
+  accessLogEnabled: true, // 是否把订阅访问记录写入 D1 (需绑定 MISUB_DB)
+  accessLogRetentionDays: 30, // 访问日志保留天数，0 表示不按时间清理
+  accessLogMaxRows: 10000, // 访问日志最多保留的条数，0 表示不限制
   storageType: 'kv' // 新增：数据存储类型，默认 KV，可选 'd1'
 };
 
-const formatBytes = (bytes, decimals = 2) => {
-  if (!+bytes || bytes < 0) return '0 B';
-  const k = 1024;
-  const dm = decimals < 0 ? 0 : decimals;
-  const sizes = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
-  // toFixed(dm) after dividing by pow(k, i) was producing large decimal numbers
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  if (i < 0) return '0 B'; // Handle log(0) case
-  return `${parseFloat((bytes / Math.pow(k, i)).toFixed(dm))} ${sizes[i]}`;
-};
-
-// --- TG 通知函式 (无修改) ---
-async function sendTgNotification(settings, message) {
-  if (!settings.BotToken || !settings.ChatID) {
-    return false;
-  }
-  
-  // 为所有消息添加时间戳
-  const now = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
-  const fullMessage = `${message}\n\n*时间:* \`${now} (UTC+8)\``;
-  
-  const url = `https://api.telegram.org/bot${settings.BotToken}/sendMessage`;
-  const payload = { 
-    chat_id: settings.ChatID, 
-    text: fullMessage, 
-    parse_mode: 'Markdown',
-    disable_web_page_preview: true // 禁用链接预览，使消息更紧凑
-  };
-  
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-    if (response.ok) {
-      return true;
-    } else {
-      return false;
-    }
-  } catch (error) {
-    return false;
-  }
-}
-
 /**
- * 增强版TG通知，包含IP地理位置信息
+ * 订阅被访问通知，附带客户端 IP 的地理位置信息
  * @param {Object} settings - 设置对象
- * @param {string} type - 通知类型
  * @param {string} clientIp - 客户端IP
- * @param {string} additionalData - 额外数据
+ * @param {Object} data - 访问信息 (domain、userAgent、format、profile、profileExpire)
  * @returns {Promise<boolean>} - 是否发送成功
  */
-async function sendEnhancedTgNotification(settings, type, clientIp, additionalData = '') {
-  if (!settings.BotToken || !settings.ChatID) {
+async function sendAccessNotification(settings, clientIp, data = {}) {
+  // 没有渠道接收访问通知时，不必查询 IP 信息
+  if (!hasNotificationChannel(settings, 'access')) {
     return false;
   }
   
-  let locationInfo = '';
+  const location = { country: '', city: '', isp: '', asn: '' };
   
-  // 尝试获取IP地理位置信息
+  // 尝试获取IP地理位置信息，语言跟随通知的语言区域
   try {
-    const response = await fetch(`http://ip-api.com/json/${clientIp}?lang=zh-CN`, {
+    const { locale } = getNotificationFormatter(settings);
+    const lang = locale.startsWith('zh') ? 'zh-CN' : ['ja', 'ru', 'de', 'fr', 'es'].find(code => locale.startsWith(code)) || 'en';
+    const response = await fetch(`http://ip-api.com/json/${clientIp}?lang=${lang}`, {
       cf: { 
         // 设置较短的超时时间，避免影响主请求
         timeout: 3000 
@@ -310,48 +311,103 @@ async function sendEnhancedTgNotification(settings, type, clientIp, additionalDa
     if (response.ok) {
       const ipInfo = await response.json();
       if (ipInfo.status === 'success') {
-        locationInfo = `
-*国家:* \`${ipInfo.country || 'N/A'}\`
-*城市:* \`${ipInfo.city || 'N/A'}\`
-*ISP:* \`${ipInfo.org || 'N/A'}\`
-*ASN:* \`${ipInfo.as || 'N/A'}\``;
+        location.country = ipInfo.country || 'N/A';
+        location.city = ipInfo.city || 'N/A';
+        location.isp = ipInfo.org || 'N/A';
+        location.asn = ipInfo.as || 'N/A';
       }
     }
   } catch (error) {
     // 获取IP位置信息失败，忽略错误
   }
   
-  // 构建完整消息
-  const now = new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
-  const message = `${type}
-
-*IP 地址:* \`${clientIp}\`${locationInfo}
+  return sendNotification(settings, 'access', { clientIp, ...location, ...data });
+}
 
-${additionalData}
+/**
+ * 处理一次订阅访问：按访问通知模式立即发送 (可节流) 或累计到汇总
+ * 绑定 D1 时访问记录写入 D1，否则读写 KV 中的访问通知状态
+ * @param {Object} storageAdapter
+ * @param {D1Database|undefined} db
+ * @param {Object} settings - 合并默认值后的设置
+ * @param {string} clientIp
+ * @param {Object} accessData - 访问信息，见 sendAccessNotification
+ * @param {string} profileKey - 订阅组 ID，未使用订阅组时为空字符串
+ */
+async function notifyAccess(storageAdapter, db, settings, clientIp, accessData, profileKey) {
+  const mode = settings.accessNotifyMode || 'instant';
+  if (mode === 'off' || !hasNotificationChannel(settings, 'access')) {
+    return;
+  }
 
-*时间:* \`${now} (UTC+8)\``;
-  
-  const url = `https://api.telegram.org/bot${settings.BotToken}/sendMessage`;
-  const payload = { 
-    chat_id: settings.ChatID, 
-    text: message, 
-    parse_mode: 'Markdown',
-    disable_web_page_preview: true
+  const windows = {
+    ipWindow: Number(settings.accessNotifyIpWindow) || 0,
+    profileWindow: Number(settings.accessNotifyProfileWindow) || 0
   };
-  
+  if (mode === 'instant' && windows.ipWindow === 0 && windows.profileWindow === 0) {
+    await sendAccessNotification(settings, clientIp, accessData);
+    return;
+  }
+
+  const access = { clientIp, profileKey, profile: accessData.profile, userAgent: accessData.userAgent };
   try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-    if (response.ok) {
-      return true;
-    } else {
-      return false;
+    if (db) {
+      if (mode === 'digest') {
+        await addAccessToDigestInD1(db, access);
+        return;
+      }
+      if (await throttleAccessInD1(db, access, windows)) {
+        return;
+      }
+      await sendAccessNotification(settings, clientIp, accessData);
+      return;
     }
-  } catch (error) {
-    return false;
+    const state = await readAccessNotifyState(storageAdapter);
+    if (mode === 'digest') {
+      addAccessToDigest(state, access);
+      await writeAccessNotifyState(storageAdapter, state);
+      return;
+    }
+    if (throttleAccess(state, access, windows)) {
+      return;
+    }
+    await writeAccessNotifyState(storageAdapter, state);
+  } catch (e) {
+    console.warn(`[Notify] 访问通知状态读写失败: ${e.message}`);
+  }
+  await sendAccessNotification(settings, clientIp, accessData);
+}
+
+/**
+ * 定时任务中发送到期的访问汇总
+ * 切换出汇总模式后，已累计的访问仍会在下一个周期发出
+ * 绑定 D1 时汇总由 D1 中的访问记录统计 (并入 KV 中尚未发送的旧汇总)，发送时间仍记录在 KV 中，只由定时任务写入
+ * @param {Object} storageAdapter
+ * @param {D1Database|undefined} db
+ * @param {Object} settings - 合并默认值后的设置
+ */
+async function flushAccessDigest(storageAdapter, db, settings) {
+  const state = await readAccessNotifyState(storageAdapter);
+  const now = Date.now();
+  if (db) {
+    const throttleWindow = Math.max(Number(settings.accessNotifyIpWindow) || 0, Number(settings.accessNotifyProfileWindow) || 0);
+    await pruneAccessNotifyEvents(db, { throttleWindow }, now);
+    state.digest = mergeAccessDigests(state.digest, await readAccessDigestFromD1(db, now));
+  }
+  if (!isAccessDigestDue(state, settings.accessDigestInterval, now)) {
+    return;
+  }
+
+  const data = buildAccessDigestData(state.digest, getNotificationFormatter(settings).formatDateTime, now);
+  const sent = await sendNotification(settings, 'access', data, 'accessDigest');
+  // 没有渠道接收访问通知时同样清空，避免之后重新启用时发出过期的汇总
+  if (sent || !hasNotificationChannel(settings, 'access')) {
+    if (db) {
+      await pruneAccessNotifyEvents(db, { digestUntil: now }, now);
+    }
+    state.digest = null;
+    state.lastDigestAt = now;
+    await writeAccessNotifyState(storageAdapter, state);
   }
 }
 
@@ -361,71 +417,55 @@ async function handleCronTrigger(env) {
     const allSubs = JSON.parse(JSON.stringify(originalSubs)); // 深拷贝以便比较
     const settings = await storageAdapter.get(KV_KEY_SETTINGS) || defaultSettings;
 
-    const nodeRegex = /^(ss|ssr|vmess|vless|trojan|hysteria2?|hy|hy2|tuic|anytls|socks5):\/\//gm;
+    const cacheTtl = Number({ ...defaultSettings, ...settings }.subscriptionCacheTtl) || 0;
     let changesMade = false; // 修复: 声明changesMade变量
 
-    for (const sub of allSubs) {
-        if (sub.url.startsWith('http') && sub.enabled) {
-            try {
-                // --- 並行請求流量和節點內容 ---
-                const trafficRequest = fetch(new Request(sub.url, { 
-                    headers: { 'User-Agent': 'Clash for Windows/0.20.39' }, 
-                    redirect: "follow",
-                    cf: { insecureSkipVerify: true } 
-                }));
-                const nodeCountRequest = fetch(new Request(sub.url, { 
-                    headers: { 'User-Agent': 'MiSub-Cron-Updater/1.0' }, 
-                    redirect: "follow",
-                    cf: { insecureSkipVerify: true } 
-                }));
-                const [trafficResult, nodeCountResult] = await Promise.allSettled([
-                    Promise.race([trafficRequest, new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 8000))]),
-                    Promise.race([nodeCountRequest, new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 8000))])
-                ]);   
-
-                if (trafficResult.status === 'fulfilled' && trafficResult.value.ok) {
-                    const userInfoHeader = trafficResult.value.headers.get('subscription-userinfo');
-                    if (userInfoHeader) {
-                        const info = {};
-                        userInfoHeader.split(';').forEach(part => {
-                            const [key, value] = part.trim().split('=');
-                            if (key && value) info[key] = /^\d+$/.test(value) ? Number(value) : value;
-                        });
-                        sub.userInfo = info; // 更新流量資訊
-                        await checkAndNotify(sub, settings, env); // 檢查並發送通知
-                        changesMade = true;
-                    }
-                } else if (trafficResult.status === 'rejected') {
-                     // 流量请求失败
-                }
-
-                if (nodeCountResult.status === 'fulfilled' && nodeCountResult.value.ok) {
-                    const text = await nodeCountResult.value.text();
-                    let decoded = '';
-                    try { 
-                        // 嘗試 Base64 解碼
-                        decoded = atob(text.replace(/\s/g, '')); 
-                    } catch { 
-                        decoded = text; 
-                    }
-                    const matches = decoded.match(nodeRegex);
-                    if (matches) {
-                        sub.nodeCount = matches.length; // 更新節點數量
-                        changesMade = true;
-                    }
-                } else if (nodeCountResult.status === 'rejected') {
-                    // 节点数量请求失败
-                }
-
-            } catch(e) {
-                // 请求处理出错
+    // 所有订阅并行刷新，并发数由本次任务的限制器控制；每个订阅只请求一次
+    const limiter = createFetchLimiter();
+    await Promise.all(allSubs.filter(sub => sub.url.startsWith('http') && sub.enabled).map(async (sub) => {
+        try {
+            const result = await fetchSubscription(sub, { limiter });
+            if (result.userInfo) {
+                sub.userInfo = result.userInfo; // 更新流量資訊
+                changesMade = true;
+            }
+            if (result.count > 0 || result.conversionErrors.length > 0) {
+                sub.nodeCount = result.count; // 更新節點數量
+                sub.conversionErrors = result.conversionErrors;
+                changesMade = true;
+            }
+            await refreshSubscriptionCache(storageAdapter, sub, result.links, cacheTtl);
+            // 快照记录本次获取到的流量与节点数，不沿用未更新的 userInfo / nodeCount；什么都没获取到时不记录
+            if (result.userInfo || result.count > 0) {
+                await recordSubscriptionHistory(storageAdapter, sub, { userInfo: result.userInfo, nodeCount: result.count });
             }
+            if (result.userInfo) {
+                await checkAndNotify(sub, settings, env); // 檢查並發送通知 (含基于历史的耗尽预测)
+            }
+            await checkNodeChanges(storageAdapter, sub, result, settings);
+        } catch(e) {
+            console.warn(`[Cron] 订阅 ${sub.name || sub.url} 刷新失败: ${e.message}`);
         }
-    }
+    }));
 
     if (changesMade) {
         await storageAdapter.put(KV_KEY_SUBS, allSubs);
     }
+
+    const mergedSettings = { ...defaultSettings, ...settings };
+    try {
+        await flushAccessDigest(storageAdapter, env.MISUB_DB, mergedSettings);
+    } catch (e) {
+        console.warn(`[Cron] 访问汇总发送失败: ${e.message}`);
+    }
+
+    if (env.MISUB_DB && mergedSettings.accessLogEnabled !== false) {
+        try {
+            await pruneAccessLogs(env.MISUB_DB, { retentionDays: Number(mergedSettings.accessLogRetentionDays) || 0, maxRows: Number(mergedSettings.accessLogMaxRows) || 0 });
+        } catch (e) {
+            console.warn(`[Cron] 清理访问日志失败: ${e.message}`);
+        }
+    }
     return new Response("Cron job completed successfully.", { status: 200 });
 }
 
@@ -465,6 +505,8 @@ async function checkAndNotify(sub, settings, env) {
 
     const ONE_DAY_MS = 24 * 60 * 60 * 1000;
     const now = Date.now();
+    const { formatDate, phrases } = getNotificationFormatter(settings);
+    const subData = { name: sub.name || phrases.unnamed, url: sub.url };
 
     // 1. 检查订阅到期
     if (sub.userInfo.expire) {
@@ -475,12 +517,12 @@ async function checkAndNotify(sub, settings, env) {
         if (daysRemaining <= (settings.NotifyThresholdDays || 7)) {
             // 检查上次通知时间，防止24小时内重复通知
             if (!sub.lastNotifiedExpire || (now - sub.lastNotifiedExpire > ONE_DAY_MS)) {
-                const message = `🗓️ *订阅临期提醒* 🗓️
-
-*订阅名称:* \`${sub.name || '未命名'}\`
-*状态:* \`${daysRemaining < 0 ? '已过期' : `仅剩 ${daysRemaining} 天到期`}\`
-*到期日期:* \`${expiryDate.toLocaleDateString('zh-CN')}\``;
-                const sent = await sendTgNotification(settings, message);
+                const sent = await sendNotification(settings, 'expiry', {
+                    sub: subData,
+                    daysRemaining,
+                    status: daysRemaining < 0 ? phrases.expired : phrases.expiresIn(daysRemaining),
+                    expireDate: formatDate(expiryDate)
+                });
                 if (sent) {
                     sub.lastNotifiedExpire = now; // 更新通知时间戳
                 }
@@ -498,63 +540,159 @@ async function checkAndNotify(sub, settings, env) {
         if (usagePercent >= (settings.NotifyThresholdPercent || 90)) {
             // 检查上次通知时间，防止24小时内重复通知
             if (!sub.lastNotifiedTraffic || (now - sub.lastNotifiedTraffic > ONE_DAY_MS)) {
-                const formatBytes = (bytes) => {
-                    if (!+bytes) return '0 B';
-                    const k = 1024;
-                    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
-                    const i = Math.floor(Math.log(bytes) / Math.log(k));
-                    return `${parseFloat((bytes / Math.pow(k, i)).toFixed(2))} ${sizes[i]}`;
-                };
-                
-                const message = `📈 *流量预警提醒* 📈
-
-*订阅名称:* \`${sub.name || '未命名'}\`
-*状态:* \`已使用 ${usagePercent}%\`
-*详情:* \`${formatBytes(used)} / ${formatBytes(total)}\``;
-                const sent = await sendTgNotification(settings, message);
+                const sent = await sendNotification(settings, 'traffic', {
+                    sub: subData,
+                    usagePercent,
+                    used: formatBytes(used),
+                    total: formatBytes(total),
+                    remaining: formatBytes(Math.max(0, total - used))
+                });
                 if (sent) {
                     sub.lastNotifiedTraffic = now; // 更新通知时间戳
                 }
             }
         }
     }
+
+    // 3. 检查流量是否会在到期前耗尽 (预测由刷新时根据历史快照计算)
+    const depletionDays = Number(settings.NotifyDepletionDays ?? defaultSettings.NotifyDepletionDays);
+    if (depletionDays > 0 && shouldWarnDepletion(sub.usageForecast, depletionDays, now)) {
+        // 检查上次通知时间，防止24小时内重复通知
+        if (!sub.lastNotifiedDepletion || (now - sub.lastNotifiedDepletion > ONE_DAY_MS)) {
+            const { dailyUsage, remaining, depletionAt, expireAt } = sub.usageForecast;
+            const daysLeft = Math.max(0, Math.ceil((depletionAt - now) / ONE_DAY_MS));
+            const sent = await sendNotification(settings, 'depletion', {
+                sub: subData,
+                daysLeft,
+                remaining: formatBytes(remaining),
+                dailyUsage: formatBytes(dailyUsage),
+                depletionDate: formatDate(depletionAt),
+                expireDate: expireAt ? formatDate(expireAt) : ''
+            });
+            if (sent) {
+                sub.lastNotifiedDepletion = now; // 更新通知时间戳
+            }
+        }
+    }
 }
 
+/**
+ * 与上一次定时刷新的节点列表比较，节点数骤降、归零或大面积更换时发送通知
+ * @param {Object} storageAdapter
+ * @param {Object} sub - 订阅对象
+ * @param {import('./subscription-fetcher.js').SubscriptionFetchResult} result - 本次获取结果
+ * @param {Object} settings - 全局设置
+ */
+async function checkNodeChanges(storageAdapter, sub, result, settings) {
+    try {
+        const previousLinks = await readNodeBaseline(storageAdapter, sub);
+        if (!previousLinks) {
+            await writeNodeBaseline(storageAdapter, sub, result.links);
+            return;
+        }
+
+        const diff = diffNodeLinks(previousLinks, result.links);
+        if (diff.added.length === 0 && diff.removed.length === 0) return;
+        await writeNodeBaseline(storageAdapter, sub, result.links);
+
+        const config = { ...defaultSettings, ...settings };
+        const reasons = detectNodeChangeReasons(diff, {
+            dropPercent: Number(config.NotifyNodeDropPercent) || 0,
+            changePercent: Number(config.NotifyNodeChangePercent) || 0
+        });
+        if (reasons.length === 0) return;
+
+        // 节点名称列表过长时只列出前若干个
+        const MAX_LISTED = 10;
+        const { phrases } = getNotificationFormatter(settings);
+        const listNames = (names) => names.slice(0, MAX_LISTED).map(name => `  • \`${(name || phrases.unnamed).replace(/`/g, "'")}\``).join('\n')
+            + (names.length > MAX_LISTED ? `\n  ${phrases.nodesMore(names.length)}` : '');
+
+        let status;
+        if (reasons.includes('empty')) {
+            // 上游返回 HTML 时多半是错误页或被拦截，而不是订阅内容
+            status = /^\s*</.test(result.text) ? phrases.nodesEmptyHtml : phrases.nodesEmpty;
+        } else if (reasons.includes('drop')) {
+            status = phrases.nodesDrop(diff.previousCount, diff.currentCount);
+        } else {
+            status = phrases.nodesChanged(diff.previousCount, diff.currentCount);
+        }
+
+        await sendNotification(settings, 'nodes', {
+            sub: { name: sub.name || phrases.unnamed, url: sub.url },
+            status,
+            previousCount: diff.previousCount,
+            currentCount: diff.currentCount,
+            added: diff.added.length > 0 ? `*${phrases.nodesAdded(diff.added.length)}:*\n${listNames(diff.added)}` : '',
+            removed: diff.removed.length > 0 ? `*${phrases.nodesRemoved(diff.removed.length)}:*\n${listNames(diff.removed)}` : ''
+        });
+    } catch (e) {
+        console.warn(`[Cron] 订阅 ${sub.name || sub.url} 节点变化检查失败: ${e.message}`);
+    }
+}
+
+
+/**
+ * 处理 Telegram 推送的消息：只响应来自已配置 Chat ID 的命令
+ * 始终返回 200，避免 Telegram 反复重试同一条消息
+ * @param {Request} request
+ * @param {Object} env
+ * @param {string} origin - MiSub 的访问地址
+ * @returns {Promise<Response>}
+ */
+async function handleTelegramUpdate(request, env, origin) {
+    try {
+        const update = await request.json();
+        const message = update.message;
+        const parsed = parseCommand(message?.text);
+        if (!parsed) return new Response('OK');
+
+        const storageAdapter = await getStorageAdapter(env);
+        const settings = { ...defaultSettings, ...(await storageAdapter.get(KV_KEY_SETTINGS) || {}) };
+        const bot = getTelegramBot(settings);
+        if (!bot || !bot.chatIds.includes(String(message.chat.id))) {
+            console.warn(`[Telegram Bot] 忽略来自未授权 Chat ID ${message.chat?.id} 的命令`);
+            return new Response('OK');
+        }
+
+        const cacheTtl = Number(settings.subscriptionCacheTtl) || 0;
+        const limiter = createFetchLimiter();
+        const reply = await runBotCommand(parsed, {
+            storageAdapter,
+            settings,
+            origin,
+            keys: { subs: KV_KEY_SUBS, profiles: KV_KEY_PROFILES },
+            refreshSubscription: (sub) => refreshSubscription(storageAdapter, sub, cacheTtl, limiter)
+        });
+        await callTelegramApi(bot.botToken, 'sendMessage', {
+            chat_id: message.chat.id,
+            text: reply,
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            reply_to_message_id: message.message_id
+        });
+    } catch (e) {
+        console.error('[Telegram Bot] 处理消息失败', e);
+    }
+    return new Response('OK');
+}
 
 // --- 主要 API 請求處理 ---
 async function handleApiRequest(request, env) {
     const url = new URL(request.url);
     const path = url.pathname.replace(/^\/api/, '');
-    // [新增] 数据存储迁移接口 (KV -> D1)
+    // 旧版 KV -> D1 迁移接口，保留以兼容旧的调用方式，等同于 POST /api/storage/migrate {"target": "d1"}
     if (path === '/migrate_to_d1') {
         if (!await authMiddleware(request, env)) {
             return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401 });
         }
         try {
-            if (!env.MISUB_DB) {
-                return new Response(JSON.stringify({
-                    success: false,
-                    message: 'D1 数据库未配置，请检查 wrangler.toml 配置'
-                }), { status: 400 });
-            }
-
-            const migrationResult = await DataMigrator.migrateKVToD1(env);
-
-            if (migrationResult.errors.length > 0) {
-                return new Response(JSON.stringify({
-                    success: false,
-                    message: '迁移过程中出现错误',
-                    details: migrationResult.errors,
-                    partialSuccess: migrationResult
-                }), { status: 500 });
-            }
-
+            const report = await DataMigrator.migrate(env, { from: STORAGE_TYPES.KV, to: STORAGE_TYPES.D1 });
             return new Response(JSON.stringify({
-                success: true,
-                message: '数据已成功迁移到 D1 数据库',
-                details: migrationResult
-            }), { status: 200 });
-
+                success: report.success,
+                message: report.success ? '数据已成功迁移到 D1 数据库' : '迁移过程中出现错误',
+                details: report
+            }), { status: report.success ? 200 : 500 });
         } catch (error) {
             console.error('[API Error /migrate_to_d1]', error);
             return new Response(JSON.stringify({
@@ -564,26 +702,13 @@ async function handleApiRequest(request, env) {
         }
     }
 
-    // [新增] 安全的、可重复执行的迁移接口
+    // 旧版迁移接口，保留以兼容旧的调用方式，等同于 POST /api/migrations
     if (path === '/migrate') {
         if (!await authMiddleware(request, env)) { return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401 }); }
         try {
-            const oldData = await env.MISUB_KV.get(OLD_KV_KEY, 'json');
-            const newDataExists = await env.MISUB_KV.get(KV_KEY_SUBS) !== null;
-
-            if (newDataExists) {
-                return new Response(JSON.stringify({ success: true, message: '无需迁移，数据已是最新结构。' }), { status: 200 });
-            }
-            if (!oldData) {
-                return new Response(JSON.stringify({ success: false, message: '未找到需要迁移的旧数据。' }), { status: 404 });
-            }
-            
-            await env.MISUB_KV.put(KV_KEY_SUBS, JSON.stringify(oldData));
-            await env.MISUB_KV.put(KV_KEY_PROFILES, JSON.stringify([]));
-            await env.MISUB_KV.put(OLD_KV_KEY + '_migrated_on_' + new Date().toISOString(), JSON.stringify(oldData));
-            await env.MISUB_KV.delete(OLD_KV_KEY);
-
-            return new Response(JSON.stringify({ success: true, message: '数据迁移成功！' }), { status: 200 });
+            const report = await runMigrations(await getStorageAdapter(env), env, MIGRATION_KEYS, 'manual');
+            const message = !report.success ? '迁移未完成，请查看迁移报告' : (report.steps.length > 0 ? '数据迁移成功！' : '无需迁移，数据已是最新结构。');
+            return new Response(JSON.stringify({ success: report.success, message, report }), { status: report.success ? 200 : 500 });
         } catch (e) {
             console.error('[API Error /migrate]', e);
             return new Response(JSON.stringify({ success: false, message: `迁移失败: ${e.message}` }), { status: 500 });
@@ -606,10 +731,50 @@ async function handleApiRequest(request, env) {
             return new Response(JSON.stringify({ error: '请求体解析失败' }), { status: 400 });
         }
     }
+    // Telegram 机器人 Webhook：以 secret_token 校验来源，不使用登录 Cookie
+    if (path === '/telegram/webhook') {
+        if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+        if (!env.COOKIE_SECRET || request.headers.get('X-Telegram-Bot-Api-Secret-Token') !== await getTelegramWebhookSecret(env.COOKIE_SECRET)) {
+            return new Response('Unauthorized', { status: 401 });
+        }
+        return handleTelegramUpdate(request, env, url.origin);
+    }
+
     if (!await authMiddleware(request, env)) {
         return new Response(JSON.stringify({ error: 'Unauthorized' }), { status: 401 });
     }
 
+    // 订阅的流量/节点数历史: GET /api/subscriptions/:id/history
+    const historyMatch = path.match(/^\/subscriptions\/([^/]+)\/history$/);
+    if (historyMatch) {
+        if (request.method !== 'GET') return new Response('Method Not Allowed', { status: 405 });
+        try {
+            const subId = decodeURIComponent(historyMatch[1]);
+            const storageAdapter = await getStorageAdapter(env);
+            const allSubs = await storageAdapter.get(KV_KEY_SUBS) || [];
+            if (!allSubs.some(sub => sub.id === subId)) {
+                return new Response(JSON.stringify({ error: '订阅不存在' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
+            }
+            const history = await readSubscriptionHistory(storageAdapter, subId);
+            return new Response(JSON.stringify({ id: subId, history }), { headers: { 'Content-Type': 'application/json' } });
+        } catch (e) {
+            console.error('[API Error /subscriptions/:id/history]', e);
+            return new Response(JSON.stringify({ error: '读取订阅历史失败' }), { status: 500, headers: { 'Content-Type': 'application/json' } });
+        }
+    }
+
+    // 订阅、手动节点与订阅组的单条增删改查: /api/{subscriptions|nodes|profiles}[/:id]
+    const resourceRoute = matchResourceRoute(path);
+    if (resourceRoute) {
+        try {
+            const storageAdapter = await getStorageAdapter(env);
+            return await handleResourceRequest(request, resourceRoute, storageAdapter, { subs: KV_KEY_SUBS, profiles: KV_KEY_PROFILES });
+        } catch (e) {
+            console.error(`[API Error /${resourceRoute.resource}]`, e);
+            return new Response(JSON.stringify({ error: `操作失败: ${e.message}` }), { status: 500, headers: { 'Content-Type': 'application/json' } });
+        }
+    }
+
     switch (path) {
         case '/logout': {
             const headers = new Headers({ 'Content-Type': 'application/json' });
@@ -630,7 +795,16 @@ async function handleApiRequest(request, env) {
                     mytoken: settings.mytoken || 'auto',
                     profileToken: settings.profileToken || 'profiles'
                 };
-                return new Response(JSON.stringify({ misubs, profiles, config }), { headers: { 'Content-Type': 'application/json' } });
+                // 版本号需在附加展示字段之前计算
+                const revision = await calculateDataRevision(misubs, profiles);
+                // 附带上游缓存状态 (仅用于展示，保存时由前端剔除)
+                await Promise.all(misubs.filter(sub => sub.url?.startsWith('http')).map(async (sub) => {
+                    const entry = await readSubscriptionCache(storageAdapter, sub).catch(() => null);
+                    sub.cacheStatus = getSubscriptionCacheStatus(entry);
+                }));
+                return new Response(JSON.stringify({ misubs, profiles, config, revision }), {
+                    headers: { 'Content-Type': 'application/json', 'ETag': `"${revision}"` }
+                });
             } catch(e) {
                 console.error('[API Error /data]', 'Failed to read from storage:', e);
                 return new Response(JSON.stringify({ error: '读取初始数据失败' }), { status: 500 });
@@ -669,7 +843,31 @@ async function handleApiRequest(request, env) {
                     }), { status: 400 });
                 }
 
-                // 步骤4: 获取设置（带错误处理）
+                // 步骤4: 检查版本号，数据在加载后被其他会话修改时返回 409 及当前数据
+                // 版本号可放在请求体的 revision 或 If-Match 请求头中；未提供时直接覆盖 (兼容旧版脚本)
+                const expectedRevision = requestData.revision ?? request.headers.get('If-Match')?.replace(/"/g, '');
+                const storageAdapter = await getStorageAdapter(env);
+                const [currentMisubs, currentProfiles] = await Promise.all([
+                    storageAdapter.get(KV_KEY_SUBS).then(res => res || []),
+                    storageAdapter.get(KV_KEY_PROFILES).then(res => res || [])
+                ]);
+                if (expectedRevision) {
+                    const currentRevision = await calculateDataRevision(currentMisubs, currentProfiles);
+                    if (currentRevision !== expectedRevision) {
+                        return new Response(JSON.stringify({
+                            success: false,
+                            conflict: true,
+                            message: '数据已被其他会话修改',
+                            misubs: currentMisubs,
+                            profiles: currentProfiles,
+                            revision: currentRevision
+                        }), { status: 409, headers: { 'Content-Type': 'application/json', 'ETag': `"${currentRevision}"` } });
+                    }
+                }
+                // 节点数、流量信息与通知时间以服务端为准
+                preserveServerMaintainedFields(misubs, currentMisubs);
+
+                // 步骤5: 获取设置（带错误处理）
                 let settings;
                 try {
                     const storageAdapter = await getStorageAdapter(env);
@@ -678,7 +876,7 @@ async function handleApiRequest(request, env) {
                     settings = defaultSettings; // 使用默认设置继续
                 }
 
-                // 步骤5: 处理通知（非阻塞，错误不影响保存）
+                // 步骤6: 处理通知（非阻塞，错误不影响保存）
                 try {
                     const notificationPromises = misubs
                         .filter(sub => sub && sub.url && sub.url.startsWith('http'))
@@ -695,7 +893,7 @@ async function handleApiRequest(request, env) {
                 }
 
                 // {{ AURA-X: Modify - 使用存储适配器保存数据. Approval: 寸止(ID:1735459200). }}
-                // 步骤6: 保存数据到存储（使用存储适配器）
+                // 步骤7: 保存数据到存储（使用存储适配器）
                 try {
                     const storageAdapter = await getStorageAdapter(env);
                     await Promise.all([
@@ -709,10 +907,12 @@ async function handleApiRequest(request, env) {
                     }), { status: 500 });
                 }
 
+                const revision = await calculateDataRevision(misubs, profiles);
                 return new Response(JSON.stringify({
                     success: true,
-                    message: '订阅源及订阅组已保存'
-                }));
+                    message: '订阅源及订阅组已保存',
+                    revision
+                }), { headers: { 'ETag': `"${revision}"` } });
 
             } catch (e) {
                 return new Response(JSON.stringify({
@@ -724,64 +924,24 @@ async function handleApiRequest(request, env) {
 
             case '/node_count': {
                 if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
-                const { url: subUrl } = await request.json();
+                // userAgent / headers 来自前端当前编辑中的订阅，可能尚未保存
+                const { url: subUrl, userAgent: subUserAgent, headers: subHeaders } = await request.json();
                 if (!subUrl || typeof subUrl !== 'string' || !/^https?:\/\//.test(subUrl)) {
                     return new Response(JSON.stringify({ error: 'Invalid or missing url' }), { status: 400 });
                 }
+                const requestSub = { userAgent: subUserAgent, headers: subHeaders };
                 
-                const result = { count: 0, userInfo: null };
+                const result = { count: 0, userInfo: null, conversionErrors: [] };
 
                 try {
-                    const fetchOptions = {
-                        headers: { 'User-Agent': 'MiSub-Node-Counter/2.0' },
-                        redirect: "follow",
-                        cf: { insecureSkipVerify: true }
-                    };
-                    const trafficFetchOptions = {
-                        headers: { 'User-Agent': 'Clash for Windows/0.20.39' },
-                        redirect: "follow",
-                        cf: { insecureSkipVerify: true }
-                    };
-
-                    const trafficRequest = fetch(new Request(subUrl, trafficFetchOptions));
-                    const nodeCountRequest = fetch(new Request(subUrl, fetchOptions));
-
-                    // --- [核心修正] 使用 Promise.allSettled 替换 Promise.all ---
-                    const responses = await Promise.allSettled([trafficRequest, nodeCountRequest]);
-
-                    // 1. 处理流量请求的结果
-                    if (responses[0].status === 'fulfilled' && responses[0].value.ok) {
-                        const trafficResponse = responses[0].value;
-                        const userInfoHeader = trafficResponse.headers.get('subscription-userinfo');
-                        if (userInfoHeader) {
-                            const info = {};
-                            userInfoHeader.split(';').forEach(part => {
-                                const [key, value] = part.trim().split('=');
-                                if (key && value) info[key] = /^\d+$/.test(value) ? Number(value) : value;
-                            });
-                            result.userInfo = info;
-                        }
-                    } else if (responses[0].status === 'rejected') {
-                        // 流量请求失败
-                    }
-
-                    // 2. 处理节点数请求的结果
-                    if (responses[1].status === 'fulfilled' && responses[1].value.ok) {
-                        const nodeCountResponse = responses[1].value;
-                        const text = await nodeCountResponse.text();
-                        let decoded = '';
-                        try { decoded = atob(text.replace(/\s/g, '')); } catch { decoded = text; }
-                        const lineMatches = decoded.match(/^(ss|ssr|vmess|vless|trojan|hysteria2?|hy|hy2|tuic|anytls|socks5):\/\//gm);
-                        if (lineMatches) {
-                            result.count = lineMatches.length;
-                        }
-                    } else if (responses[1].status === 'rejected') {
-                        // 节点数请求失败
-                    }
+                    const fetched = await fetchSubscription({ url: subUrl, ...requestSub });
+                    result.count = fetched.count;
+                    result.userInfo = fetched.userInfo;
+                    result.conversionErrors = fetched.conversionErrors;
                     
                     // {{ AURA-X: Modify - 使用存储适配器优化节点计数更新. Approval: 寸止(ID:1735459200). }}
                     // 只有在至少获取到一个有效信息时，才更新数据库
-                    if (result.userInfo || result.count > 0) {
+                    if (result.userInfo || result.count > 0 || result.conversionErrors.length > 0) {
                         const storageAdapter = await getStorageAdapter(env);
                         const originalSubs = await storageAdapter.get(KV_KEY_SUBS) || [];
                         const allSubs = JSON.parse(JSON.stringify(originalSubs)); // 深拷贝
@@ -790,13 +950,21 @@ async function handleApiRequest(request, env) {
                         if (subToUpdate) {
                             subToUpdate.nodeCount = result.count;
                             subToUpdate.userInfo = result.userInfo;
+                            subToUpdate.conversionErrors = result.conversionErrors;
+                            if (result.userInfo || result.count > 0) {
+                                await recordSubscriptionHistory(storageAdapter, subToUpdate);
+                            }
+                            result.usageForecast = subToUpdate.usageForecast ?? null;
 
                             await storageAdapter.put(KV_KEY_SUBS, allSubs);
+                            const settings = await storageAdapter.get(KV_KEY_SETTINGS) || {};
+                            await refreshSubscriptionCache(storageAdapter, subToUpdate, fetched.links, Number({ ...defaultSettings, ...settings }.subscriptionCacheTtl) || 0);
                         }
                     }
                     
                 } catch (e) {
                     // 节点计数处理错误
+                    result.error = e.message;
                 }
                 
                 return new Response(JSON.stringify(result), { headers: { 'Content-Type': 'application/json' } });
@@ -845,48 +1013,15 @@ async function handleApiRequest(request, env) {
                 const allSubs = await storageAdapter.get(KV_KEY_SUBS) || [];
                 const subsToUpdate = allSubs.filter(sub => subscriptionIds.includes(sub.id) && sub.url.startsWith('http'));
 
-                // 并行更新所有订阅的节点信息
+                const settings = await storageAdapter.get(KV_KEY_SETTINGS) || {};
+                const cacheTtl = Number({ ...defaultSettings, ...settings }.subscriptionCacheTtl) || 0;
+
+                // 并行更新所有订阅的节点信息，并发数由本次请求的限制器控制
+                const limiter = createFetchLimiter();
                 const updatePromises = subsToUpdate.map(async (sub) => {
                     try {
-                        const fetchOptions = {
-                            headers: { 'User-Agent': 'MiSub-Batch-Updater/1.0' },
-                            redirect: "follow",
-                            cf: { insecureSkipVerify: true }
-                        };
-
-                        const response = await Promise.race([
-                            fetch(sub.url, fetchOptions),
-                            new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 10000))
-                        ]);
-
-                        if (response.ok) {
-                            // 更新流量信息
-                            const userInfoHeader = response.headers.get('subscription-userinfo');
-                            if (userInfoHeader) {
-                                const info = {};
-                                userInfoHeader.split(';').forEach(part => {
-                                    const [key, value] = part.trim().split('=');
-                                    if (key && value) info[key] = /^\d+$/.test(value) ? Number(value) : value;
-                                });
-                                sub.userInfo = info;
-                            }
-
-                            // 更新节点数量
-                            const text = await response.text();
-                            let decoded = '';
-                            try {
-                                decoded = atob(text.replace(/\s/g, ''));
-                            } catch {
-                                decoded = text;
-                            }
-                            const nodeRegex = /^(ss|ssr|vmess|vless|trojan|hysteria2?|hy|hy2|tuic|anytls|socks5):\/\//gm;
-                            const matches = decoded.match(nodeRegex);
-                            sub.nodeCount = matches ? matches.length : 0;
-
-                            return { id: sub.id, success: true, nodeCount: sub.nodeCount };
-                        } else {
-                            return { id: sub.id, success: false, error: `HTTP ${response.status}` };
-                        }
+                        await refreshSubscription(storageAdapter, sub, cacheTtl, limiter);
+                        return { id: sub.id, success: true, nodeCount: sub.nodeCount, conversionErrors: sub.conversionErrors, userInfo: sub.userInfo, usageForecast: sub.usageForecast ?? null };
                     } catch (error) {
                         return { id: sub.id, success: false, error: error.message };
                     }
@@ -918,14 +1053,25 @@ async function handleApiRequest(request, env) {
             if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
             
             try {
-                const { url: debugUrl, userAgent } = await request.json();
+                const { url: debugUrl, userAgent, headers: debugHeaders } = await request.json();
                 if (!debugUrl || typeof debugUrl !== 'string' || !/^https?:\/\//.test(debugUrl)) {
                     return new Response(JSON.stringify({ error: 'Invalid or missing url' }), { status: 400 });
                 }
+
+                // 调试已保存的订阅时沿用其自定义请求头，调试表单中填写的 UA 优先
+                const storageAdapter = await getStorageAdapter(env);
+                const savedSub = (await storageAdapter.get(KV_KEY_SUBS) || []).find(s => s.url === debugUrl);
+                const debugSub = {
+                    url: debugUrl,
+                    userAgent: userAgent || savedSub?.userAgent,
+                    headers: { ...savedSub?.headers, ...debugHeaders }
+                };
+                const debugRequestHeaders = buildSubscriptionHeaders(debugSub, 'MiSub-Debug/1.0');
                 
                 const result = {
                     url: debugUrl,
-                    userAgent: userAgent || 'MiSub-Debug/1.0',
+                    userAgent: debugRequestHeaders['User-Agent'],
+                    requestHeaders: debugRequestHeaders,
                     success: false,
                     rawContent: '',
                     processedContent: '',
@@ -935,18 +1081,8 @@ async function handleApiRequest(request, env) {
                 };
                 
                 try {
-                    const response = await fetch(new Request(debugUrl, {
-                        headers: { 'User-Agent': result.userAgent },
-                        redirect: "follow",
-                        cf: { insecureSkipVerify: true }
-                    }));
-                    
-                    if (!response.ok) {
-                        result.error = `HTTP ${response.status}: ${response.statusText}`;
-                        return new Response(JSON.stringify(result), { headers: { 'Content-Type': 'application/json' } });
-                    }
-                    
-                    const text = await response.text();
+                    // 调试时不重试，直接暴露上游的真实响应
+                    const { text } = await fetchSubscription(debugSub, { userAgent: 'MiSub-Debug/1.0', retries: 0 });
                     result.rawContent = text.substring(0, 2000); // 限制原始内容长度
                     
                     // 处理Base64解码
@@ -968,23 +1104,22 @@ async function handleApiRequest(request, env) {
                     // 提取所有有效节点
                     const allNodes = processedText.replace(/\r\n/g, '\n').split('\n')
                         .map(line => line.trim())
-                        .filter(line => /^(ss|ssr|vmess|vless|trojan|hysteria2?|hy|hy2|tuic|anytls|socks5):\/\//.test(line));
+                        .filter(line => NODE_LINK_REGEX.test(line));
                     
                     result.validNodes = allNodes.slice(0, 20); // 限制显示节点数量
                     
                     // 特别提取SS节点进行分析
-                    result.ssNodes = allNodes.filter(line => line.startsWith('ss://')).map(line => {
+                    result.ssNodes = allNodes.filter(line => /^ss:\/\//i.test(line)).map(line => {
                         try {
                             const hashIndex = line.indexOf('#');
-                            let baseLink = hashIndex !== -1 ? line.substring(0, hashIndex) : line;
-                            let fragment = hashIndex !== -1 ? line.substring(hashIndex) : '';
+                            const baseLink = hashIndex !== -1 ? line.substring(0, hashIndex) : line;
                             
                             const protocolEnd = baseLink.indexOf('://');
                             const atIndex = baseLink.indexOf('@');
                             let analysis = {
                                 original: line,
                                 hasUrlEncoding: false,
-                                fixed: line,
+                                fixed: normalizeNodeLink(line),
                                 base64Part: '',
                                 credentials: ''
                             };
@@ -996,7 +1131,6 @@ async function handleApiRequest(request, env) {
                                 if (base64Part.includes('%')) {
                                     analysis.hasUrlEncoding = true;
                                     const decodedBase64 = decodeURIComponent(base64Part);
-                                    analysis.fixed = 'ss://' + decodedBase64 + baseLink.substring(atIndex) + fragment;
                                     
                                     try {
                                         analysis.credentials = atob(decodedBase64);
@@ -1023,7 +1157,7 @@ async function handleApiRequest(request, env) {
                     
                     result.success = true;
                     result.totalNodes = allNodes.length;
-                    result.ssNodesCount = allNodes.filter(line => line.startsWith('ss://')).length;
+                    result.ssNodesCount = allNodes.filter(line => /^ss:\/\//i.test(line)).length;
                     
                 } catch (e) {
                     result.error = e.message;
@@ -1036,6 +1170,139 @@ async function handleApiRequest(request, env) {
             }
         }
 
+        case '/access_logs': {
+            if (request.method !== 'GET') return new Response('Method Not Allowed', { status: 405 });
+            if (!env.MISUB_DB) {
+                return new Response(JSON.stringify({ error: '未绑定 D1 数据库 (MISUB_DB)，无法记录访问日志' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+            }
+            try {
+                // from / to 可以是毫秒时间戳或日期字符串
+                const parseTime = (value) => !value ? undefined : (/^\d+$/.test(value) ? Number(value) : Date.parse(value) || undefined);
+                const params = url.searchParams;
+                const result = await queryAccessLogs(env.MISUB_DB, {
+                    profile: params.get('profile') || '',
+                    client: params.get('client') || '',
+                    from: parseTime(params.get('from')),
+                    to: parseTime(params.get('to')),
+                    limit: params.get('limit'),
+                    offset: params.get('offset')
+                });
+                return new Response(JSON.stringify(result), { headers: { 'Content-Type': 'application/json' } });
+            } catch (e) {
+                console.error('[API Error /access_logs]', e);
+                return new Response(JSON.stringify({ error: '读取访问日志失败' }), { status: 500, headers: { 'Content-Type': 'application/json' } });
+            }
+        }
+
+        case '/telegram/setup': {
+            if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+            try {
+                const storageAdapter = await getStorageAdapter(env);
+                const settings = { ...defaultSettings, ...(await storageAdapter.get(KV_KEY_SETTINGS) || {}) };
+                const bot = getTelegramBot(settings);
+                if (!bot) {
+                    return new Response(JSON.stringify({ success: false, error: '请先添加并保存一个 Telegram 通知渠道' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+                }
+                const webhookUrl = `${url.origin}/api/telegram/webhook`;
+                await callTelegramApi(bot.botToken, 'setWebhook', {
+                    url: webhookUrl,
+                    secret_token: await getTelegramWebhookSecret(env.COOKIE_SECRET),
+                    allowed_updates: ['message']
+                });
+                await callTelegramApi(bot.botToken, 'setMyCommands', { commands: BOT_COMMANDS });
+                return new Response(JSON.stringify({ success: true, webhookUrl }), { headers: { 'Content-Type': 'application/json' } });
+            } catch (e) {
+                return new Response(JSON.stringify({ success: false, error: `设置失败: ${e.message}` }), { status: 500, headers: { 'Content-Type': 'application/json' } });
+            }
+        }
+
+        case '/notification_test': {
+            if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+            try {
+                // 测试的是设置界面中正在编辑的渠道配置，可能尚未保存
+                const { channel } = await request.json();
+                if (!channel || typeof channel !== 'object') {
+                    return new Response(JSON.stringify({ success: false, error: '缺少渠道配置' }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+                }
+                const storageAdapter = await getStorageAdapter(env);
+                const settings = await storageAdapter.get(KV_KEY_SETTINGS) || {};
+                const message = `🔔 *MiSub 测试通知* 🔔
+
+如果您看到这条消息，说明该通知渠道已配置成功。
+
+*时间:* \`${getNotificationFormatter(settings).formatDateTime(Date.now())}\``;
+                const result = await sendToChannel(channel, message, 'test');
+                return new Response(JSON.stringify(result), { headers: { 'Content-Type': 'application/json' } });
+            } catch (e) {
+                return new Response(JSON.stringify({ success: false, error: `测试失败: ${e.message}` }), { status: 500, headers: { 'Content-Type': 'application/json' } });
+            }
+        }
+
+        // 存储后端：GET 查看当前使用的后端与可用的后端
+        case '/storage': {
+            if (request.method !== 'GET') return new Response('Method Not Allowed', { status: 405 });
+            const storageType = await StorageFactory.getStorageType(env);
+            return new Response(JSON.stringify({
+                current: StorageFactory.isAvailable(env, storageType) ? storageType : STORAGE_TYPES.KV,
+                backends: StorageFactory.listBackends(env)
+            }), { headers: { 'Content-Type': 'application/json' } });
+        }
+
+        // 把数据从当前后端迁移到 target 并校验，全部一致后切换存储类型；dryRun 时只对比不写入
+        case '/storage/migrate': {
+            if (request.method !== 'POST') return new Response('Method Not Allowed', { status: 405 });
+            try {
+                const { target, dryRun = false } = await request.json();
+                const storageType = await StorageFactory.getStorageType(env);
+                const source = StorageFactory.isAvailable(env, storageType) ? storageType : STORAGE_TYPES.KV;
+                const report = await DataMigrator.migrate(env, { from: source, to: target, dryRun: Boolean(dryRun) });
+                return new Response(JSON.stringify(report), { status: report.success ? 200 : 500, headers: { 'Content-Type': 'application/json' } });
+            } catch (e) {
+                console.error('[API Error /storage/migrate]', e);
+                return new Response(JSON.stringify({ success: false, error: e.message }), { status: 400, headers: { 'Content-Type': 'application/json' } });
+            }
+        }
+
+        // 数据结构迁移：GET 查看版本、迁移步骤、报告与备份，POST 手动执行尚未应用的步骤
+        case '/migrations': {
+            try {
+                const storageAdapter = await getStorageAdapter(env);
+                if (request.method === 'POST') {
+                    const report = await runMigrations(storageAdapter, env, MIGRATION_KEYS, 'manual');
+                    return new Response(JSON.stringify({ success: report.success, report }), { status: report.success ? 200 : 500, headers: { 'Content-Type': 'application/json' } });
+                }
+                if (request.method !== 'GET') return new Response('Method Not Allowed', { status: 405 });
+                const [state, backups] = await Promise.all([readMigrationState(storageAdapter), listMigrationBackups(storageAdapter)]);
+                return new Response(JSON.stringify({
+                    schemaVersion: state.schemaVersion,
+                    latestVersion: LATEST_SCHEMA_VERSION,
+                    migrations: MIGRATIONS.map(({ version, name, description }) => ({ version, name, description, applied: version <= state.schemaVersion })),
+                    reports: state.reports,
+                    backups
+                }), { headers: { 'Content-Type': 'application/json' } });
+            } catch (e) {
+                console.error('[API Error /migrations]', e);
+                return new Response(JSON.stringify({ success: false, error: `迁移失败: ${e.message}` }), { status: 500, headers: { 'Content-Type': 'application/json' } });
+            }
+        }
+
+        // 下载迁移前的数据备份: GET /api/migrations/backup?key=
+        case '/migrations/backup': {
+            if (request.method !== 'GET') return new Response('Method Not Allowed', { status: 405 });
+            const backupKey = url.searchParams.get('key') || '';
+            const storageAdapter = await getStorageAdapter(env);
+            if (!(await listMigrationBackups(storageAdapter)).includes(backupKey)) {
+                return new Response(JSON.stringify({ error: '备份不存在' }), { status: 404, headers: { 'Content-Type': 'application/json' } });
+            }
+            const backup = await storageAdapter.get(backupKey);
+            return new Response(JSON.stringify(backup, null, 2), {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Content-Disposition': `attachment; filename="misub-migration-backup-${backup.createdAt}.json"`
+                }
+            });
+        }
+
         case '/settings': {
             if (request.method === 'GET') {
                 try {
@@ -1048,7 +1315,8 @@ async function handleApiRequest(request, env) {
             }
             if (request.method === 'POST') {
                 try {
-                    const newSettings = await request.json();
+                    // 存储类型只能通过 /api/storage/migrate 在数据校验通过后切换
+                    const { storageType, ...newSettings } = await request.json();
                     const storageAdapter = await getStorageAdapter(env);
                     const oldSettings = await storageAdapter.get(KV_KEY_SETTINGS) || {};
                     const finalSettings = { ...oldSettings, ...newSettings };
@@ -1056,8 +1324,7 @@ async function handleApiRequest(request, env) {
                     // 使用存储适配器保存设置
                     await storageAdapter.put(KV_KEY_SETTINGS, finalSettings);
 
-                    const message = `⚙️ *MiSub 设置更新* ⚙️\n\n您的 MiSub 应用设置已成功更新。`;
-                    await sendTgNotification(finalSettings, message);
+                    await sendNotification(finalSettings, 'settings', {});
 
                     return new Response(JSON.stringify({ success: true, message: '设置已保存' }));
                 } catch (e) {
@@ -1070,42 +1337,62 @@ async function handleApiRequest(request, env) {
     
     return new Response('API route not found', { status: 404 });
 }
-// --- 名称前缀辅助函数 (无修改) ---
-function prependNodeName(link, prefix) {
-  if (!prefix) return link;
-  const appendToFragment = (baseLink, namePrefix) => {
-    const hashIndex = baseLink.lastIndexOf('#');
-    const originalName = hashIndex !== -1 ? decodeURIComponent(baseLink.substring(hashIndex + 1)) : '';
-    const base = hashIndex !== -1 ? baseLink.substring(0, hashIndex) : baseLink;
-    if (originalName.startsWith(namePrefix)) {
-        return baseLink;
+/**
+ * 管理端刷新订阅成功后同步更新上游缓存，写入失败不影响刷新结果
+ * @param {Object} storageAdapter
+ * @param {{id: string, url: string}} sub
+ * @param {string[]} links - fetchSubscription 返回的节点链接
+ * @param {number} cacheTtl - 缓存有效期 (分钟)
+ */
+async function refreshSubscriptionCache(storageAdapter, sub, links, cacheTtl) {
+    try {
+        const cached = await readSubscriptionCache(storageAdapter, sub);
+        await writeSubscriptionCache(storageAdapter, sub, links, cached, cacheTtl);
+    } catch (e) {
+        console.warn(`[MiSub] 写入订阅缓存失败: ${sub.name || sub.url}`, e.message);
     }
-    const newName = originalName ? `${namePrefix} - ${originalName}` : namePrefix;
-    return `${base}#${encodeURIComponent(newName)}`;
-  }
-  if (link.startsWith('vmess://')) {
+}
+
+/**
+ * 刷新成功后记录一条流量/节点数快照，并据此更新订阅的流量耗尽预测 (sub.usageForecast)
+ * 失败只记录日志，不影响刷新结果
+ * @param {Object} storageAdapter
+ * @param {Object} sub - 已更新 userInfo / nodeCount 的订阅
+ * @param {{userInfo?: Object|null, nodeCount?: number}} [fetched] - 本次获取的结果，覆盖订阅中对应的字段写入快照
+ */
+async function recordSubscriptionHistory(storageAdapter, sub, fetched = {}) {
     try {
-      const base64Part = link.substring('vmess://'.length);
-      const binaryString = atob(base64Part);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-          bytes[i] = binaryString.charCodeAt(i);
-      }
-      const jsonString = new TextDecoder('utf-8').decode(bytes);
-      const nodeConfig = JSON.parse(jsonString);
-      const originalPs = nodeConfig.ps || '';
-      if (!originalPs.startsWith(prefix)) {
-        nodeConfig.ps = originalPs ? `${prefix} - ${originalPs}` : prefix;
-      }
-      const newJsonString = JSON.stringify(nodeConfig);
-      const newBase64Part = btoa(unescape(encodeURIComponent(newJsonString)));
-      return 'vmess://' + newBase64Part;
+        const history = await appendSubscriptionHistory(storageAdapter, sub, createSubscriptionSnapshot({ ...sub, ...fetched }));
+        sub.usageForecast = forecastUsage(history, sub.userInfo);
     } catch (e) {
-      console.error("为 vmess 节点添加名称前缀失败，将回退到通用方法。", e);
-      return appendToFragment(link, prefix);
+        console.warn(`[MiSub] 写入订阅历史失败: ${sub.name || sub.url}`, e.message);
     }
-  }
-  return appendToFragment(link, prefix);
+}
+
+/**
+ * 请求上游刷新单个订阅的流量信息与节点数，并更新缓存与历史 (批量更新与 Telegram 机器人共用)
+ * 只修改传入的订阅对象，由调用方负责保存订阅列表
+ * @param {Object} storageAdapter
+ * @param {Object} sub
+ * @param {number} cacheTtl - 订阅缓存有效期 (分钟)
+ * @param {Function} [limiter] - 同时刷新多个订阅时共用的并发限制器
+ * @returns {Promise<Object>} - 更新后的订阅；请求失败时抛出错误
+ */
+async function refreshSubscription(storageAdapter, sub, cacheTtl, limiter) {
+    const fetched = await fetchSubscription(sub, { limiter });
+    // 更新流量信息
+    if (fetched.userInfo) {
+        sub.userInfo = fetched.userInfo;
+    }
+    // 更新节点数量
+    sub.nodeCount = fetched.count;
+    sub.conversionErrors = fetched.conversionErrors;
+    await refreshSubscriptionCache(storageAdapter, sub, fetched.links, cacheTtl);
+    // 与定时任务相同：快照记录本次获取到的值，什么都没获取到时不记录
+    if (fetched.userInfo || fetched.count > 0) {
+        await recordSubscriptionHistory(storageAdapter, sub, { userInfo: fetched.userInfo, nodeCount: fetched.count });
+    }
+    return sub;
 }
 
 /**
@@ -1132,12 +1419,17 @@ function getProcessedUserAgent(originalUserAgent, url = '') {
     // CF-Workers-SUB的精华策略：
     // 统一使用v2rayN UA获取订阅，绕过机场过滤同时保证获取完整节点
     // 不需要复杂的客户端判断，简单而有效
-    return 'v2rayN/6.45';
+    return DEFAULT_SUBSCRIPTION_USER_AGENT;
 }
 
 // --- 节点列表生成函数 ---
-async function generateCombinedNodeList(context, config, userAgent, misubs, prependedContent = '', profilePrefixSettings = null) {
-    const nodeRegex = /^(ss|ssr|vmess|vless|trojan|hysteria2?|hy|hy2|tuic|anytls|socks5):\/\//g;
+/**
+ * 合并订阅组内所有订阅与手动节点
+ * upstreamFailures 用于收集刷新失败的上游订阅，供访问日志记录
+ */
+async function generateCombinedNodeList(context, config, userAgent, misubs, prependedContent = '', profilePrefixSettings = null, profileRenameRules = null, profileRegionSettings = null, upstreamFailures = []) {
+    // 订阅组重命名规则在订阅自身规则之后、添加前缀之前执行
+    const compiledProfileRenameRules = compileRenameRules(profileRenameRules);
     
     // 判断是否启用手动节点前缀
     const shouldPrependManualNodes = profilePrefixSettings?.enableManualNodes ?? 
@@ -1149,112 +1441,54 @@ async function generateCombinedNodeList(context, config, userAgent, misubs, prep
         config.prefixConfig?.manualNodePrefix ?? 
         '手动节点';
     
+    // 每个条目记录节点链接及其待添加的前缀；fixed 表示过期/错误等提示节点，不参与地区处理
     const processedManualNodes = misubs.filter(sub => !sub.url.toLowerCase().startsWith('http')).map(node => {
         if (node.isExpiredNode) {
-            return node.url; // Directly use the URL for expired node
+            return { link: node.url, fixed: true }; // Directly use the URL for expired node
         } else {
-            // 修复手动SS节点中的URL编码问题
-            let processedUrl = node.url;
-            if (processedUrl.startsWith('ss://')) {
-                try {
-                    const hashIndex = processedUrl.indexOf('#');
-                    let baseLink = hashIndex !== -1 ? processedUrl.substring(0, hashIndex) : processedUrl;
-                    let fragment = hashIndex !== -1 ? processedUrl.substring(hashIndex) : '';
-                    
-                    // 检查base64部分是否包含URL编码字符
-                    const protocolEnd = baseLink.indexOf('://');
-                    const atIndex = baseLink.indexOf('@');
-                    if (protocolEnd !== -1 && atIndex !== -1) {
-                        const base64Part = baseLink.substring(protocolEnd + 3, atIndex);
-                        if (base64Part.includes('%')) {
-                            // 解码URL编码的base64部分
-                            const decodedBase64 = decodeURIComponent(base64Part);
-                            baseLink = 'ss://' + decodedBase64 + baseLink.substring(atIndex);
-                        }
-                    }
-                    processedUrl = baseLink + fragment;
-                } catch (e) {
-                    // 如果处理失败，使用原始链接
-                }
-            }
-            
-            return shouldPrependManualNodes ? prependNodeName(processedUrl, manualNodePrefix) : processedUrl;
+            // 规范化链接 (如修复 SS 节点中 URL 编码的 userinfo)
+            const processedUrl = renameNodeLink(normalizeNodeLink(node.url), compiledProfileRenameRules);
+            return { link: processedUrl, prefix: shouldPrependManualNodes ? manualNodePrefix : '' };
         }
-    }).join('\n');
+    });
 
     const httpSubs = misubs.filter(sub => sub.url.toLowerCase().startsWith('http'));
+    const storageAdapter = await getStorageAdapter(context.env);
+    const cacheTtl = Number(config.subscriptionCacheTtl) || 0;
+    const limiter = createFetchLimiter();
     const subPromises = httpSubs.map(async (sub) => {
         try {
-            // 使用处理后的用户代理
-            const processedUserAgent = getProcessedUserAgent(userAgent, sub.url);
-            const requestHeaders = { 'User-Agent': processedUserAgent };
-            const response = await Promise.race([
-                fetch(new Request(sub.url, { 
-                    headers: requestHeaders, 
-                    redirect: "follow", 
-                    cf: { 
-                        insecureSkipVerify: true,
-                        allowUntrusted: true,
-                        validateCertificate: false
-                    } 
-                })),
-                new Promise((_, reject) => setTimeout(() => reject(new Error('Request timed out')), 8000))
-            ]);
-            if (!response.ok) {
-                console.warn(`订阅请求失败: ${sub.url}, 状态: ${response.status}`);
-                return '';
-            }
-            let text = await response.text();
-            
-            // 智能内容类型检测 - 更精确的判断条件
-            if (text.includes('proxies:') && text.includes('rules:')) {
-                // 这是完整的Clash配置文件，不是节点列表
-                return '';
-            } else if (text.includes('outbounds') && text.includes('inbounds') && text.includes('route')) {
-                // 这是完整的Singbox配置文件，不是节点列表
-                return '';
-            }
-            try {
-                const cleanedText = text.replace(/\s/g, '');
-                if (isValidBase64(cleanedText)) {
-                    const binaryString = atob(cleanedText);
-                    const bytes = new Uint8Array(binaryString.length);
-                    for (let i = 0; i < binaryString.length; i++) { bytes[i] = binaryString.charCodeAt(i); }
-                    text = new TextDecoder('utf-8').decode(bytes);
-                }
-            } catch (e) {
-                // Base64解码失败，使用原始内容
-            }
-            let validNodes = text.replace(/\r\n/g, '\n').split('\n')
-                .map(line => line.trim())
-                .filter(line => /^(ss|ssr|vmess|vless|trojan|hysteria2?|hy|hy2|tuic|anytls|socks5):\/\//.test(line))
-                .map(line => {
-                    // 修复SS节点中的URL编码问题
-                    if (line.startsWith('ss://')) {
-                        try {
-                            const hashIndex = line.indexOf('#');
-                            let baseLink = hashIndex !== -1 ? line.substring(0, hashIndex) : line;
-                            let fragment = hashIndex !== -1 ? line.substring(hashIndex) : '';
-                            
-                            // 检查base64部分是否包含URL编码字符
-                            const protocolEnd = baseLink.indexOf('://');
-                            const atIndex = baseLink.indexOf('@');
-                            if (protocolEnd !== -1 && atIndex !== -1) {
-                                const base64Part = baseLink.substring(protocolEnd + 3, atIndex);
-                                if (base64Part.includes('%')) {
-                                    // 解码URL编码的base64部分
-                                    const decodedBase64 = decodeURIComponent(base64Part);
-                                    baseLink = 'ss://' + decodedBase64 + baseLink.substring(atIndex);
-                                }
-                            }
-                            return baseLink + fragment;
-                        } catch (e) {
-                            // 如果处理失败，返回原始链接
-                            return line;
+            const cached = await readSubscriptionCache(storageAdapter, sub).catch(() => null);
+            let validNodes;
+            if (isSubscriptionCacheFresh(cached, cacheTtl)) {
+                // TTL 内直接使用缓存，不请求上游
+                validNodes = cached.links;
+            } else {
+                try {
+                    // 使用处理后的用户代理，订阅可自定义 UA 与请求头；客户端在等待响应，总耗时收紧到 10 秒，失败时回退缓存
+                    const fetched = await fetchSubscription(sub, { userAgent: getProcessedUserAgent(userAgent, sub.url), totalBudget: 10000, limiter });
+                    if (fetched.conversionErrors.length > 0) {
+                        console.warn(`[MiSub] 订阅 ${sub.name || sub.url} 中有 ${fetched.conversionErrors.length} 个节点无法转换`, fetched.conversionErrors.slice(0, 5));
+                    }
+                    validNodes = fetched.links;
+                    context.waitUntil(writeSubscriptionCache(storageAdapter, sub, validNodes, cached, cacheTtl)
+                        .catch(e => console.warn(`[MiSub] 写入订阅缓存失败: ${sub.name || sub.url}`, e.message)));
+                } catch (fetchError) {
+                    upstreamFailures.push({ name: sub.name || sub.url, error: fetchError.message, stale: !!cached });
+                    // 刷新失败时回退到最后一次成功获取的内容
+                    if (!cached) {
+                        if (fetchError.status) {
+                            console.warn(`订阅请求失败: ${sub.url}, 状态: ${fetchError.status}`);
+                            return [];
                         }
+                        throw fetchError;
                     }
-                    return line;
-                });
+                    console.warn(`[MiSub] 订阅 ${sub.name || sub.url} 刷新失败，使用 ${cached.fetchedAt} 的缓存: ${fetchError.message}`);
+                    context.waitUntil(markSubscriptionCacheStale(storageAdapter, sub, cached, fetchError.message)
+                        .catch(e => console.warn(`[MiSub] 写入订阅缓存失败: ${sub.name || sub.url}`, e.message)));
+                    validNodes = cached.links;
+                }
+            }
 
             // [核心重構] 引入白名單 (keep:) 和黑名單 (exclude) 模式
             if (sub.exclude && sub.exclude.trim() !== '') {
@@ -1271,7 +1505,7 @@ async function generateCombinedNodeList(context, config, userAgent, misubs, prep
                         const content = rule.substring('keep:'.length).trim();
                         if (content.toLowerCase().startsWith('proto:')) {
                             const protocols = content.substring('proto:'.length).split(',').map(p => p.trim().toLowerCase());
-                            protocols.forEach(p => protocolsToKeep.add(p));
+                            protocols.forEach(p => protocolsToKeep.add(normalizeProtocol(p)));
                         } else {
                             nameRegexParts.push(content);
                         }
@@ -1281,23 +1515,13 @@ async function generateCombinedNodeList(context, config, userAgent, misubs, prep
                     
                     validNodes = validNodes.filter(nodeLink => {
                         // 檢查協議是否匹配
-                        const protocolMatch = nodeLink.match(/^(.*?):\/\//);
-                        const protocol = protocolMatch ? protocolMatch[1].toLowerCase() : '';
-                        if (protocolsToKeep.has(protocol)) {
+                        if (protocolsToKeep.has(getNodeProtocol(nodeLink))) {
                             return true;
                         }
 
                         // 檢查名稱是否匹配
-                        if (nameRegex) {
-                            const hashIndex = nodeLink.lastIndexOf('#');
-                            if (hashIndex !== -1) {
-                                try {
-                                    const nodeName = decodeURIComponent(nodeLink.substring(hashIndex + 1));
-                                    if (nameRegex.test(nodeName)) {
-                                        return true;
-                                    }
-                                } catch (e) { /* 忽略解碼錯誤 */ }
-                            }
+                        if (nameRegex && nameRegex.test(getNodeDisplayName(nodeLink))) {
+                            return true;
                         }
                         return false; // 白名單模式下，不匹配任何規則則排除
                     });
@@ -1310,7 +1534,7 @@ async function generateCombinedNodeList(context, config, userAgent, misubs, prep
                     rules.forEach(rule => {
                         if (rule.toLowerCase().startsWith('proto:')) {
                             const protocols = rule.substring('proto:'.length).split(',').map(p => p.trim().toLowerCase());
-                            protocols.forEach(p => protocolsToExclude.add(p));
+                            protocols.forEach(p => protocolsToExclude.add(normalizeProtocol(p)));
                         } else {
                             nameRegexParts.push(rule);
                         }
@@ -1319,64 +1543,58 @@ async function generateCombinedNodeList(context, config, userAgent, misubs, prep
                     const nameRegex = nameRegexParts.length > 0 ? new RegExp(nameRegexParts.join('|'), 'i') : null;
 
                     validNodes = validNodes.filter(nodeLink => {
-                        const protocolMatch = nodeLink.match(/^(.*?):\/\//);
-                        const protocol = protocolMatch ? protocolMatch[1].toLowerCase() : '';
-                        if (protocolsToExclude.has(protocol)) {
+                        if (protocolsToExclude.has(getNodeProtocol(nodeLink))) {
                             return false;
                         }
-
-                        if (nameRegex) {
-                            const hashIndex = nodeLink.lastIndexOf('#');
-                            if (hashIndex !== -1) {
-                                try {
-                                    const nodeName = decodeURIComponent(nodeLink.substring(hashIndex + 1));
-                                    if (nameRegex.test(nodeName)) {
-                                        return false;
-                                    }
-                                } catch (e) { /* 忽略解碼錯誤 */ }
-                            }
-                            // 修复：对于vmess协议，需要特殊处理节点名称
-                            else if (protocol === 'vmess') {
-                                try {
-                                    // 提取vmess链接中的Base64部分
-                                    const base64Part = nodeLink.substring('vmess://'.length);
-                                    // 解码Base64
-                                    const binaryString = atob(base64Part);
-                                    const bytes = new Uint8Array(binaryString.length);
-                                    for (let i = 0; i < binaryString.length; i++) {
-                                        bytes[i] = binaryString.charCodeAt(i);
-                                    }
-                                    const jsonString = new TextDecoder('utf-8').decode(bytes);
-                                    const nodeConfig = JSON.parse(jsonString);
-                                    const nodeName = nodeConfig.ps || '';
-                                    if (nameRegex.test(nodeName)) {
-                                        return false;
-                                    }
-                                } catch (e) { /* 忽略解码错误 */ }
-                            }
+                        if (nameRegex && nameRegex.test(getNodeDisplayName(nodeLink))) {
+                            return false;
                         }
                         return true;
                     });
                 }
             }
+
+            // 按顺序执行订阅与订阅组的重命名规则
+            const compiledSubRenameRules = compileRenameRules(sub.renameRules);
+            validNodes = validNodes.map(node => renameNodeLink(renameNodeLink(node, compiledSubRenameRules), compiledProfileRenameRules));
             
             // 判断是否启用订阅前缀
             const shouldPrependSubscriptions = profilePrefixSettings?.enableSubscriptions ?? 
                 config.prefixConfig?.enableSubscriptions ?? 
                 config.prependSubName ?? true;
             
-            return (shouldPrependSubscriptions && sub.name)
-                ? validNodes.map(node => prependNodeName(node, sub.name)).join('\n')
-                : validNodes.join('\n');
+            const prefix = (shouldPrependSubscriptions && sub.name) ? sub.name : '';
+            return validNodes.map(link => ({ link, prefix }));
         } catch (e) { 
             // 订阅处理错误，生成错误节点
             const errorNodeName = `连接错误-${sub.name || '未知'}`;
-            return `trojan://error@127.0.0.1:8888?security=tls&allowInsecure=1&type=tcp#${encodeURIComponent(errorNodeName)}`;
+            return [{ link: `trojan://error@127.0.0.1:8888?security=tls&allowInsecure=1&type=tcp#${encodeURIComponent(errorNodeName)}`, fixed: true }];
         }
     });
     const processedSubContents = await Promise.all(subPromises);
-    const combinedContent = (processedManualNodes + '\n' + processedSubContents.join('\n'));
-    const uniqueNodesString = [...new Set(combinedContent.split('\n').map(line => line.trim()).filter(line => line))].join('\n');
+    let entries = [...processedManualNodes, ...processedSubContents.flat()];
+
+    // 地区识别基于前缀添加前的名称，避免订阅名中的地区词干扰
+    if (profileRegionSettings?.sortByRegion) {
+        // 稳定排序：同地区内保持上游顺序
+        entries = entries
+            .map((entry, index) => ({ entry, index, order: entry.fixed ? -1 : getRegionOrder(getNodeName(entry.link)) }))
+            .sort((a, b) => (a.order - b.order) || (a.index - b.index))
+            .map(({ entry }) => entry);
+    }
+    if (profileRegionSettings?.addFlag || profileRegionSettings?.normalizeNames) {
+        const regionEntries = entries.filter(entry => !entry.fixed);
+        const newNames = formatRegionNames(regionEntries.map(entry => getNodeName(entry.link)), profileRegionSettings);
+        regionEntries.forEach((entry, index) => {
+            const name = getNodeName(entry.link);
+            if (newNames[index] !== name) entry.link = setNodeName(entry.link, newNames[index]);
+            // 规范化后的名称即完整名称，不再添加订阅名 / 手动节点前缀；无法识别地区的节点保持原名与前缀
+            if (profileRegionSettings.normalizeNames && detectRegion(name)) entry.prefix = '';
+        });
+    }
+
+    const finalLinks = entries.map(({ link, prefix }) => prefix ? prependNodeName(link, prefix) : link);
+    const uniqueNodesString = [...new Set(finalLinks.map(line => line.trim()).filter(line => line))].join('\n');
 
     // 确保最终的字符串在非空时以换行符结束，以兼容 subconverter
     let finalNodeList = uniqueNodesString;
@@ -1391,6 +1609,62 @@ async function generateCombinedNodeList(context, config, userAgent, misubs, prep
     return finalNodeList;
 }
 
+// 内置的客户端配置生成器 (target -> generator)
+const BUILT_IN_GENERATORS = {
+    clash: generateClashConfig,
+    singbox: generateSingboxConfig,
+    surge: generateSurgeConfig,
+    loon: generateLoonConfig,
+    quanx: generateQuanxConfig
+};
+
+// 内置生成器中可以写注释的格式 (sing-box 为 JSON，跳过的节点只通过响应头返回)
+const CONFIG_COMMENT_PREFIX = { clash: '#', surge: '#', loon: '#', quanx: '#' };
+// X-MiSub-Skipped-Details 响应头的长度上限 (URI 编码后)
+const SKIPPED_DETAILS_MAX_LENGTH = 4000;
+
+/**
+ * 生成器跳过节点的说明；解析失败的条目只有原始链接，补上节点名
+ * @param {{link?: string, name?: string, error: string}} error
+ * @returns {string}
+ */
+function describeGeneratorError(error) {
+    if (!error.link) return error.error;
+    return `节点 "${getNodeDisplayName(error.link) || error.link.slice(0, 40)}" 解析失败: ${error.error}`;
+}
+
+/**
+ * 把内置生成器跳过的节点告知客户端：响应头 X-MiSub-Skipped-Nodes 为数量，
+ * X-MiSub-Skipped-Details 为说明列表 (URI 编码的 JSON，超出长度上限的部分省略)；
+ * 支持注释的格式还会在配置开头附上说明，便于在客户端中直接查看
+ * @param {string} targetFormat
+ * @param {string} content - 生成的配置
+ * @param {Object[]} errors - 生成器返回的 errors
+ * @param {Object} headers - 响应头 (原地修改)
+ * @returns {string} - 最终的配置内容
+ */
+function reportSkippedNodes(targetFormat, content, errors, headers) {
+    if (errors.length === 0) return content;
+    const messages = errors.map(describeGeneratorError);
+    console.warn(`[MiSub Generator] ${targetFormat}: 跳过 ${errors.length} 个无法转换的节点`, messages.slice(0, 5));
+
+    const details = [];
+    for (const message of messages) {
+        if (encodeURIComponent(JSON.stringify([...details, message])).length > SKIPPED_DETAILS_MAX_LENGTH) break;
+        details.push(message);
+    }
+    headers['X-MiSub-Skipped-Nodes'] = String(errors.length);
+    headers['X-MiSub-Skipped-Details'] = encodeURIComponent(JSON.stringify(details));
+
+    const commentPrefix = CONFIG_COMMENT_PREFIX[targetFormat];
+    if (!commentPrefix) return content;
+    return [
+        `${commentPrefix} MiSub: 以下 ${errors.length} 个节点无法转换，已跳过`,
+        ...messages.map(message => `${commentPrefix} - ${message.replace(/\s+/g, ' ')}`),
+        content
+    ].join('\n');
+}
+
 // --- [核心修改] 订阅处理函数 ---
 async function handleMisubRequest(context) {
     const { request, env } = context;
@@ -1407,7 +1681,7 @@ async function handleMisubRequest(context) {
     const allMisubs = misubsData || [];
     const allProfiles = profilesData || [];
     // 关键：我们在这里定义了 `config`，后续都应该使用它
-    const config = migrateConfigSettings({ ...defaultSettings, ...settings }); 
+    const config = { ...defaultSettings, ...settings };
 
     let token = '';
     let profileIdentifier = null;
@@ -1426,7 +1700,9 @@ async function handleMisubRequest(context) {
     let subName = config.FileName;
     let effectiveSubConverter;
     let effectiveSubConfig;
+    let useExternalConverter = false; // 仅当订阅组显式选择外部 subconverter 时才使用
     let isProfileExpired = false; // Moved declaration here
+    let activeProfile = null;
 
     const DEFAULT_EXPIRED_NODE = `trojan://00000000-0000-0000-0000-000000000000@127.0.0.1:443#${encodeURIComponent('您的订阅已失效')}`;
 
@@ -1438,6 +1714,7 @@ async function handleMisubRequest(context) {
         }
         const profile = allProfiles.find(p => (p.customId && p.customId === profileIdentifier) || p.id === profileIdentifier);
         if (profile && profile.enabled) {
+            activeProfile = profile;
             // Check if the profile has an expiration date and if it's expired
 
             if (profile.expiresAt) {
@@ -1469,6 +1746,7 @@ async function handleMisubRequest(context) {
             }
             effectiveSubConverter = profile.subConverter && profile.subConverter.trim() !== '' ? profile.subConverter : config.subConverter;
             effectiveSubConfig = profile.subConfig && profile.subConfig.trim() !== '' ? profile.subConfig : config.subConfig;
+            useExternalConverter = profile.useExternalConverter === true;
         } else {
             return new Response('Profile not found or disabled', { status: 404 });
         }
@@ -1483,13 +1761,9 @@ async function handleMisubRequest(context) {
         effectiveSubConfig = config.subConfig;
     }
 
-    if (!effectiveSubConverter || effectiveSubConverter.trim() === '') {
-        return new Response('Subconverter backend is not configured.', { status: 500 });
-    }
-    
     let targetFormat = url.searchParams.get('target');
     if (!targetFormat) {
-        const supportedFormats = ['clash', 'singbox', 'surge', 'loon', 'base64', 'v2ray', 'trojan'];
+        const supportedFormats = ['clash', 'singbox', 'surge', 'loon', 'quanx', 'base64', 'v2ray', 'trojan'];
         for (const format of supportedFormats) {
             if (url.searchParams.has(format)) {
                 if (format === 'v2ray' || format === 'trojan') { targetFormat = 'base64'; } else { targetFormat = format; }
@@ -1533,31 +1807,55 @@ async function handleMisubRequest(context) {
     }
     if (!targetFormat) { targetFormat = 'base64'; }
 
+    // 客户端访问记录 (subconverter 的回调请求不记录)，在返回响应时写入 D1
+    let accessLogEntry = null;
+    const upstreamFailures = [];
+    const respond = (response) => {
+        if (accessLogEntry) {
+            const limits = { retentionDays: Number(config.accessLogRetentionDays) || 0, maxRows: Number(config.accessLogMaxRows) || 0 };
+            context.waitUntil(writeAccessLog(env.MISUB_DB, accessLogEntry, response.clone(), limits)
+                .catch(e => console.warn('[MiSub] 写入访问日志失败', e.message)));
+        }
+        return response;
+    };
+
     if (!url.searchParams.has('callback_token')) {
         const clientIp = request.headers.get('CF-Connecting-IP') || 'N/A';
         const country = request.headers.get('CF-IPCountry') || 'N/A';
         const domain = url.hostname;
         
-        let additionalData = `*域名:* \`${domain}\`\n*客户端:* \`${userAgentHeader}\`\n*请求格式:* \`${targetFormat}\``;
+        const accessData = { domain, userAgent: userAgentHeader, format: targetFormat, profile: '', profileExpire: '' };
         
-        if (profileIdentifier) {
-            additionalData += `\n*订阅组:* \`${subName}\``;
-            const profile = allProfiles.find(p => (p.customId && p.customId === profileIdentifier) || p.id === profileIdentifier);
-            if (profile && profile.expiresAt) {
-                const expiryDateStr = new Date(profile.expiresAt).toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' });
-                additionalData += `\n*到期时间:* \`${expiryDateStr}\``;
+        if (activeProfile) {
+            accessData.profile = subName;
+            if (activeProfile.expiresAt) {
+                accessData.profileExpire = getNotificationFormatter(config).formatDateTime(activeProfile.expiresAt);
             }
         }
         
-        // 使用增强版TG通知，包含IP地理位置信息
-        context.waitUntil(sendEnhancedTgNotification(config, '🛰️ *订阅被访问*', clientIp, additionalData));
+        // 访问通知 (按设置节流或累计到汇总)，订阅组可单独关闭
+        if (activeProfile?.accessNotify !== false) {
+            context.waitUntil(notifyAccess(storageAdapter, env.MISUB_DB, config, clientIp, accessData, activeProfile?.id || ''));
+        }
+        if (env.MISUB_DB && config.accessLogEnabled !== false) {
+            accessLogEntry = {
+                tokenType: activeProfile ? 'profile' : 'main',
+                profileId: activeProfile?.id || '',
+                profileName: activeProfile ? subName : '',
+                format: targetFormat,
+                userAgent: userAgentHeader,
+                ip: clientIp,
+                country,
+                upstreamFailures
+            };
+        }
     }
 
     let prependedContentForSubconverter = '';
 
     if (isProfileExpired) { // Use the flag set earlier
         prependedContentForSubconverter = ''; // Expired node is now in targetMisubs
-    } else {
+    } else if (config.enableTrafficNode !== false) {
         // Otherwise, add traffic remaining info if applicable
         const totalRemainingBytes = targetMisubs.reduce((acc, sub) => {
             if (sub.enabled && sub.userInfo && sub.userInfo.total > 0) {
@@ -1574,13 +1872,34 @@ async function handleMisubRequest(context) {
         }
     }
 
+    // 客户端可直接读取的流量与更新间隔响应头
+    const subscriptionInfoHeaders = {};
+    if (!isProfileExpired) {
+        const userInfo = aggregateUserInfo(targetMisubs.filter(sub => sub.enabled), config.userInfoAggregation);
+        // 订阅组自身的到期时间早于上游时，以订阅组为准
+        const profileExpire = activeProfile?.expiresAt ? Math.floor(new Date(activeProfile.expiresAt).getTime() / 1000) : 0;
+        if (userInfo && profileExpire > 0 && (!userInfo.expire || profileExpire < userInfo.expire)) {
+            userInfo.expire = profileExpire;
+        }
+        if (userInfo) {
+            subscriptionInfoHeaders['subscription-userinfo'] = formatUserInfoHeader(userInfo);
+        }
+    }
+    const updateInterval = Number(config.profileUpdateInterval);
+    if (updateInterval > 0) {
+        subscriptionInfoHeaders['profile-update-interval'] = String(updateInterval);
+    }
+
     const combinedNodeList = await generateCombinedNodeList(
         context, 
         config, 
         userAgentHeader, 
         targetMisubs, 
         prependedContentForSubconverter,
-        profileIdentifier ? allProfiles.find(p => (p.customId && p.customId === profileIdentifier) || p.id === profileIdentifier)?.prefixSettings : null
+        activeProfile?.prefixSettings ?? null,
+        activeProfile?.renameRules ?? null,
+        activeProfile?.regionSettings ?? null,
+        upstreamFailures
     );
 
     if (targetFormat === 'base64') {
@@ -1590,8 +1909,25 @@ async function handleMisubRequest(context) {
         } else {
             contentToEncode = combinedNodeList;
         }
-        const headers = { "Content-Type": "text/plain; charset=utf-8", 'Cache-Control': 'no-store, no-cache' };
-        return new Response(btoa(unescape(encodeURIComponent(contentToEncode))), { headers });
+        const headers = { "Content-Type": "text/plain; charset=utf-8", 'Cache-Control': 'no-store, no-cache', ...subscriptionInfoHeaders };
+        return respond(new Response(btoa(unescape(encodeURIComponent(contentToEncode))), { headers }));
+    }
+
+    // 内置生成器：除非订阅组显式选择外部 subconverter，否则直接在本地生成配置
+    const builtInGenerator = BUILT_IN_GENERATORS[targetFormat];
+    if (builtInGenerator && !useExternalConverter) {
+        const { content, errors } = builtInGenerator(combinedNodeList, config);
+        const headers = {
+            "Content-Type": 'text/plain; charset=utf-8',
+            "Content-Disposition": `attachment; filename*=utf-8''${encodeURIComponent(subName)}`,
+            'Cache-Control': 'no-store, no-cache',
+            ...subscriptionInfoHeaders
+        };
+        return respond(new Response(reportSkippedNodes(targetFormat, content, errors, headers), { headers }));
+    }
+
+    if (!effectiveSubConverter || effectiveSubConverter.trim() === '') {
+        return respond(new Response('Subconverter backend is not configured.', { status: 500 }));
     }
 
     const base64Content = btoa(unescape(encodeURIComponent(combinedNodeList)));
@@ -1627,10 +1963,13 @@ async function handleMisubRequest(context) {
         responseHeaders.set("Content-Disposition", `attachment; filename*=utf-8''${encodeURIComponent(subName)}`);
         responseHeaders.set('Content-Type', 'text/plain; charset=utf-8');
         responseHeaders.set('Cache-Control', 'no-store, no-cache');
-        return new Response(responseText, { status: subconverterResponse.status, statusText: subconverterResponse.statusText, headers: responseHeaders });
+        for (const [key, value] of Object.entries(subscriptionInfoHeaders)) {
+            responseHeaders.set(key, value);
+        }
+        return respond(new Response(responseText, { status: subconverterResponse.status, statusText: subconverterResponse.statusText, headers: responseHeaders }));
     } catch (error) {
         console.error(`[MiSub Final Error] ${error.message}`);
-        return new Response(`Error connecting to subconverter: ${error.message}`, { status: 502 });
+        return respond(new Response(`Error connecting to subconverter: ${error.message}`, { status: 502 }));
     }
 }
 
@@ -1650,7 +1989,16 @@ export async function onRequest(context) {
     const url = new URL(request.url);
 
     // **核心修改：判斷是否為定時觸發**
-    if (request.headers.get("cf-cron")) {
+    const isCron = Boolean(request.headers.get("cf-cron"));
+    const isStaticAsset = /^\/(assets|@vite|src)\/./.test(url.pathname) || /\.\w+$/.test(url.pathname);
+    if (!isCron && (isStaticAsset || url.pathname === '/')) {
+        return next();
+    }
+
+    // 处理请求前先把存储数据迁移到最新结构 (同一 Worker 实例只检查一次)
+    await ensureDataMigrated(() => getStorageAdapter(env), env, MIGRATION_KEYS);
+
+    if (isCron) {
         return handleCronTrigger(env);
     }
 
@@ -1658,9 +2006,5 @@ export async function onRequest(context) {
         const response = await handleApiRequest(request, env);
         return response;
     }
-    const isStaticAsset = /^\/(assets|@vite|src)\/./.test(url.pathname) || /\.\w+$/.test(url.pathname);
-    if (!isStaticAsset && url.pathname !== '/') {
-        return handleMisubRequest(context);
-    }
-    return next();
+    return handleMisubRequest(context);
 }
\ No newline at end of file
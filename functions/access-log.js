@@ -0,0 +1,210 @@
+/**
+ * 订阅访问日志 (D1)
+ * 每次客户端拉取订阅写入一条结构化记录，供访问日志接口查询与统计；
+ * 只在绑定了 D1 数据库时记录，与数据存储类型无关
+ */
+
+// 首次写入时自动建表，已按旧版 schema.sql 初始化的数据库无需手动升级
+const ACCESS_LOG_SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS access_logs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at INTEGER NOT NULL,
+        token_type TEXT NOT NULL,
+        profile_id TEXT,
+        profile_name TEXT,
+        format TEXT,
+        client TEXT,
+        user_agent TEXT,
+        ip TEXT,
+        country TEXT,
+        status INTEGER,
+        response_size INTEGER,
+        upstream_failures INTEGER NOT NULL DEFAULT 0,
+        upstream_errors TEXT
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_access_logs_created_at ON access_logs(created_at)',
+    'CREATE INDEX IF NOT EXISTS idx_access_logs_profile_id ON access_logs(profile_id)'
+];
+
+// 清理过期记录的最小间隔，避免每次访问都执行删除
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// 统计中每类列出的条目数
+const SUMMARY_LIMIT = 10;
+// 单次查询返回的最大记录数
+const MAX_QUERY_LIMIT = 200;
+
+let schemaReady = false;
+let lastPrunedAt = 0;
+
+/**
+ * @typedef {Object} AccessLogEntry
+ * @property {'main'|'profile'} tokenType - 通过主订阅 token 还是订阅组访问
+ * @property {string} profileId
+ * @property {string} profileName
+ * @property {string} format - 请求的订阅格式
+ * @property {string} userAgent
+ * @property {string} ip
+ * @property {string} country - CF-IPCountry
+ * @property {{name: string, error: string, stale: boolean}[]} upstreamFailures - 刷新失败的上游订阅 (stale 表示已回退到缓存)
+ */
+
+async function ensureSchema(db) {
+    if (schemaReady) return;
+    await db.batch(ACCESS_LOG_SCHEMA.map(sql => db.prepare(sql)));
+    schemaReady = true;
+}
+
+/**
+ * 从 User-Agent 中提取客户端名称 (第一个产品标识)，浏览器统一归为 Browser
+ * @param {string} userAgent
+ * @returns {string}
+ */
+export function getClientName(userAgent) {
+    const ua = String(userAgent || '').trim();
+    if (/^mozilla\//i.test(ua)) return 'Browser';
+    return ua.match(/^[^\s/;(]+/)?.[0] || 'Unknown';
+}
+
+/**
+ * 按保留天数与最大条数删除旧记录
+ * @param {D1Database} db
+ * @param {{retentionDays: number, maxRows: number}} limits - 0 表示不限制
+ */
+export async function pruneAccessLogs(db, { retentionDays, maxRows }) {
+    await ensureSchema(db);
+    if (retentionDays > 0) {
+        await db.prepare('DELETE FROM access_logs WHERE created_at < ?').bind(Date.now() - retentionDays * DAY_MS).run();
+    }
+    if (maxRows > 0) {
+        await db.prepare(
+            'DELETE FROM access_logs WHERE id <= (SELECT id FROM access_logs ORDER BY id DESC LIMIT 1 OFFSET ?)'
+        ).bind(maxRows).run();
+    }
+    lastPrunedAt = Date.now();
+}
+
+/**
+ * 写入一条访问记录，响应大小与状态码从最终响应中读取
+ * @param {D1Database} db
+ * @param {AccessLogEntry} entry
+ * @param {Response} response - 返回给客户端的响应的副本
+ * @param {{retentionDays: number, maxRows: number}} limits
+ */
+export async function writeAccessLog(db, entry, response, limits) {
+    await ensureSchema(db);
+    const size = (await response.arrayBuffer()).byteLength;
+    const failures = entry.upstreamFailures || [];
+    await db.prepare(`
+        INSERT INTO access_logs (created_at, token_type, profile_id, profile_name, format, client, user_agent, ip, country, status, response_size, upstream_failures, upstream_errors)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).bind(
+        Date.now(),
+        entry.tokenType,
+        entry.profileId || null,
+        entry.profileName || null,
+        entry.format,
+        getClientName(entry.userAgent),
+        entry.userAgent,
+        entry.ip,
+        entry.country,
+        response.status,
+        size,
+        failures.length,
+        failures.length > 0 ? JSON.stringify(failures) : null
+    ).run();
+
+    if (Date.now() - lastPrunedAt > PRUNE_INTERVAL_MS) {
+        await pruneAccessLogs(db, limits);
+    }
+}
+
+/**
+ * 把查询参数转换为 WHERE 子句
+ * @param {{profile?: string, client?: string, from?: number, to?: number}} filters
+ * @returns {{where: string, params: any[]}}
+ */
+function buildWhere({ profile, client, from, to }) {
+    const clauses = [];
+    const params = [];
+    if (profile === 'main') {
+        clauses.push("token_type = 'main'");
+    } else if (profile) {
+        clauses.push('profile_id = ?');
+        params.push(profile);
+    }
+    if (client) {
+        clauses.push('(client = ? OR user_agent LIKE ?)');
+        params.push(client, `%${client}%`);
+    }
+    if (from) {
+        clauses.push('created_at >= ?');
+        params.push(from);
+    }
+    if (to) {
+        clauses.push('created_at < ?');
+        params.push(to);
+    }
+    return { where: clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+const parseUpstreamErrors = (value) => {
+    try {
+        return value ? JSON.parse(value) : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+/**
+ * 查询访问记录 (按时间倒序) 及筛选范围内的统计
+ * @param {D1Database} db
+ * @param {{profile?: string, client?: string, from?: number, to?: number, limit?: number, offset?: number}} filters
+ *   profile 为订阅组 ID，'main' 表示通过主订阅 token 的访问；from / to 为毫秒时间戳 (to 不含)
+ * @returns {Promise<{total: number, logs: Object[], summary: Object}>}
+ */
+export async function queryAccessLogs(db, filters = {}) {
+    await ensureSchema(db);
+    const { where, params } = buildWhere(filters);
+    const limit = Math.min(Math.max(Number(filters.limit) || 50, 1), MAX_QUERY_LIMIT);
+    const offset = Math.max(Number(filters.offset) || 0, 0);
+
+    const topBy = (column) => db.prepare(
+        `SELECT ${column} AS name, COUNT(*) AS count FROM access_logs ${where} GROUP BY ${column} ORDER BY count DESC LIMIT ${SUMMARY_LIMIT}`
+    ).bind(...params);
+
+    const [totals, rows, clients, countries, formats] = await db.batch([
+        db.prepare(`SELECT COUNT(*) AS total, COUNT(DISTINCT ip) AS uniqueIps, SUM(CASE WHEN upstream_failures > 0 THEN 1 ELSE 0 END) AS withFailures FROM access_logs ${where}`).bind(...params),
+        db.prepare(`SELECT * FROM access_logs ${where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`).bind(...params, limit, offset),
+        topBy('client'),
+        topBy('country'),
+        topBy('format')
+    ]);
+
+    const { total = 0, uniqueIps = 0, withFailures = 0 } = totals.results[0] || {};
+    return {
+        total,
+        logs: rows.results.map(row => ({
+            id: row.id,
+            time: row.created_at,
+            tokenType: row.token_type,
+            profileId: row.profile_id,
+            profileName: row.profile_name,
+            format: row.format,
+            client: row.client,
+            userAgent: row.user_agent,
+            ip: row.ip,
+            country: row.country,
+            status: row.status,
+            responseSize: row.response_size,
+            upstreamFailures: parseUpstreamErrors(row.upstream_errors)
+        })),
+        summary: {
+            uniqueIps,
+            withFailures: withFailures || 0,
+            clients: clients.results,
+            countries: countries.results,
+            formats: formats.results
+        }
+    };
+}
@@ -0,0 +1,296 @@
+/**
+ * 订阅访问通知的节流与汇总
+ * 客户端定时自动更新会频繁触发访问通知，这里按 IP / 订阅组限制通知频率，
+ * 或在汇总模式下只累计访问记录，由定时任务按小时或按天发送一条汇总
+ *
+ * 绑定 D1 时每次访问只向 access_notify_events 表插入一行 (节流判断与插入在同一条语句中完成)，
+ * 汇总由定时任务查询统计；未绑定 D1 时退回到读写 ACCESS_NOTIFY_STATE_KEY，
+ * 并发访问可能互相覆盖计数，KV 的最终一致性也使节流窗口在不同地区间不够准确
+ */
+import { ACCESS_NOTIFY_STATE_KEY } from './storage-adapter.js';
+
+const MINUTE_MS = 60 * 1000;
+
+/** 汇总模式的发送间隔 */
+export const ACCESS_DIGEST_INTERVALS = {
+    hourly: 60 * MINUTE_MS,
+    daily: 24 * 60 * MINUTE_MS
+};
+
+// 汇总中每类统计最多保留的条目数，超出部分计入「其他」，避免记录无限增长
+const DIGEST_MAX_ENTRIES = 50;
+const DIGEST_OTHER_KEY = '其他';
+// 汇总通知中每类统计列出的条目数
+const DIGEST_LIST_LIMIT = 5;
+
+/**
+ * @typedef {Object} AccessRecord
+ * @property {string} clientIp
+ * @property {string} profileKey - 订阅组 ID，未使用订阅组时为空字符串
+ * @property {string} profile - 订阅组名称
+ * @property {string} userAgent
+ */
+
+/**
+ * @typedef {Object} AccessDigest
+ * @property {number} since - 第一条访问的时间戳
+ * @property {number} count - 访问次数
+ * @property {Object<string, number>} ips - 各 IP 的访问次数
+ * @property {Object<string, number>} profiles - 各订阅组的访问次数
+ * @property {Object<string, number>} clients - 各客户端的访问次数
+ */
+
+/**
+ * @typedef {Object} AccessNotifyState
+ * @property {Object<string, number>} lastSent - 节流键 -> 上次通知时间
+ * @property {AccessDigest|null} digest - 尚未发送的汇总
+ * @property {number} [lastDigestAt] - 上次发送汇总的时间
+ */
+
+/**
+ * @param {Object} storageAdapter
+ * @returns {Promise<AccessNotifyState>}
+ */
+export async function readAccessNotifyState(storageAdapter) {
+    const state = await storageAdapter.get(ACCESS_NOTIFY_STATE_KEY);
+    return {
+        lastSent: state?.lastSent || {},
+        digest: state?.digest || null,
+        lastDigestAt: state?.lastDigestAt
+    };
+}
+
+/**
+ * @param {Object} storageAdapter
+ * @param {AccessNotifyState} state
+ */
+export async function writeAccessNotifyState(storageAdapter, state) {
+    await storageAdapter.put(ACCESS_NOTIFY_STATE_KEY, state);
+}
+
+const throttleKeys = (access, { ipWindow, profileWindow }) => [
+    ipWindow > 0 && [`ip:${access.clientIp}`, ipWindow],
+    profileWindow > 0 && [`profile:${access.profileKey}`, profileWindow]
+].filter(Boolean);
+
+/**
+ * 判断本次访问是否处于节流窗口内；未被节流时记录通知时间
+ * 同一 IP 或同一订阅组在各自的窗口内只通知一次
+ * @param {AccessNotifyState} state
+ * @param {AccessRecord} access
+ * @param {{ipWindow: number, profileWindow: number}} windows - 窗口长度 (分钟)，0 表示不限制
+ * @param {number} [now]
+ * @returns {boolean} - true 表示应跳过本次通知
+ */
+export function throttleAccess(state, access, windows, now = Date.now()) {
+    const keys = throttleKeys(access, windows);
+    if (keys.some(([key, window]) => now - (state.lastSent[key] || 0) < window * MINUTE_MS)) {
+        return true;
+    }
+
+    // 清理已过期的记录，避免大量不同 IP 使记录无限增长
+    const maxWindow = Math.max(windows.ipWindow || 0, windows.profileWindow || 0) * MINUTE_MS;
+    state.lastSent = Object.fromEntries(Object.entries(state.lastSent).filter(([, time]) => now - time < maxWindow));
+    keys.forEach(([key]) => { state.lastSent[key] = now; });
+    return false;
+}
+
+function increment(counter, key, amount = 1) {
+    if (!(key in counter) && Object.keys(counter).length >= DIGEST_MAX_ENTRIES) {
+        key = DIGEST_OTHER_KEY;
+    }
+    counter[key] = (counter[key] || 0) + amount;
+}
+
+/**
+ * 把一次访问累计到待发送的汇总中
+ * @param {AccessNotifyState} state
+ * @param {AccessRecord} access
+ * @param {number} [now]
+ */
+export function addAccessToDigest(state, access, now = Date.now()) {
+    const digest = state.digest || (state.digest = { since: now, count: 0, ips: {}, profiles: {}, clients: {} });
+    digest.count++;
+    increment(digest.ips, access.clientIp || 'N/A');
+    increment(digest.profiles, access.profile || '全部订阅');
+    increment(digest.clients, access.userAgent || 'N/A');
+}
+
+/**
+ * 合并两份汇总 (切换到 D1 前 KV 中尚未发送的汇总与 D1 中的汇总)
+ * @param {AccessDigest|null} a
+ * @param {AccessDigest|null} b
+ * @returns {AccessDigest|null}
+ */
+export function mergeAccessDigests(a, b) {
+    if (!a || !b) return a || b;
+    const merged = { since: Math.min(a.since, b.since), count: a.count + b.count, ips: { ...a.ips }, profiles: { ...a.profiles }, clients: { ...a.clients } };
+    ['ips', 'profiles', 'clients'].forEach(field => {
+        Object.entries(b[field]).forEach(([key, count]) => increment(merged[field], key, count));
+    });
+    return merged;
+}
+
+/**
+ * 判断是否到了发送汇总的时间
+ * @param {AccessNotifyState} state
+ * @param {string} interval - 'hourly' 或 'daily'
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function isAccessDigestDue(state, interval, now = Date.now()) {
+    if (!state.digest || state.digest.count === 0) return false;
+    const period = ACCESS_DIGEST_INTERVALS[interval] || ACCESS_DIGEST_INTERVALS.hourly;
+    return now - (state.lastDigestAt || state.digest.since) >= period;
+}
+
+// UA、IP 与订阅组名放在 `代码` 中显示，去掉其中的反引号以免破坏 Markdown 导致发送失败
+const code = (text) => `\`${String(text ?? '').replace(/`/g, "'")}\``;
+
+const formatTopEntries = (counter) => {
+    const entries = Object.entries(counter).sort((a, b) => b[1] - a[1]);
+    const lines = entries.slice(0, DIGEST_LIST_LIMIT).map(([key, count]) => `  • ${code(key)} × ${count}`);
+    if (entries.length > DIGEST_LIST_LIMIT) lines.push(`  • 另有 ${entries.length - DIGEST_LIST_LIMIT} 项`);
+    return lines.join('\n');
+};
+
+/**
+ * 生成汇总通知的模板数据
+ * @param {AccessDigest} digest
+ * @param {(value: number) => string} formatDateTime
+ * @param {number} [now]
+ * @returns {Object} - 见 TEMPLATE_VARIABLES.accessDigest
+ */
+export function buildAccessDigestData(digest, formatDateTime, now = Date.now()) {
+    const ipCount = Object.keys(digest.ips).filter(key => key !== DIGEST_OTHER_KEY).length;
+    return {
+        count: digest.count,
+        ipCount: DIGEST_OTHER_KEY in digest.ips ? `${ipCount}+` : ipCount,
+        since: formatDateTime(digest.since),
+        until: formatDateTime(now),
+        ips: formatTopEntries(digest.ips),
+        profiles: formatTopEntries(digest.profiles),
+        clients: formatTopEntries(digest.clients)
+    };
+}
+
+// --- D1 存储 ---
+
+const ACCESS_NOTIFY_SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS access_notify_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        created_at INTEGER NOT NULL,
+        kind TEXT NOT NULL,
+        ip TEXT NOT NULL,
+        profile_key TEXT NOT NULL,
+        profile TEXT NOT NULL,
+        client TEXT NOT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_access_notify_events_kind ON access_notify_events(kind, created_at)'
+];
+
+// kind: 'sent' 为已发送即时通知的访问 (用于节流)，'digest' 为待汇总的访问
+const EVENT_SENT = 'sent';
+const EVENT_DIGEST = 'digest';
+
+let schemaReady = false;
+
+async function ensureSchema(db) {
+    if (schemaReady) return;
+    await db.batch(ACCESS_NOTIFY_SCHEMA.map(sql => db.prepare(sql)));
+    schemaReady = true;
+}
+
+const eventValues = (access) => [access.clientIp || 'N/A', access.profileKey || '', access.profile || '全部订阅', access.userAgent || 'N/A'];
+
+/**
+ * 与 throttleAccess 相同的判断，记录保存在 D1 中：窗口内没有已通知的访问时插入一条记录，否则跳过
+ * 判断与插入在同一条语句中完成，并发访问不会重复通知
+ * @param {D1Database} db
+ * @param {AccessRecord} access
+ * @param {{ipWindow: number, profileWindow: number}} windows - 窗口长度 (分钟)，0 表示不限制
+ * @param {number} [now]
+ * @returns {Promise<boolean>} - true 表示应跳过本次通知
+ */
+export async function throttleAccessInD1(db, access, windows, now = Date.now()) {
+    await ensureSchema(db);
+    const ipWindow = windows.ipWindow || 0;
+    const profileWindow = windows.profileWindow || 0;
+    const inserted = await db.prepare(`
+        INSERT INTO access_notify_events (created_at, kind, ip, profile_key, profile, client)
+        SELECT ?, ?, ?, ?, ?, ?
+        WHERE NOT EXISTS (
+            SELECT 1 FROM access_notify_events
+            WHERE kind = ? AND ((? > 0 AND ip = ? AND created_at > ?) OR (? > 0 AND profile_key = ? AND created_at > ?))
+        )
+        RETURNING id
+    `).bind(
+        now, EVENT_SENT, ...eventValues(access),
+        EVENT_SENT,
+        ipWindow, access.clientIp || 'N/A', now - ipWindow * MINUTE_MS,
+        profileWindow, access.profileKey || '', now - profileWindow * MINUTE_MS
+    ).first();
+    return !inserted;
+}
+
+/**
+ * 把一次访问记录为待汇总
+ * @param {D1Database} db
+ * @param {AccessRecord} access
+ * @param {number} [now]
+ */
+export async function addAccessToDigestInD1(db, access, now = Date.now()) {
+    await ensureSchema(db);
+    await db.prepare(
+        'INSERT INTO access_notify_events (created_at, kind, ip, profile_key, profile, client) VALUES (?, ?, ?, ?, ?, ?)'
+    ).bind(now, EVENT_DIGEST, ...eventValues(access)).run();
+}
+
+// 按访问次数排列的统计行转换为计数对象，超出条目数上限的部分计入「其他」
+function rowsToCounter(rows) {
+    const counter = {};
+    rows.forEach(row => increment(counter, row.key, row.count));
+    return counter;
+}
+
+/**
+ * 统计 D1 中截至 until 的待汇总访问
+ * @param {D1Database} db
+ * @param {number} until
+ * @returns {Promise<AccessDigest|null>}
+ */
+export async function readAccessDigestFromD1(db, until) {
+    await ensureSchema(db);
+    const groupBy = (column) => db.prepare(
+        `SELECT ${column} AS key, COUNT(*) AS count FROM access_notify_events WHERE kind = ? AND created_at <= ? GROUP BY ${column} ORDER BY count DESC`
+    ).bind(EVENT_DIGEST, until);
+    const [totals, ips, profiles, clients] = await db.batch([
+        db.prepare('SELECT COUNT(*) AS count, MIN(created_at) AS since FROM access_notify_events WHERE kind = ? AND created_at <= ?').bind(EVENT_DIGEST, until),
+        groupBy('ip'),
+        groupBy('profile'),
+        groupBy('client')
+    ]);
+    const { count, since } = totals.results[0] || {};
+    if (!count) return null;
+    return { since, count, ips: rowsToCounter(ips.results), profiles: rowsToCounter(profiles.results), clients: rowsToCounter(clients.results) };
+}
+
+/**
+ * 删除已发送的汇总记录或超出节流窗口的通知记录
+ * @param {D1Database} db
+ * @param {{digestUntil?: number, throttleWindow?: number}} options - digestUntil 为已发送汇总的截止时间；throttleWindow 为最长的节流窗口 (分钟)
+ * @param {number} [now]
+ */
+export async function pruneAccessNotifyEvents(db, { digestUntil, throttleWindow }, now = Date.now()) {
+    await ensureSchema(db);
+    const statements = [];
+    if (throttleWindow !== undefined) {
+        statements.push(db.prepare('DELETE FROM access_notify_events WHERE kind = ? AND created_at <= ?').bind(EVENT_SENT, now - throttleWindow * MINUTE_MS));
+    }
+    if (digestUntil) {
+        statements.push(db.prepare('DELETE FROM access_notify_events WHERE kind = ? AND created_at <= ?').bind(EVENT_DIGEST, digestUntil));
+    }
+    if (statements.length > 0) {
+        await db.batch(statements);
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * 内置 Clash / mihomo 配置生成器
+ * 将合并后的节点列表直接转换为完整的 Clash 配置，不再依赖外部 subconverter
+ */
+import yaml from 'js-yaml';
+import { parseNodeList, ensureUniqueNodeNames } from '../src/shared/node-parser.js';
+
+const GROUP_SELECT = '🚀 节点选择';
+const GROUP_AUTO = '♻️ 自动选择';
+const GROUP_DIRECT = '🎯 全球直连';
+const GROUP_FINAL = '🐟 漏网之鱼';
+
+const TEST_URL = 'http://www.gstatic.com/generate_204';
+
+const DEFAULT_RULES = [
+    'DOMAIN-SUFFIX,local,DIRECT',
+    'IP-CIDR,127.0.0.0/8,DIRECT,no-resolve',
+    'IP-CIDR,10.0.0.0/8,DIRECT,no-resolve',
+    'IP-CIDR,172.16.0.0/12,DIRECT,no-resolve',
+    'IP-CIDR,192.168.0.0/16,DIRECT,no-resolve',
+    'IP-CIDR,100.64.0.0/10,DIRECT,no-resolve',
+    `GEOSITE,cn,${GROUP_DIRECT}`,
+    `GEOIP,CN,${GROUP_DIRECT}`,
+    `MATCH,${GROUP_FINAL}`
+];
+
+/**
+ * 为节点生成 Clash 传输层配置 (ws / grpc / h2 / http)
+ */
+function applyTransport(proxy, node) {
+    const network = node.network || 'tcp';
+    if (network === 'tcp' && node.headerType !== 'http') return;
+
+    switch (network) {
+        case 'ws':
+        case 'httpupgrade': {
+            proxy.network = 'ws';
+            proxy['ws-opts'] = { path: node.path || '/' };
+            if (node.host) proxy['ws-opts'].headers = { Host: node.host };
+            if (network === 'httpupgrade') proxy['ws-opts']['v2ray-http-upgrade'] = true;
+            break;
+        }
+        case 'grpc':
+            proxy.network = 'grpc';
+            proxy['grpc-opts'] = { 'grpc-service-name': node.serviceName || '' };
+            break;
+        case 'h2':
+        case 'http':
+            proxy.network = 'h2';
+            proxy['h2-opts'] = { path: node.path || '/' };
+            if (node.host) proxy['h2-opts'].host = node.host.split(',').map(h => h.trim());
+            break;
+        case 'tcp':
+            proxy.network = 'http';
+            proxy['http-opts'] = { method: 'GET', path: [node.path || '/'] };
+            if (node.host) proxy['http-opts'].headers = { Host: node.host.split(',').map(h => h.trim()) };
+            break;
+        default:
+            throw new Error(`Clash 不支持的传输协议: ${network}`);
+    }
+}
+
+function applyTls(proxy, node, sniKey = 'servername') {
+    if (node.sni) proxy[sniKey] = node.sni;
+    if (node.alpn && node.alpn.length > 0) proxy.alpn = node.alpn;
+    if (node.fingerprint) proxy['client-fingerprint'] = node.fingerprint;
+    if (node.skipCertVerify) proxy['skip-cert-verify'] = true;
+}
+
+/**
+ * 将结构化节点转换为 Clash 代理定义
+ * @param {Object} node - node-parser 输出的节点对象
+ * @returns {Object} - Clash proxy
+ * @throws {Error} - 节点无法用 Clash 表示时抛出
+ */
+export function nodeToClashProxy(node) {
+    const base = { name: node.name, type: node.type, server: node.server, port: node.port };
+
+    switch (node.type) {
+        case 'ss': {
+            const proxy = { ...base, cipher: node.cipher, password: node.password, udp: true };
+            if (node.plugin) {
+                const opts = node.pluginOpts || {};
+                if (node.plugin === 'obfs-local' || node.plugin === 'simple-obfs') {
+                    proxy.plugin = 'obfs';
+                    proxy['plugin-opts'] = { mode: opts.obfs || 'http' };
+                    if (opts['obfs-host']) proxy['plugin-opts'].host = opts['obfs-host'];
+                } else if (node.plugin === 'v2ray-plugin') {
+                    proxy.plugin = 'v2ray-plugin';
+                    proxy['plugin-opts'] = { mode: opts.mode || 'websocket', tls: !!opts.tls };
+                    if (opts.host) proxy['plugin-opts'].host = opts.host;
+                    if (opts.path) proxy['plugin-opts'].path = opts.path;
+                } else {
+                    throw new Error(`Clash 不支持的 SS 插件: ${node.plugin}`);
+                }
+            }
+            return proxy;
+        }
+        case 'ssr':
+            return {
+                ...base,
+                cipher: node.cipher,
+                password: node.password,
+                protocol: node.protocol,
+                'protocol-param': node.protocolParam || '',
+                obfs: node.obfs,
+                'obfs-param': node.obfsParam || '',
+                udp: true
+            };
+        case 'vmess': {
+            const proxy = { ...base, uuid: node.uuid, alterId: node.alterId || 0, cipher: node.cipher || 'auto', udp: true };
+            if (node.tls) {
+                proxy.tls = true;
+                applyTls(proxy, node);
+            }
+            applyTransport(proxy, node);
+            return proxy;
+        }
+        case 'vless': {
+            const proxy = { ...base, uuid: node.uuid, udp: true };
+            if (node.flow) proxy.flow = node.flow;
+            if (node.tls) {
+                proxy.tls = true;
+                applyTls(proxy, node);
+            }
+            if (node.reality) {
+                proxy['reality-opts'] = { 'public-key': node.reality.publicKey };
+                if (node.reality.shortId) proxy['reality-opts']['short-id'] = node.reality.shortId;
+                if (!proxy['client-fingerprint']) proxy['client-fingerprint'] = 'chrome';
+            }
+            applyTransport(proxy, node);
+            return proxy;
+        }
+        case 'trojan': {
+            const proxy = { ...base, password: node.password, udp: true };
+            applyTls(proxy, node, 'sni');
+            if (node.reality) {
+                proxy['reality-opts'] = { 'public-key': node.reality.publicKey };
+                if (node.reality.shortId) proxy['reality-opts']['short-id'] = node.reality.shortId;
+            }
+            applyTransport(proxy, node);
+            return proxy;
+        }
+        case 'hysteria': {
+            const proxy = { ...base, 'auth-str': node.auth };
+            if (node.protocol) proxy.protocol = node.protocol;
+            if (node.up) proxy.up = node.up;
+            if (node.down) proxy.down = node.down;
+            // hysteria v1 的 obfs 字段是混淆密码 (obfsParam)，不是混淆类型
+            if (node.obfsPassword || node.obfs) proxy.obfs = node.obfsPassword || node.obfs;
+            applyTls(proxy, node, 'sni');
+            return proxy;
+        }
+        case 'hysteria2': {
+            const proxy = { ...base, password: node.password };
+            if (node.ports) proxy.ports = node.ports;
+            if (node.obfs) {
+                proxy.obfs = node.obfs;
+                proxy['obfs-password'] = node.obfsPassword;
+            }
+            applyTls(proxy, node, 'sni');
+            return proxy;
+        }
+        case 'tuic': {
+            const proxy = {
+                ...base,
+                uuid: node.uuid,
+                password: node.password,
+                'congestion-controller': node.congestionControl,
+                'udp-relay-mode': node.udpRelayMode
+            };
+            applyTls(proxy, node, 'sni');
+            return proxy;
+        }
+        case 'anytls': {
+            const proxy = { ...base, password: node.password, udp: true };
+            applyTls(proxy, node, 'sni');
+            return proxy;
+        }
+        case 'socks5': {
+            const proxy = { ...base, udp: true };
+            if (node.username) proxy.username = node.username;
+            if (node.password) proxy.password = node.password;
+            return proxy;
+        }
+        default:
+            throw new Error(`Clash 不支持的节点类型: ${node.type}`);
+    }
+}
+
+/**
+ * 根据节点列表生成完整的 Clash / mihomo 配置
+ * @param {string} nodeListContent - 以换行分隔的节点链接
+ * @returns {{content: string, errors: {link?: string, name?: string, error: string}[]}}
+ */
+export function generateClashConfig(nodeListContent) {
+    const { nodes, errors } = parseNodeList(nodeListContent);
+    ensureUniqueNodeNames(nodes);
+
+    const proxies = [];
+    for (const node of nodes) {
+        try {
+            proxies.push(nodeToClashProxy(node));
+        } catch (e) {
+            errors.push({ name: node.name, error: `节点 "${node.name}" (${node.type}) 无法转换为 Clash 代理: ${e.message}` });
+        }
+    }
+
+    const proxyNames = proxies.map(p => p.name);
+    const config = {
+        'mixed-port': 7890,
+        'allow-lan': false,
+        mode: 'rule',
+        'log-level': 'info',
+        'unified-delay': true,
+        dns: {
+            enable: true,
+            ipv6: false,
+            'enhanced-mode': 'fake-ip',
+            'fake-ip-range': '198.18.0.1/16',
+            nameserver: ['https://223.5.5.5/dns-query', 'https://doh.pub/dns-query'],
+            fallback: ['https://1.1.1.1/dns-query', 'https://dns.google/dns-query']
+        },
+        proxies,
+        'proxy-groups': [
+            { name: GROUP_SELECT, type: 'select', proxies: [GROUP_AUTO, 'DIRECT', ...proxyNames] },
+            {
+                name: GROUP_AUTO,
+                type: 'url-test',
+                url: TEST_URL,
+                interval: 300,
+                tolerance: 50,
+                proxies: proxyNames.length > 0 ? proxyNames : ['DIRECT']
+            },
+            { name: GROUP_DIRECT, type: 'select', proxies: ['DIRECT', GROUP_SELECT] },
+            { name: GROUP_FINAL, type: 'select', proxies: [GROUP_SELECT, GROUP_DIRECT] }
+        ],
+        rules: DEFAULT_RULES
+    };
+
+    const content = yaml.dump(config, { lineWidth: -1, noRefs: true });
+    return { content, errors };
+}
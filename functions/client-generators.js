@@ -0,0 +1,406 @@
+/**
+ * 内置 Surge / Loon / Quantumult X 配置生成器
+ * 各客户端只输出其原生支持的协议，无法表示的节点会被跳过并记录原因，而不是让整个配置失败
+ */
+import { parseNodeList, ensureUniqueNodeNames } from '../src/shared/node-parser.js';
+
+const GROUP_SELECT = '🚀 节点选择';
+const GROUP_AUTO = '♻️ 自动选择';
+
+const TEST_URL = 'http://www.gstatic.com/generate_204';
+
+/**
+ * 这些客户端的配置以逗号 / 等号分隔字段，代理名称中不能出现这两个字符
+ */
+function sanitizeName(name) {
+    return name.replace(/[,=]/g, ' ').replace(/\s+/g, ' ').trim() || 'node';
+}
+
+/**
+ * 需要时为值加上双引号 (含逗号、等号或首尾空白时)
+ */
+function quote(value) {
+    const str = String(value ?? '');
+    return /[,="]|^\s|\s$/.test(str) ? `"${str.replace(/"/g, '\\"')}"` : str;
+}
+
+/**
+ * 解析节点并逐个交给渲染函数，收集渲染成功的代理行与失败原因
+ * @param {string} nodeListContent - 以换行分隔的节点链接
+ * @param {string} clientName - 客户端名称，用于错误信息
+ * @param {function(Object): string} renderProxy - 单个节点的渲染函数，不支持时抛出错误
+ * @returns {{lines: string[], names: string[], errors: Object[]}}
+ */
+function renderProxies(nodeListContent, clientName, renderProxy) {
+    const { nodes, errors } = parseNodeList(nodeListContent);
+    nodes.forEach(node => { node.name = sanitizeName(node.name); });
+    ensureUniqueNodeNames(nodes);
+
+    const lines = [];
+    const names = [];
+    for (const node of nodes) {
+        try {
+            lines.push(renderProxy(node));
+            names.push(node.name);
+        } catch (e) {
+            errors.push({ name: node.name, error: `${clientName} 无法使用节点 "${node.name}" (${node.type}): ${e.message}` });
+        }
+    }
+    return { lines, names, errors };
+}
+
+// --- Surge ---
+
+function surgeTransport(node, parts) {
+    const network = node.network || 'tcp';
+    if (network === 'ws') {
+        parts.push('ws=true', `ws-path=${node.path || '/'}`);
+        if (node.host) parts.push(`ws-headers=Host:${quote(node.host)}`);
+    } else if (network !== 'tcp' || node.headerType === 'http') {
+        throw new Error(`不支持的传输协议 ${network}`);
+    }
+}
+
+function surgeTls(node, parts) {
+    if (node.sni) parts.push(`sni=${node.sni}`);
+    if (node.skipCertVerify) parts.push('skip-cert-verify=true');
+}
+
+function renderSurgeProxy(node) {
+    const parts = [];
+    switch (node.type) {
+        case 'ss': {
+            parts.push('ss', node.server, node.port, `encrypt-method=${node.cipher}`, `password=${quote(node.password)}`);
+            if (node.plugin) {
+                if (node.plugin !== 'obfs-local' && node.plugin !== 'simple-obfs') {
+                    throw new Error(`不支持的 SS 插件 ${node.plugin}`);
+                }
+                const opts = node.pluginOpts || {};
+                parts.push(`obfs=${opts.obfs || 'http'}`);
+                if (opts['obfs-host']) parts.push(`obfs-host=${opts['obfs-host']}`);
+            }
+            parts.push('udp-relay=true');
+            break;
+        }
+        case 'vmess': {
+            parts.push('vmess', node.server, node.port, `username=${node.uuid}`);
+            surgeTransport(node, parts);
+            if (node.tls) {
+                parts.push('tls=true');
+                surgeTls(node, parts);
+            }
+            if (!node.alterId) parts.push('vmess-aead=true');
+            break;
+        }
+        case 'trojan': {
+            if (node.reality) throw new Error('不支持 Reality');
+            parts.push('trojan', node.server, node.port, `password=${quote(node.password)}`);
+            surgeTransport(node, parts);
+            surgeTls(node, parts);
+            break;
+        }
+        case 'hysteria2': {
+            if (node.obfs) throw new Error(`不支持的混淆 ${node.obfs}`);
+            parts.push('hysteria2', node.server, node.port, `password=${quote(node.password)}`);
+            surgeTls(node, parts);
+            break;
+        }
+        case 'tuic': {
+            parts.push('tuic-v5', node.server, node.port, `password=${quote(node.password)}`, `uuid=${node.uuid}`);
+            if (node.alpn && node.alpn.length > 0) parts.push(`alpn=${node.alpn[0]}`);
+            surgeTls(node, parts);
+            break;
+        }
+        case 'anytls': {
+            parts.push('anytls', node.server, node.port, `password=${quote(node.password)}`);
+            surgeTls(node, parts);
+            break;
+        }
+        case 'socks5': {
+            parts.push('socks5', node.server, node.port);
+            if (node.username) parts.push(quote(node.username), quote(node.password));
+            break;
+        }
+        default:
+            throw new Error('协议不受支持');
+    }
+    return `${node.name} = ${parts.join(', ')}`;
+}
+
+/**
+ * 根据节点列表生成 Surge 配置
+ * @param {string} nodeListContent - 以换行分隔的节点链接
+ * @returns {{content: string, errors: Object[]}}
+ */
+export function generateSurgeConfig(nodeListContent) {
+    const { lines, names, errors } = renderProxies(nodeListContent, 'Surge', renderSurgeProxy);
+    const content = [
+        '[General]',
+        'loglevel = notify',
+        'dns-server = system, 223.5.5.5, 119.29.29.29',
+        'skip-proxy = 127.0.0.1, 192.168.0.0/16, 10.0.0.0/8, 172.16.0.0/12, 100.64.0.0/10, localhost, *.local',
+        `proxy-test-url = ${TEST_URL}`,
+        '',
+        '[Proxy]',
+        ...lines,
+        '',
+        '[Proxy Group]',
+        `${GROUP_SELECT} = select, ${[GROUP_AUTO, 'DIRECT', ...names].join(', ')}`,
+        `${GROUP_AUTO} = url-test, ${(names.length > 0 ? names : ['DIRECT']).join(', ')}, url=${TEST_URL}, interval=300, tolerance=50`,
+        '',
+        '[Rule]',
+        'RULE-SET,LAN,DIRECT',
+        'GEOIP,CN,DIRECT',
+        `FINAL,${GROUP_SELECT},dns-failed`,
+        ''
+    ].join('\n');
+    return { content, errors };
+}
+
+// --- Loon ---
+
+function loonTransport(node, parts) {
+    const network = node.network || 'tcp';
+    if (network === 'ws') {
+        parts.push('transport=ws', `path=${node.path || '/'}`);
+        if (node.host) parts.push(`host=${node.host}`);
+    } else if ((network === 'http' || network === 'tcp') && node.headerType === 'http') {
+        parts.push('transport=http', `path=${node.path || '/'}`);
+        if (node.host) parts.push(`host=${node.host}`);
+    } else if (network === 'tcp') {
+        parts.push('transport=tcp');
+    } else {
+        throw new Error(`不支持的传输协议 ${network}`);
+    }
+}
+
+function loonTls(node, parts, sniKey = 'tls-name') {
+    if (node.sni) parts.push(`${sniKey}=${node.sni}`);
+    parts.push(`skip-cert-verify=${node.skipCertVerify ? 'true' : 'false'}`);
+}
+
+function renderLoonProxy(node) {
+    const parts = [];
+    switch (node.type) {
+        case 'ss': {
+            parts.push('Shadowsocks', node.server, node.port, node.cipher, `"${node.password}"`);
+            if (node.plugin) {
+                if (node.plugin !== 'obfs-local' && node.plugin !== 'simple-obfs') {
+                    throw new Error(`不支持的 SS 插件 ${node.plugin}`);
+                }
+                const opts = node.pluginOpts || {};
+                parts.push(`obfs-name=${opts.obfs || 'http'}`);
+                if (opts['obfs-host']) parts.push(`obfs-host=${opts['obfs-host']}`);
+            }
+            parts.push('udp=true');
+            break;
+        }
+        case 'ssr':
+            parts.push(
+                'ShadowsocksR', node.server, node.port, node.cipher, `"${node.password}"`,
+                `protocol=${node.protocol}`, `protocol-param=${node.protocolParam || ''}`,
+                `obfs=${node.obfs}`, `obfs-param=${node.obfsParam || ''}`
+            );
+            break;
+        case 'vmess': {
+            parts.push('vmess', node.server, node.port, node.cipher || 'auto', `"${node.uuid}"`);
+            loonTransport(node, parts);
+            parts.push(`alterId=${node.alterId || 0}`);
+            if (node.tls) {
+                parts.push('over-tls=true');
+                loonTls(node, parts);
+            }
+            break;
+        }
+        case 'vless': {
+            parts.push('VLESS', node.server, node.port, `"${node.uuid}"`);
+            loonTransport(node, parts);
+            if (node.flow) parts.push(`flow=${node.flow}`);
+            if (node.reality) {
+                parts.push(`public-key="${node.reality.publicKey}"`);
+                if (node.reality.shortId) parts.push(`short-id=${node.reality.shortId}`);
+            }
+            if (node.tls) {
+                parts.push('over-tls=true');
+                loonTls(node, parts, node.reality ? 'sni' : 'tls-name');
+            }
+            break;
+        }
+        case 'trojan': {
+            if (node.reality) throw new Error('不支持 Reality');
+            parts.push('trojan', node.server, node.port, `"${node.password}"`);
+            loonTransport(node, parts);
+            loonTls(node, parts);
+            break;
+        }
+        case 'hysteria2': {
+            parts.push('Hysteria2', node.server, node.port, `"${node.password}"`);
+            loonTls(node, parts);
+            if (node.obfs === 'salamander') {
+                parts.push(`salamander-password=${node.obfsPassword}`);
+            } else if (node.obfs) {
+                throw new Error(`不支持的混淆 ${node.obfs}`);
+            }
+            parts.push('udp=true');
+            break;
+        }
+        case 'socks5': {
+            parts.push('socks5', node.server, node.port);
+            if (node.username) parts.push(node.username, `"${node.password}"`);
+            break;
+        }
+        default:
+            throw new Error('协议不受支持');
+    }
+    return `${node.name} = ${parts.join(',')}`;
+}
+
+/**
+ * 根据节点列表生成 Loon 配置
+ * @param {string} nodeListContent - 以换行分隔的节点链接
+ * @returns {{content: string, errors: Object[]}}
+ */
+export function generateLoonConfig(nodeListContent) {
+    const { lines, names, errors } = renderProxies(nodeListContent, 'Loon', renderLoonProxy);
+    const content = [
+        '[General]',
+        'ip-mode = v4-only',
+        'dns-server = system, 223.5.5.5, 119.29.29.29',
+        'skip-proxy = 127.0.0.1, 192.168.0.0/16, 10.0.0.0/8, 172.16.0.0/12, 100.64.0.0/10, localhost, *.local',
+        `proxy-test-url = ${TEST_URL}`,
+        '',
+        '[Proxy]',
+        ...lines,
+        '',
+        '[Proxy Group]',
+        `${GROUP_SELECT} = select,${[GROUP_AUTO, 'DIRECT', ...names].join(',')}`,
+        `${GROUP_AUTO} = url-test,${(names.length > 0 ? names : ['DIRECT']).join(',')},url=${TEST_URL},interval=300,tolerance=50`,
+        '',
+        '[Rule]',
+        'IP-CIDR,192.168.0.0/16,DIRECT',
+        'IP-CIDR,10.0.0.0/8,DIRECT',
+        'IP-CIDR,172.16.0.0/12,DIRECT',
+        'GEOIP,CN,DIRECT',
+        `FINAL,${GROUP_SELECT}`,
+        ''
+    ].join('\n');
+    return { content, errors };
+}
+
+// --- Quantumult X ---
+// Quantumult X 的代理与策略组分别位于 [server_local] 与 [policy] 段
+
+function quanxTransport(node, parts, { allowTcpTls = true } = {}) {
+    const network = node.network || 'tcp';
+    if (network === 'ws') {
+        parts.push(`obfs=${node.tls ? 'wss' : 'ws'}`, `obfs-uri=${node.path || '/'}`);
+        if (node.host) parts.push(`obfs-host=${node.host}`);
+    } else if (network === 'tcp' && node.headerType === 'http') {
+        if (node.tls) throw new Error('不支持 HTTP 伪装与 TLS 同时启用');
+        parts.push('obfs=http', `obfs-uri=${node.path || '/'}`);
+        if (node.host) parts.push(`obfs-host=${node.host}`);
+    } else if (network === 'tcp') {
+        if (node.tls && allowTcpTls) parts.push('obfs=over-tls');
+    } else {
+        throw new Error(`不支持的传输协议 ${network}`);
+    }
+    if (node.tls) {
+        if (node.sni) parts.push(`tls-host=${node.sni}`);
+        parts.push(`tls-verification=${node.skipCertVerify ? 'false' : 'true'}`);
+    }
+}
+
+function renderQuanxProxy(node) {
+    const parts = [];
+    switch (node.type) {
+        case 'ss': {
+            parts.push(`shadowsocks=${node.server}:${node.port}`, `method=${node.cipher}`, `password=${node.password}`);
+            const opts = node.pluginOpts || {};
+            if (node.plugin === 'obfs-local' || node.plugin === 'simple-obfs') {
+                parts.push(`obfs=${opts.obfs || 'http'}`);
+                if (opts['obfs-host']) parts.push(`obfs-host=${opts['obfs-host']}`);
+            } else if (node.plugin === 'v2ray-plugin') {
+                if (opts.mode && opts.mode !== 'websocket') throw new Error(`不支持的 v2ray-plugin 模式 ${opts.mode}`);
+                parts.push(`obfs=${opts.tls ? 'wss' : 'ws'}`, `obfs-uri=${opts.path || '/'}`);
+                if (opts.host) parts.push(`obfs-host=${opts.host}`);
+            } else if (node.plugin) {
+                throw new Error(`不支持的 SS 插件 ${node.plugin}`);
+            }
+            parts.push('udp-relay=true');
+            break;
+        }
+        case 'ssr':
+            parts.push(
+                `shadowsocks=${node.server}:${node.port}`, `method=${node.cipher}`, `password=${node.password}`,
+                `ssr-protocol=${node.protocol}`, `ssr-protocol-param=${node.protocolParam || ''}`,
+                `obfs=${node.obfs}`, `obfs-host=${node.obfsParam || ''}`
+            );
+            break;
+        case 'vmess': {
+            const method = !node.cipher || node.cipher === 'auto' ? 'chacha20-poly1305' : node.cipher;
+            parts.push(`vmess=${node.server}:${node.port}`, `method=${method}`, `password=${node.uuid}`);
+            quanxTransport(node, parts);
+            parts.push(`aead=${node.alterId ? 'false' : 'true'}`);
+            break;
+        }
+        case 'vless': {
+            if (node.reality) throw new Error('不支持 Reality');
+            if (node.flow) throw new Error(`不支持的流控 ${node.flow}`);
+            parts.push(`vless=${node.server}:${node.port}`, 'method=none', `password=${node.uuid}`);
+            quanxTransport(node, parts);
+            break;
+        }
+        case 'trojan': {
+            if (node.reality) throw new Error('不支持 Reality');
+            parts.push(`trojan=${node.server}:${node.port}`, `password=${node.password}`);
+            if ((node.network || 'tcp') === 'tcp' && node.tls) parts.push('over-tls=true');
+            quanxTransport(node, parts, { allowTcpTls: false });
+            break;
+        }
+        case 'socks5': {
+            parts.push(`socks5=${node.server}:${node.port}`);
+            if (node.username) parts.push(`username=${node.username}`, `password=${node.password}`);
+            break;
+        }
+        default:
+            throw new Error('协议不受支持');
+    }
+    if (/,/.test(parts.join(''))) {
+        throw new Error('参数中包含逗号');
+    }
+    parts.push(`tag=${node.name}`);
+    return parts.join(', ');
+}
+
+/**
+ * 根据节点列表生成 Quantumult X 配置
+ * @param {string} nodeListContent - 以换行分隔的节点链接
+ * @returns {{content: string, errors: Object[]}}
+ */
+export function generateQuanxConfig(nodeListContent) {
+    const { lines, names, errors } = renderProxies(nodeListContent, 'Quantumult X', renderQuanxProxy);
+    const content = [
+        '[general]',
+        `server_check_url = ${TEST_URL}`,
+        '',
+        '[dns]',
+        'server = 223.5.5.5',
+        'server = 119.29.29.29',
+        '',
+        '[policy]',
+        `static = ${[GROUP_SELECT, GROUP_AUTO, 'direct', ...names].join(', ')}`,
+        `url-latency-benchmark = ${[GROUP_AUTO, ...(names.length > 0 ? names : ['direct'])].join(', ')}, check-interval=300, tolerance=50`,
+        '',
+        '[server_local]',
+        ...lines,
+        '',
+        '[filter_local]',
+        'ip-cidr, 10.0.0.0/8, direct',
+        'ip-cidr, 172.16.0.0/12, direct',
+        'ip-cidr, 192.168.0.0/16, direct',
+        'geoip, cn, direct',
+        `final, ${GROUP_SELECT}`,
+        ''
+    ].join('\n');
+    return { content, errors };
+}
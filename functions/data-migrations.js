@@ -0,0 +1,228 @@
+/**
+ * 存储数据的版本化迁移
+ * 数据结构的版本号记录在 MIGRATION_STATE_KEY 中，MIGRATIONS 为按版本排列、可重复执行的迁移步骤。
+ * 处理请求前会自动执行尚未应用的步骤 (同一 Worker 实例只检查一次)，也可通过 /api/migrations 手动执行；
+ * 每次执行前备份迁移前的数据，并保存迁移报告。
+ * 新增字段或调整结构时在末尾追加步骤，不要在请求处理路径中堆积兼容旧数据的代码
+ */
+import { MIGRATION_STATE_KEY, MIGRATION_BACKUP_PREFIX } from './storage-adapter.js';
+import { resolveNotificationChannels } from '../src/shared/notification-channels.js';
+
+// 保留的迁移报告数
+const REPORT_LIMIT = 10;
+// 保留的迁移前备份数
+const BACKUP_LIMIT = 3;
+
+/**
+ * @typedef {Object} MigrationData - 迁移步骤读写的数据，步骤修改某部分后需把它加入 changed
+ * @property {Object[]|null} subs - 订阅与手动节点
+ * @property {Object[]|null} profiles - 订阅组
+ * @property {Object|null} settings - 设置
+ * @property {Set<'subs'|'profiles'|'settings'>} changed
+ * @property {Object} env - Cloudflare 环境对象
+ * @property {{subs: string, profiles: string, settings: string, legacy: string}} keys - 存储键
+ */
+
+/**
+ * 迁移步骤，version 递增；up 必须可重复执行 (数据已是新结构时不做修改)，返回本次修改的说明
+ * @type {{version: number, name: string, description: string, up: (data: MigrationData) => Promise<string[]>}[]}
+ */
+export const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'split-legacy-data',
+        description: '把旧版 misub_data_v1 中的数据迁移为独立的订阅与订阅组',
+        async up(data) {
+            if (data.subs !== null || !data.env.MISUB_KV) return [];
+            const legacy = await data.env.MISUB_KV.get(data.keys.legacy, 'json');
+            if (!Array.isArray(legacy)) return [];
+            data.subs = legacy;
+            data.profiles = data.profiles || [];
+            data.changed.add('subs').add('profiles');
+            return [`从 ${data.keys.legacy} 迁移了 ${legacy.length} 条订阅/节点 (旧键保留)`];
+        }
+    },
+    {
+        version: 2,
+        name: 'prefix-config',
+        description: '由旧版 prependSubName 补全节点名前缀设置 prefixConfig',
+        async up(data) {
+            if (!data.settings) return [];
+            const fallbackEnabled = data.settings.prependSubName ?? true;
+            const prefixConfig = { ...data.settings.prefixConfig };
+            const defaults = { enableManualNodes: fallbackEnabled, enableSubscriptions: fallbackEnabled, manualNodePrefix: '手动节点' };
+            const missing = Object.keys(defaults).filter(key => !(key in prefixConfig));
+            if (missing.length === 0) return [];
+            missing.forEach(key => { prefixConfig[key] = defaults[key]; });
+            data.settings.prefixConfig = prefixConfig;
+            data.changed.add('settings');
+            return [`补全 prefixConfig 字段: ${missing.join(', ')}`];
+        }
+    },
+    {
+        version: 3,
+        name: 'notification-channels',
+        description: '把旧版 BotToken / ChatID 转换为 Telegram 通知渠道',
+        async up(data) {
+            if (!data.settings || Array.isArray(data.settings.notificationChannels)) return [];
+            const channels = resolveNotificationChannels(data.settings);
+            if (channels.length === 0) return [];
+            data.settings.notificationChannels = channels;
+            data.changed.add('settings');
+            return ['已创建接收全部事件的 Telegram 通知渠道'];
+        }
+    },
+    {
+        version: 4,
+        name: 'item-ids',
+        description: '为缺少 ID 的订阅、节点与订阅组生成 ID，并补全订阅组的成员列表',
+        async up(data) {
+            const changes = [];
+            const missingSubIds = (data.subs || []).filter(sub => !sub.id);
+            if (missingSubIds.length > 0) {
+                missingSubIds.forEach(sub => { sub.id = crypto.randomUUID(); });
+                data.changed.add('subs');
+                changes.push(`为 ${missingSubIds.length} 条订阅/节点生成 ID`);
+            }
+            const incompleteProfiles = (data.profiles || []).filter(profile =>
+                !profile.id || !Array.isArray(profile.subscriptions) || !Array.isArray(profile.manualNodes));
+            if (incompleteProfiles.length > 0) {
+                incompleteProfiles.forEach(profile => {
+                    profile.id = profile.id || crypto.randomUUID();
+                    if (!Array.isArray(profile.subscriptions)) profile.subscriptions = [];
+                    if (!Array.isArray(profile.manualNodes)) profile.manualNodes = [];
+                });
+                data.changed.add('profiles');
+                changes.push(`补全 ${incompleteProfiles.length} 个订阅组的 ID 或成员列表`);
+            }
+            return changes;
+        }
+    }
+];
+
+export const LATEST_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * @typedef {Object} MigrationReport
+ * @property {'auto'|'manual'} trigger
+ * @property {number} fromVersion
+ * @property {number} toVersion
+ * @property {number} startedAt
+ * @property {number} finishedAt
+ * @property {string|null} backupKey - 迁移前数据的备份键，没有待执行的步骤时为 null
+ * @property {boolean} success
+ * @property {{version: number, name: string, description: string, status: 'applied'|'failed', changes?: string[], error?: string}[]} steps
+ */
+
+/**
+ * 读取迁移状态
+ * @param {Object} storageAdapter
+ * @returns {Promise<{schemaVersion: number, reports: MigrationReport[]}>}
+ */
+export async function readMigrationState(storageAdapter) {
+    const state = await storageAdapter.get(MIGRATION_STATE_KEY);
+    return { schemaVersion: state?.schemaVersion || 0, reports: state?.reports || [] };
+}
+
+/**
+ * 列出迁移前备份的键 (新的在前)
+ * @param {Object} storageAdapter
+ * @returns {Promise<string[]>}
+ */
+export async function listMigrationBackups(storageAdapter) {
+    const keys = await storageAdapter.list(MIGRATION_BACKUP_PREFIX);
+    // D1 适配器的 list 不按前缀过滤，这里再筛选一次
+    return keys.map(key => key.name).filter(name => name.startsWith(MIGRATION_BACKUP_PREFIX)).sort().reverse();
+}
+
+async function pruneMigrationBackups(storageAdapter) {
+    const backups = await listMigrationBackups(storageAdapter);
+    await Promise.all(backups.slice(BACKUP_LIMIT).map(key => storageAdapter.delete(key)));
+}
+
+/**
+ * 执行尚未应用的迁移步骤
+ * 某一步失败时回滚该步的修改并停止，之前成功的步骤照常保存，版本号停留在最后成功的步骤
+ * @param {Object} storageAdapter
+ * @param {Object} env
+ * @param {{subs: string, profiles: string, settings: string, legacy: string}} keys
+ * @param {'auto'|'manual'} [trigger]
+ * @returns {Promise<MigrationReport>}
+ */
+export async function runMigrations(storageAdapter, env, keys, trigger = 'auto') {
+    const state = await readMigrationState(storageAdapter);
+    const pending = MIGRATIONS.filter(migration => migration.version > state.schemaVersion);
+    const report = {
+        trigger,
+        fromVersion: state.schemaVersion,
+        toVersion: state.schemaVersion,
+        startedAt: Date.now(),
+        finishedAt: null,
+        backupKey: null,
+        success: true,
+        steps: []
+    };
+    if (pending.length === 0) {
+        report.finishedAt = Date.now();
+        return report;
+    }
+
+    const [subs, profiles, settings] = await Promise.all([
+        storageAdapter.get(keys.subs),
+        storageAdapter.get(keys.profiles),
+        storageAdapter.get(keys.settings)
+    ]);
+
+    report.backupKey = `${MIGRATION_BACKUP_PREFIX}${new Date(report.startedAt).toISOString()}`;
+    await storageAdapter.put(report.backupKey, { schemaVersion: state.schemaVersion, createdAt: report.startedAt, subs, profiles, settings });
+    await pruneMigrationBackups(storageAdapter);
+
+    const data = { subs, profiles, settings, changed: new Set(), env, keys };
+    for (const { version, name, description, up } of pending) {
+        const snapshot = structuredClone({ subs: data.subs, profiles: data.profiles, settings: data.settings, changed: data.changed });
+        try {
+            const changes = await up(data);
+            report.steps.push({ version, name, description, status: 'applied', changes });
+            report.toVersion = version;
+        } catch (error) {
+            Object.assign(data, snapshot);
+            report.steps.push({ version, name, description, status: 'failed', error: error.message });
+            report.success = false;
+            console.error(`[Migration] 步骤 ${version} (${name}) 失败:`, error);
+            break;
+        }
+    }
+
+    await Promise.all([...data.changed].map(part => storageAdapter.put(keys[part], data[part])));
+    report.finishedAt = Date.now();
+    await storageAdapter.put(MIGRATION_STATE_KEY, {
+        schemaVersion: report.toVersion,
+        updatedAt: report.finishedAt,
+        reports: [report, ...state.reports].slice(0, REPORT_LIMIT)
+    });
+    return report;
+}
+
+// 本 Worker 实例是否已完成自动迁移检查；只记录结果，不在请求间共享 Promise
+// (Workers 中一个请求不能等待另一个请求发起的 I/O)，实例刚启动时的并发请求可能各自检查一次，迁移步骤可重复执行
+let autoMigrationDone = false;
+
+/**
+ * 自动执行迁移，同一 Worker 实例只检查一次；失败时记录日志，不影响请求处理
+ * @param {() => Promise<Object>} getStorageAdapter
+ * @param {Object} env
+ * @param {{subs: string, profiles: string, settings: string, legacy: string}} keys
+ * @returns {Promise<void>}
+ */
+export async function ensureDataMigrated(getStorageAdapter, env, keys) {
+    if (autoMigrationDone) return;
+    try {
+        const report = await runMigrations(await getStorageAdapter(), env, keys, 'auto');
+        if (report.steps.length > 0) {
+            console.log(`[Migration] 数据结构版本 ${report.fromVersion} -> ${report.toVersion}`);
+        }
+    } catch (error) {
+        console.error('[Migration] 自动迁移失败:', error);
+    }
+    autoMigrationDone = true;
+}
@@ -0,0 +1,192 @@
+/**
+ * 通知分发
+ * 通知内容由事件模板渲染为 Telegram 风格的 Markdown (*粗体*、`代码`)，
+ * 发送时按渠道转换为对应格式，并根据每个渠道订阅的事件类型进行路由
+ */
+import { getChannelType, resolveNotificationChannels, validateChannel } from '../src/shared/notification-channels.js';
+import { renderNotification } from '../src/shared/notification-templates.js';
+
+// 单个渠道的请求超时，避免某个渠道无响应拖慢定时任务
+const CHANNEL_TIMEOUT_MS = 8000;
+
+/**
+ * 去掉 Markdown 标记，供不支持 Markdown 的渠道使用
+ * @param {string} markdown
+ * @returns {string}
+ */
+function toPlainText(markdown) {
+    return markdown.replace(/[*`]/g, '');
+}
+
+/**
+ * 拆分标题与正文：第一行作为标题 (去掉标记与首尾 emoji)，其余作为正文
+ * @param {string} markdown
+ * @returns {{title: string, body: string}}
+ */
+function splitTitle(markdown) {
+    const [firstLine, ...rest] = markdown.split('\n');
+    const title = toPlainText(firstLine).replace(/^[^\p{L}\p{N}]+|[^\p{L}\p{N}]+$/gu, '').trim() || 'MiSub 通知';
+    return { title, body: rest.join('\n').trim() };
+}
+
+async function postJson(url, payload, headers = {}) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), CHANNEL_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(payload),
+            signal: controller.signal
+        });
+        if (!response.ok) {
+            const detail = (await response.text().catch(() => '')).slice(0, 200);
+            throw new Error(`HTTP ${response.status}${detail ? `: ${detail}` : ''}`);
+        }
+        return response;
+    } catch (e) {
+        if (controller.signal.aborted) throw new Error('请求超时');
+        throw e;
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+// 标准 Markdown 中单个换行不会断行，行尾补两个空格强制换行 (Server酱、PushPlus)
+const toMarkdownLineBreaks = (text) => text.replace(/\n/g, '  \n');
+
+const trimSlash = (url) => url.trim().replace(/\/+$/, '');
+
+/**
+ * 各渠道的发送实现，失败时抛出错误
+ * @type {Object<string, (config: Object, markdown: string, event: string) => Promise<void>>}
+ */
+const CHANNEL_SENDERS = {
+    async telegram(config, markdown) {
+        await postJson(`https://api.telegram.org/bot${config.botToken.trim()}/sendMessage`, {
+            chat_id: config.chatId.trim(),
+            text: markdown,
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true // 禁用链接预览，使消息更紧凑
+        });
+    },
+
+    async webhook(config, markdown, event) {
+        const { title, body } = splitTitle(markdown);
+        await postJson(config.url.trim(), {
+            event,
+            title,
+            text: toPlainText(body),
+            markdown,
+            timestamp: new Date().toISOString()
+        }, config.secret ? { Authorization: config.secret.trim() } : {});
+    },
+
+    async bark(config, markdown) {
+        const { title, body } = splitTitle(markdown);
+        await postJson(`${trimSlash(config.server || 'https://api.day.app')}/push`, {
+            device_key: config.deviceKey.trim(),
+            title,
+            body: toPlainText(body),
+            group: 'MiSub'
+        });
+    },
+
+    async serverchan(config, markdown) {
+        const sendKey = config.sendKey.trim();
+        // Server酱³ 的 SendKey 形如 sctp{uid}t...，使用独立的推送域名
+        const match = sendKey.match(/^sctp(\d+)t/i);
+        const url = match
+            ? `https://${match[1]}.push.ft07.com/send/${sendKey}.send`
+            : `https://sctapi.ftqq.com/${sendKey}.send`;
+        const { title, body } = splitTitle(markdown);
+        await postJson(url, { title, desp: toMarkdownLineBreaks(body) });
+    },
+
+    async pushplus(config, markdown) {
+        const { title, body } = splitTitle(markdown);
+        const response = await postJson('https://www.pushplus.plus/send', {
+            token: config.token.trim(),
+            title,
+            content: toMarkdownLineBreaks(body),
+            template: 'markdown',
+            ...(config.topic ? { topic: config.topic.trim() } : {})
+        });
+        // PushPlus 在 HTTP 200 中通过 code 字段返回错误
+        const result = await response.json().catch(() => null);
+        if (result && result.code !== 200) throw new Error(result.msg || `PushPlus 错误 ${result.code}`);
+    },
+
+    async ntfy(config, markdown) {
+        const { title, body } = splitTitle(markdown);
+        // 使用 JSON 发布，避免中文标题放在请求头中
+        await postJson(trimSlash(config.server || 'https://ntfy.sh'), {
+            topic: config.topic.trim(),
+            title,
+            message: toPlainText(body)
+        }, config.token ? { Authorization: `Bearer ${config.token.trim()}` } : {});
+    },
+
+    async discord(config, markdown) {
+        // Discord 中单个 * 为斜体，粗体需要 **
+        await postJson(config.webhookUrl.trim(), {
+            content: markdown.replace(/\*([^*\n]+)\*/g, '**$1**').slice(0, 2000)
+        });
+    },
+
+    async slack(config, markdown) {
+        // Slack mrkdwn 的 *粗体* 与 `代码` 与 Telegram 写法一致
+        await postJson(config.webhookUrl.trim(), { text: markdown });
+    },
+};
+
+/**
+ * 通过单个渠道发送通知
+ * @param {{type: string, config: Object}} channel
+ * @param {string} markdown - 完整的通知内容
+ * @param {string} event - 事件类型
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function sendToChannel(channel, markdown, event) {
+    const invalid = validateChannel(channel);
+    if (invalid) return { success: false, error: invalid };
+    try {
+        await CHANNEL_SENDERS[channel.type](channel.config, markdown, event);
+        return { success: true };
+    } catch (e) {
+        console.warn(`[Notify] ${getChannelType(channel.type)?.name || channel.type} 发送失败: ${e.message}`);
+        return { success: false, error: e.message };
+    }
+}
+
+/**
+ * 判断是否有已启用的渠道接收该事件
+ * @param {Object} settings - 全局设置
+ * @param {string} event - 事件类型
+ * @returns {boolean}
+ */
+export function hasNotificationChannel(settings, event) {
+    return getEventChannels(settings, event).length > 0;
+}
+
+function getEventChannels(settings, event) {
+    return resolveNotificationChannels(settings)
+        .filter(channel => channel.enabled !== false && Array.isArray(channel.events) && channel.events.includes(event));
+}
+
+/**
+ * 按事件模板渲染通知，并发送到订阅了该事件的所有已启用渠道
+ * @param {Object} settings - 全局设置
+ * @param {string} event - 事件类型，见 NOTIFICATION_EVENTS
+ * @param {Object} data - 模板占位符对应的事件数据，见 TEMPLATE_VARIABLES
+ * @param {string} [templateType] - 使用的模板，默认与事件类型相同 (如访问汇总使用 accessDigest)
+ * @returns {Promise<boolean>} - 至少一个渠道发送成功时返回 true
+ */
+export async function sendNotification(settings, event, data, templateType = event) {
+    const channels = getEventChannels(settings, event);
+    if (channels.length === 0) return false;
+
+    const message = renderNotification(settings, templateType, data);
+    const results = await Promise.all(channels.map(channel => sendToChannel(channel, message, event)));
+    return results.some(result => result.success);
+}
@@ -0,0 +1,218 @@
+/**
+ * 订阅、手动节点与订阅组的 REST 接口
+ * 订阅与手动节点共用同一个存储数组 (以 URL 是否为 http(s) 区分)，
+ * 每个请求只修改一个条目，删除订阅或节点时同步清理订阅组中的引用
+ *
+ *   GET    /api/{subscriptions|nodes|profiles}       列表
+ *   POST   /api/{subscriptions|nodes|profiles}       新建
+ *   GET    /api/{subscriptions|nodes|profiles}/:id   读取
+ *   PATCH  /api/{subscriptions|nodes|profiles}/:id   修改 (只更新请求中给出的字段)
+ *   DELETE /api/{subscriptions|nodes|profiles}/:id   删除
+ */
+import { validateRenamePattern } from '../src/shared/rename-rules.js';
+import { getNodeDisplayName } from '../src/shared/node-parser.js';
+
+const isRemoteUrl = (url) => /^https?:\/\//i.test(url || '');
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// 字段类型校验，返回错误信息，合法时返回空字符串
+const FIELD_TYPES = {
+    string: (value) => typeof value === 'string' ? '' : '必须是字符串',
+    boolean: (value) => typeof value === 'boolean' ? '' : '必须是布尔值',
+    object: (value) => isPlainObject(value) ? '' : '必须是对象',
+    ids: (value) => Array.isArray(value) && value.every(id => typeof id === 'string') ? '' : '必须是 ID 字符串数组',
+    headers: (value) => isPlainObject(value) && Object.values(value).every(v => typeof v === 'string') ? '' : '必须是值为字符串的对象',
+    renameRules: (value) => {
+        if (!Array.isArray(value)) return '必须是数组';
+        for (const rule of value) {
+            if (!isPlainObject(rule) || typeof rule.pattern !== 'string') return '每条规则必须包含 pattern 字符串';
+            if (rule.replacement !== undefined && typeof rule.replacement !== 'string') return 'replacement 必须是字符串';
+            const error = validateRenamePattern(rule.pattern);
+            if (error) return `规则 ${rule.pattern} 无效: ${error}`;
+        }
+        return '';
+    }
+};
+
+/**
+ * 各资源的定义
+ * fields: 可通过接口写入的字段及其类型；nodeCount、userInfo 等由后端刷新维护的字段为只读
+ * defaults: 新建时的默认值，与前端新建表单一致
+ * validate: 合并后的整体校验 (item, 当前数据, 本次提交的字段)，返回错误信息
+ */
+const RESOURCES = {
+    subscriptions: {
+        label: '订阅',
+        key: 'subs',
+        belongs: (item) => isRemoteUrl(item.url),
+        fields: { name: 'string', url: 'string', enabled: 'boolean', exclude: 'string', renameRules: 'renameRules', userAgent: 'string', headers: 'headers' },
+        defaults: () => ({ name: '', enabled: true, exclude: '', renameRules: [], userAgent: '', headers: {}, nodeCount: 0, userInfo: null }),
+        validate(item) {
+            if (!isRemoteUrl(item.url)) return 'url 必须是 http(s) 订阅地址';
+            return '';
+        }
+    },
+    nodes: {
+        label: '节点',
+        key: 'subs',
+        belongs: (item) => !isRemoteUrl(item.url),
+        fields: { name: 'string', url: 'string', enabled: 'boolean' },
+        defaults: () => ({ name: '', enabled: true }),
+        validate(item) {
+            if (!item.url?.trim()) return 'url 不能为空';
+            if (isRemoteUrl(item.url)) return 'http(s) 地址请作为订阅添加';
+            if (!item.name) item.name = getNodeDisplayName(item.url) || '';
+            return '';
+        }
+    },
+    profiles: {
+        label: '订阅组',
+        key: 'profiles',
+        belongs: () => true,
+        fields: {
+            name: 'string', enabled: 'boolean', subscriptions: 'ids', manualNodes: 'ids', customId: 'string',
+            subConverter: 'string', subConfig: 'string', useExternalConverter: 'boolean', expiresAt: 'string',
+            renameRules: 'renameRules', regionSettings: 'object', prefixSettings: 'object', accessNotify: 'boolean'
+        },
+        defaults: () => ({
+            name: '', enabled: true, subscriptions: [], manualNodes: [], customId: '', subConverter: '', subConfig: '',
+            useExternalConverter: false, expiresAt: '', renameRules: [], regionSettings: { addFlag: false, normalizeNames: false, sortByRegion: false }
+        }),
+        validate(item, { profiles, subs }, changes) {
+            if (!item.name.trim()) return '订阅组名称不能为空';
+            if (item.customId) {
+                if (!/^[a-zA-Z0-9_-]+$/.test(item.customId)) return '自定义 ID 只能包含字母、数字、- 和 _';
+                if (profiles.some(p => p.id !== item.id && p.customId === item.customId)) return `自定义 ID "${item.customId}" 已存在`;
+            }
+            if (item.expiresAt && isNaN(new Date(item.expiresAt).getTime())) return 'expiresAt 不是有效的日期';
+            // 订阅组只能引用已存在的订阅与节点 (只检查本次提交的列表，旧数据中的失效引用不影响修改其他字段)
+            const references = [
+                ['subscriptions', '订阅', sub => isRemoteUrl(sub.url)],
+                ['manualNodes', '节点', sub => !isRemoteUrl(sub.url)]
+            ];
+            for (const [field, label, belongs] of references) {
+                if (!changes[field]) continue;
+                const existing = new Set(subs.filter(belongs).map(sub => sub.id));
+                const missing = changes[field].filter(id => !existing.has(id));
+                if (missing.length > 0) return `${label}不存在: ${missing.join(', ')}`;
+            }
+            return '';
+        }
+    }
+};
+
+const json = (data, status = 200) => new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+const error = (message, status = 400) => json({ error: message }, status);
+
+/**
+ * 匹配资源路由
+ * @param {string} path - 去掉 /api 前缀的路径
+ * @returns {{resource: string, id: string|null}|null}
+ */
+export function matchResourceRoute(path) {
+    const match = path.match(/^\/(subscriptions|nodes|profiles)(?:\/([^/]+))?$/);
+    if (!match) return null;
+    return { resource: match[1], id: match[2] ? decodeURIComponent(match[2]) : null };
+}
+
+/**
+ * 校验请求体中的字段，返回错误信息
+ * @param {Object} body
+ * @param {Object} definition
+ * @returns {string}
+ */
+function validateFields(body, definition) {
+    for (const [field, value] of Object.entries(body)) {
+        if (field === 'id') continue;
+        const type = definition.fields[field];
+        if (!type) return `不支持的字段: ${field}`;
+        const message = FIELD_TYPES[type](value);
+        if (message) return `${field} ${message}`;
+    }
+    return '';
+}
+
+/**
+ * 处理资源请求
+ * @param {Request} request
+ * @param {{resource: string, id: string|null}} route - matchResourceRoute 的结果
+ * @param {Object} storageAdapter
+ * @param {{subs: string, profiles: string}} keys - 订阅与订阅组的存储键
+ * @returns {Promise<Response>}
+ */
+export async function handleResourceRequest(request, { resource, id }, storageAdapter, keys) {
+    const definition = RESOURCES[resource];
+    const [subs, profiles] = await Promise.all([
+        storageAdapter.get(keys.subs).then(res => res || []),
+        storageAdapter.get(keys.profiles).then(res => res || [])
+    ]);
+    const data = { subs, profiles };
+    const items = data[definition.key];
+    const index = id ? items.findIndex(item => item.id === id && definition.belongs(item)) : -1;
+
+    if (id && index === -1) {
+        return error(`${definition.label}不存在`, 404);
+    }
+
+    if (request.method === 'GET') {
+        return id ? json(items[index]) : json(items.filter(definition.belongs));
+    }
+
+    if (request.method === 'DELETE' && id) {
+        const [removed] = items.splice(index, 1);
+        const writes = [storageAdapter.put(keys[definition.key], items)];
+        // 同步清理订阅组中对该订阅/节点的引用
+        const refField = { subscriptions: 'subscriptions', nodes: 'manualNodes' }[resource];
+        const affectedProfiles = refField ? profiles.filter(p => p[refField]?.includes(removed.id)) : [];
+        if (affectedProfiles.length > 0) {
+            affectedProfiles.forEach(p => { p[refField] = p[refField].filter(refId => refId !== removed.id); });
+            writes.push(storageAdapter.put(keys.profiles, profiles));
+        }
+        await Promise.all(writes);
+        return json({ success: true, id: removed.id, affectedProfiles: affectedProfiles.map(p => p.id) });
+    }
+
+    const isCreate = request.method === 'POST' && !id;
+    if (!isCreate && !(request.method === 'PATCH' && id)) {
+        return new Response('Method Not Allowed', { status: 405 });
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (e) {
+        return error('请求数据格式错误，请检查数据格式');
+    }
+    if (!isPlainObject(body)) return error('请求体必须是对象');
+
+    const fieldError = validateFields(body, definition);
+    if (fieldError) return error(fieldError);
+
+    let item;
+    if (isCreate) {
+        if (body.id !== undefined && (typeof body.id !== 'string' || !body.id.trim())) return error('id 必须是非空字符串');
+        // 订阅与节点共用存储，ID 需在整个数组内唯一
+        if (body.id && items.some(existing => existing.id === body.id)) return error(`ID "${body.id}" 已存在`, 409);
+        const { id: requestedId, ...fields } = body;
+        item = { id: requestedId || crypto.randomUUID(), ...definition.defaults(), ...fields };
+    } else {
+        if (body.id !== undefined && body.id !== id) return error('不能修改 id');
+        const current = items[index];
+        item = { ...current, ...body, id };
+        // 与前端一致：订阅地址变更后节点数需要重新获取
+        if (resource === 'subscriptions' && body.url !== undefined && body.url !== current.url) {
+            item.nodeCount = 0;
+        }
+    }
+
+    const validationError = definition.validate(item, data, body);
+    if (validationError) return error(validationError);
+
+    if (isCreate) {
+        items.unshift(item);
+    } else {
+        items[index] = item;
+    }
+    await storageAdapter.put(keys[definition.key], items);
+    return json(item, isCreate ? 201 : 200);
+}
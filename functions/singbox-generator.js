@@ -0,0 +1,280 @@
+/**
+ * 内置 sing-box 配置生成器 (适用于 sing-box 1.8+)
+ * 将合并后的节点列表转换为 sing-box 出站，并附带选择器 / 自动测速分组与路由配置
+ */
+import { parseNodeList, ensureUniqueNodeNames } from '../src/shared/node-parser.js';
+
+const TAG_SELECT = '🚀 节点选择';
+const TAG_AUTO = '♻️ 自动选择';
+const TAG_DIRECT = 'direct';
+
+const TEST_URL = 'https://www.gstatic.com/generate_204';
+
+// DNS 劫持规则，DNS 段依赖它把查询交给 dns-out
+const DNS_HIJACK_RULE = { protocol: 'dns', outbound: 'dns-out' };
+
+const DEFAULT_ROUTE = {
+    rules: [
+        DNS_HIJACK_RULE,
+        { ip_is_private: true, outbound: TAG_DIRECT },
+        { rule_set: ['geosite-cn', 'geoip-cn'], outbound: TAG_DIRECT }
+    ],
+    rule_set: [
+        {
+            tag: 'geosite-cn',
+            type: 'remote',
+            format: 'binary',
+            url: 'https://raw.githubusercontent.com/SagerNet/sing-geosite/rule-set/geosite-cn.srs',
+            download_detour: TAG_SELECT
+        },
+        {
+            tag: 'geoip-cn',
+            type: 'remote',
+            format: 'binary',
+            url: 'https://raw.githubusercontent.com/SagerNet/sing-geoip/rule-set/geoip-cn.srs',
+            download_detour: TAG_SELECT
+        }
+    ],
+    final: TAG_SELECT,
+    auto_detect_interface: true
+};
+
+/**
+ * 解析用户在设置中自定义的 route 段，并合并到内置路由上：
+ * 自定义的 rules 替换内置规则 (DNS 劫持规则始终保留在最前)，rule_set 按 tag 合并 (同名时以自定义为准)，
+ * 其余字段覆盖内置值；内置的 geosite-cn 等规则集因此始终存在，DNS 段可以安全引用
+ * @param {string|Object} routeConfig - JSON 文本或对象
+ * @returns {Object} - 可用的 route 配置，无效时返回默认路由
+ */
+function resolveRoute(routeConfig) {
+    if (!routeConfig) return DEFAULT_ROUTE;
+    let route;
+    try {
+        route = typeof routeConfig === 'string' ? JSON.parse(routeConfig) : routeConfig;
+    } catch (e) {
+        console.warn('[sing-box] 自定义路由配置不是合法的 JSON，已使用默认路由', e.message);
+        return DEFAULT_ROUTE;
+    }
+    if (!route || typeof route !== 'object' || Array.isArray(route)) return DEFAULT_ROUTE;
+
+    const customRules = Array.isArray(route.rules) ? route.rules : null;
+    const rules = customRules
+        ? [...(customRules.some(rule => rule.protocol === 'dns') ? [] : [DNS_HIJACK_RULE]), ...customRules]
+        : DEFAULT_ROUTE.rules;
+    const customRuleSets = Array.isArray(route.rule_set) ? route.rule_set : [];
+    const ruleSets = [
+        ...DEFAULT_ROUTE.rule_set.filter(ruleSet => !customRuleSets.some(custom => custom.tag === ruleSet.tag)),
+        ...customRuleSets
+    ];
+    return { ...DEFAULT_ROUTE, ...route, rules, rule_set: ruleSets };
+}
+
+function buildTls(node, { force = false } = {}) {
+    if (!node.tls && !force) return undefined;
+    const tls = { enabled: true };
+    if (node.sni) tls.server_name = node.sni;
+    if (node.skipCertVerify) tls.insecure = true;
+    if (node.alpn && node.alpn.length > 0) tls.alpn = node.alpn;
+    if (node.fingerprint) tls.utls = { enabled: true, fingerprint: node.fingerprint };
+    if (node.reality) {
+        tls.reality = { enabled: true, public_key: node.reality.publicKey, short_id: node.reality.shortId || '' };
+        // reality 必须启用 uTLS
+        if (!tls.utls) tls.utls = { enabled: true, fingerprint: 'chrome' };
+    }
+    return tls;
+}
+
+function buildTransport(node) {
+    const network = node.network || 'tcp';
+    switch (network) {
+        case 'tcp':
+            if (node.headerType === 'http') {
+                const transport = { type: 'http', method: 'GET', path: node.path || '/' };
+                if (node.host) transport.headers = { Host: node.host.split(',').map(h => h.trim()) };
+                return transport;
+            }
+            return undefined;
+        case 'ws': {
+            const transport = { type: 'ws', path: node.path || '/' };
+            if (node.host) transport.headers = { Host: node.host };
+            return transport;
+        }
+        case 'grpc':
+            return { type: 'grpc', service_name: node.serviceName || '' };
+        case 'h2':
+        case 'http': {
+            const transport = { type: 'http', path: node.path || '/' };
+            if (node.host) transport.host = node.host.split(',').map(h => h.trim());
+            return transport;
+        }
+        case 'httpupgrade': {
+            const transport = { type: 'httpupgrade', path: node.path || '/' };
+            if (node.host) transport.host = node.host;
+            return transport;
+        }
+        default:
+            throw new Error(`sing-box 不支持的传输协议: ${network}`);
+    }
+}
+
+/**
+ * 将 SIP002 插件参数还原为 sing-box 的 plugin_opts 字符串
+ */
+function buildPluginOpts(pluginOpts = {}) {
+    return Object.entries(pluginOpts)
+        .map(([key, value]) => value === true ? key : `${key}=${value}`)
+        .join(';');
+}
+
+/**
+ * 将结构化节点转换为 sing-box 出站
+ * @param {Object} node - node-parser 输出的节点对象
+ * @returns {Object} - sing-box outbound
+ * @throws {Error} - 协议无法用 sing-box 表示时抛出
+ */
+export function nodeToSingboxOutbound(node) {
+    const base = { tag: node.name, server: node.server, server_port: node.port };
+
+    switch (node.type) {
+        case 'vmess': {
+            const outbound = { type: 'vmess', ...base, uuid: node.uuid, security: node.cipher || 'auto', alter_id: node.alterId || 0 };
+            const tls = buildTls(node);
+            if (tls) outbound.tls = tls;
+            const transport = buildTransport(node);
+            if (transport) outbound.transport = transport;
+            return outbound;
+        }
+        case 'vless': {
+            const outbound = { type: 'vless', ...base, uuid: node.uuid, packet_encoding: 'xudp' };
+            if (node.flow) outbound.flow = node.flow;
+            const tls = buildTls(node);
+            if (tls) outbound.tls = tls;
+            const transport = buildTransport(node);
+            if (transport) outbound.transport = transport;
+            return outbound;
+        }
+        case 'trojan': {
+            const outbound = { type: 'trojan', ...base, password: node.password };
+            const tls = buildTls(node);
+            if (tls) outbound.tls = tls;
+            const transport = buildTransport(node);
+            if (transport) outbound.transport = transport;
+            return outbound;
+        }
+        case 'ss': {
+            const outbound = { type: 'shadowsocks', ...base, method: node.cipher, password: node.password };
+            if (node.plugin) {
+                const plugin = node.plugin === 'simple-obfs' ? 'obfs-local' : node.plugin;
+                if (plugin !== 'obfs-local' && plugin !== 'v2ray-plugin') {
+                    throw new Error(`sing-box 不支持的 SS 插件: ${node.plugin}`);
+                }
+                outbound.plugin = plugin;
+                outbound.plugin_opts = buildPluginOpts(node.pluginOpts);
+            }
+            return outbound;
+        }
+        case 'ssr':
+            throw new Error('sing-box 已移除 ShadowsocksR 支持');
+        case 'hysteria': {
+            if (node.protocol && node.protocol !== 'udp') {
+                throw new Error(`sing-box 不支持的 Hysteria 传输模式: ${node.protocol}`);
+            }
+            const outbound = { type: 'hysteria', ...base, up_mbps: Number(node.up) || 50, down_mbps: Number(node.down) || 100 };
+            if (node.auth) outbound.auth_str = node.auth;
+            if (node.obfsPassword || node.obfs) outbound.obfs = node.obfsPassword || node.obfs;
+            outbound.tls = buildTls(node, { force: true });
+            return outbound;
+        }
+        case 'hysteria2': {
+            const outbound = { type: 'hysteria2', ...base, password: node.password };
+            if (node.obfs) outbound.obfs = { type: node.obfs, password: node.obfsPassword };
+            outbound.tls = buildTls(node, { force: true });
+            return outbound;
+        }
+        case 'tuic': {
+            const outbound = {
+                type: 'tuic',
+                ...base,
+                uuid: node.uuid,
+                password: node.password,
+                congestion_control: node.congestionControl || 'bbr',
+                udp_relay_mode: node.udpRelayMode || 'native'
+            };
+            outbound.tls = buildTls(node, { force: true });
+            return outbound;
+        }
+        case 'anytls': {
+            const outbound = { type: 'anytls', ...base, password: node.password };
+            outbound.tls = buildTls(node, { force: true });
+            return outbound;
+        }
+        case 'socks5': {
+            const outbound = { type: 'socks', ...base, version: '5' };
+            if (node.username) outbound.username = node.username;
+            if (node.password) outbound.password = node.password;
+            return outbound;
+        }
+        default:
+            throw new Error(`sing-box 不支持的节点类型: ${node.type}`);
+    }
+}
+
+/**
+ * 根据节点列表生成完整的 sing-box 配置
+ * @param {string} nodeListContent - 以换行分隔的节点链接
+ * @param {Object} [config] - 全局设置，读取其中的 singboxRoute 作为自定义路由
+ * @returns {{content: string, errors: {link?: string, name?: string, error: string}[]}}
+ */
+export function generateSingboxConfig(nodeListContent, config = {}) {
+    const { nodes, errors } = parseNodeList(nodeListContent);
+    ensureUniqueNodeNames(nodes);
+
+    const nodeOutbounds = [];
+    for (const node of nodes) {
+        try {
+            nodeOutbounds.push(nodeToSingboxOutbound(node));
+        } catch (e) {
+            errors.push({ name: node.name, error: `节点 "${node.name}" (${node.type}) 无法转换为 sing-box 出站: ${e.message}` });
+        }
+    }
+
+    const tags = nodeOutbounds.map(o => o.tag);
+    const singboxConfig = {
+        log: { level: 'info', timestamp: true },
+        dns: {
+            servers: [
+                { tag: 'remote', address: 'https://1.1.1.1/dns-query', detour: TAG_SELECT },
+                { tag: 'local', address: 'https://223.5.5.5/dns-query', detour: TAG_DIRECT }
+            ],
+            rules: [
+                { outbound: 'any', server: 'local' },
+                { rule_set: 'geosite-cn', server: 'local' }
+            ],
+            final: 'remote'
+        },
+        inbounds: [
+            { type: 'mixed', tag: 'mixed-in', listen: '127.0.0.1', listen_port: 7890 }
+        ],
+        outbounds: [
+            { type: 'selector', tag: TAG_SELECT, outbounds: [TAG_AUTO, TAG_DIRECT, ...tags], default: TAG_AUTO },
+            {
+                type: 'urltest',
+                tag: TAG_AUTO,
+                outbounds: tags.length > 0 ? tags : [TAG_DIRECT],
+                url: TEST_URL,
+                interval: '5m',
+                tolerance: 50
+            },
+            ...nodeOutbounds,
+            { type: 'direct', tag: TAG_DIRECT },
+            { type: 'block', tag: 'block' },
+            { type: 'dns', tag: 'dns-out' }
+        ],
+        route: resolveRoute(config.singboxRoute),
+        experimental: {
+            cache_file: { enabled: true }
+        }
+    };
+
+    return { content: JSON.stringify(singboxConfig, null, 2), errors };
+}
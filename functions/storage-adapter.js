@@ -17,6 +17,23 @@ const DATA_KEYS = {
     SETTINGS: 'worker_settings_v1'
 };
 
+// 上游订阅缓存的键前缀 (后接订阅 ID)，D1 中存放于 settings 表
+export const SUBSCRIPTION_CACHE_PREFIX = 'misub_sub_cache_v1:';
+// 订阅流量/节点数历史的键前缀 (后接订阅 ID)，同样存放于 settings 表
+export const SUBSCRIPTION_HISTORY_PREFIX = 'misub_sub_history_v1:';
+// 定时任务上一次看到的节点列表的键前缀 (后接订阅 ID)，用于节点变化提醒
+export const SUBSCRIPTION_NODES_PREFIX = 'misub_sub_nodes_v1:';
+// 订阅访问通知的节流记录与待发送汇总，同样存放于 settings 表
+export const ACCESS_NOTIFY_STATE_KEY = 'misub_access_notify_v1';
+// 数据结构版本与迁移报告 (见 data-migrations.js)
+export const MIGRATION_STATE_KEY = 'misub_migrations_v1';
+// 迁移前数据备份的键前缀 (后接备份时间)
+export const MIGRATION_BACKUP_PREFIX = 'misub_migration_backup_v1:';
+
+// D1 表结构初始化 (含旧数据迁移) 是否已完成；只记录结果，不在请求间共享 Promise
+// (Workers 中一个请求不能等待另一个请求发起的 I/O)
+let d1SchemaReady = false;
+
 /**
  * KV 存储适配器
  */
@@ -57,8 +74,15 @@ class KVStorageAdapter {
 
     async list(prefix) {
         try {
-            const result = await this.kv.list({ prefix });
-            return result.keys || [];
+            // KV 每次最多返回 1000 个键，按 cursor 继续读取
+            const keys = [];
+            let cursor;
+            do {
+                const result = await this.kv.list({ prefix, cursor });
+                keys.push(...(result.keys || []));
+                cursor = result.list_complete === false ? result.cursor : null;
+            } while (cursor);
+            return keys;
         } catch (error) {
             console.error(`[KV] Failed to list keys with prefix ${prefix}:`, error);
             return [];
@@ -66,26 +90,291 @@ class KVStorageAdapter {
     }
 }
 
+// D1 中订阅 / 节点 / 订阅组对象字段与列的对应关系 [字段, 列, 类型]
+// 类型匹配的字段存入独立的列，其余字段以 JSON 存放在 data 列
+const ITEM_COLUMNS = [['name', 'name', 'string'], ['url', 'url', 'string'], ['enabled', 'enabled', 'boolean']];
+const PROFILE_COLUMNS = [['name', 'name', 'string'], ['customId', 'custom_id', 'string'], ['enabled', 'enabled', 'boolean']];
+// 订阅组中引用订阅 / 节点的字段，存放在 profile_members 表 [字段, member_type]
+const PROFILE_MEMBER_FIELDS = [['subscriptions', 'subscription'], ['manualNodes', 'node']];
+
+// 与 schema.sql 保持一致，首次访问时自动创建
+const D1_TABLES = [
+    `CREATE TABLE IF NOT EXISTS subscriptions (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        url TEXT,
+        enabled INTEGER,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS nodes (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        url TEXT,
+        enabled INTEGER,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS profiles (
+        id TEXT PRIMARY KEY,
+        name TEXT,
+        custom_id TEXT,
+        enabled INTEGER,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        data TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`,
+    `CREATE TABLE IF NOT EXISTS profile_members (
+        profile_id TEXT NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+        member_type TEXT NOT NULL,
+        member_id TEXT NOT NULL,
+        position INTEGER NOT NULL,
+        PRIMARY KEY (profile_id, member_type, member_id)
+    )`,
+    `CREATE TABLE IF NOT EXISTS settings (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )`
+];
+
+// 旧版 schema 的 subscriptions / profiles 表只有 id 与 data 两列，需要补充的列
+const D1_ADDED_COLUMNS = {
+    subscriptions: [['name', 'TEXT'], ['url', 'TEXT'], ['enabled', 'INTEGER'], ['sort_order', 'INTEGER NOT NULL DEFAULT 0']],
+    profiles: [['name', 'TEXT'], ['custom_id', 'TEXT'], ['enabled', 'INTEGER'], ['sort_order', 'INTEGER NOT NULL DEFAULT 0']]
+};
+
+const D1_INDEXES = [
+    'CREATE INDEX IF NOT EXISTS idx_subscriptions_sort_order ON subscriptions(sort_order)',
+    'CREATE INDEX IF NOT EXISTS idx_subscriptions_updated_at ON subscriptions(updated_at)',
+    'CREATE INDEX IF NOT EXISTS idx_nodes_sort_order ON nodes(sort_order)',
+    'CREATE INDEX IF NOT EXISTS idx_profiles_sort_order ON profiles(sort_order)',
+    'CREATE INDEX IF NOT EXISTS idx_profiles_custom_id ON profiles(custom_id)',
+    'CREATE INDEX IF NOT EXISTS idx_profiles_updated_at ON profiles(updated_at)',
+    'CREATE INDEX IF NOT EXISTS idx_profile_members_member ON profile_members(member_type, member_id)',
+    'CREATE INDEX IF NOT EXISTS idx_settings_updated_at ON settings(updated_at)'
+];
+
+// 旧版把整个数组以 JSON 存放在 id = 'main' 的一行中
+const LEGACY_BLOB_ID = 'main';
+
+const isRemoteUrl = (url) => /^https?:\/\//i.test(url || '');
+
+/**
+ * 把对象拆分为列值与 data JSON
+ * @param {Object} item
+ * @param {Array} columns - ITEM_COLUMNS 或 PROFILE_COLUMNS
+ * @param {string[]} [omit] - 不写入 data 的字段
+ * @returns {{values: any[], data: string}}
+ */
+function splitRow(item, columns, omit = []) {
+    const rest = { ...item };
+    delete rest.id;
+    omit.forEach(field => { delete rest[field]; });
+    const values = columns.map(([field, , type]) => {
+        if (typeof rest[field] !== type) return null;
+        const value = rest[field];
+        delete rest[field];
+        return type === 'boolean' ? (value ? 1 : 0) : value;
+    });
+    return { values, data: JSON.stringify(rest) };
+}
+
+/**
+ * 由数据库行还原对象，列值为 NULL 的字段不出现在结果中
+ */
+function joinRow(row, columns) {
+    const item = { id: row.id };
+    columns.forEach(([field, column, type]) => {
+        if (row[column] === null || row[column] === undefined) return;
+        item[field] = type === 'boolean' ? row[column] === 1 : row[column];
+    });
+    return { ...item, ...JSON.parse(row.data || '{}') };
+}
+
 /**
  * D1 存储适配器
+ * 订阅、手动节点与订阅组按条存放在各自的表中，订阅组与订阅/节点的关系存放在 profile_members 表，
+ * 对外仍以整个数组读写 (与 KV 一致)；写入时只更新有变化的行并删除已移除的行。
+ * 其余数据 (设置、缓存、历史等) 以 key-value 形式存放在 settings 表
  */
 class D1StorageAdapter {
     constructor(d1Database) {
         this.db = d1Database;
+        this._schemaPromise = null;
+    }
+
+    /**
+     * 创建表结构并迁移旧版数据；Worker 实例内成功一次后不再执行，
+     * 尚未完成时同一适配器的并发调用共用一次初始化
+     */
+    _ensureSchema() {
+        if (d1SchemaReady) return Promise.resolve();
+        if (!this._schemaPromise) {
+            this._schemaPromise = this._initSchema()
+                .then(() => { d1SchemaReady = true; })
+                .catch(error => {
+                    this._schemaPromise = null;
+                    throw error;
+                });
+        }
+        return this._schemaPromise;
+    }
+
+    async _initSchema() {
+        await this.db.batch(D1_TABLES.map(sql => this.db.prepare(sql)));
+
+        // 为旧版表补充列
+        const alters = [];
+        for (const [table, columns] of Object.entries(D1_ADDED_COLUMNS)) {
+            const { results } = await this.db.prepare(`PRAGMA table_info(${table})`).all();
+            const existing = new Set(results.map(column => column.name));
+            columns
+                .filter(([name]) => !existing.has(name))
+                .forEach(([name, definition]) => alters.push(this.db.prepare(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`)));
+        }
+        if (alters.length > 0) {
+            await this.db.batch(alters);
+        }
+        await this.db.batch(D1_INDEXES.map(sql => this.db.prepare(sql)));
+
+        await this._migrateLegacyBlobs();
+    }
+
+    /**
+     * 把旧版整块存储的订阅与订阅组拆分为逐条记录
+     */
+    async _migrateLegacyBlobs() {
+        const readBlob = async (table) => {
+            const row = await this.db.prepare(`SELECT data FROM ${table} WHERE id = ?`).bind(LEGACY_BLOB_ID).first();
+            if (!row) return null;
+            try {
+                const value = JSON.parse(row.data);
+                return Array.isArray(value) ? value : null;
+            } catch (e) {
+                return null;
+            }
+        };
+
+        const legacySubs = await readBlob('subscriptions');
+        if (legacySubs) {
+            // 写入时会删除不在列表中的行，包括旧版的 main 行
+            await this.db.batch(this._buildItemStatements(legacySubs));
+            console.log(`[D1 Storage] Migrated ${legacySubs.length} subscriptions/nodes from legacy blob`);
+        }
+        const legacyProfiles = await readBlob('profiles');
+        if (legacyProfiles) {
+            await this.db.batch(this._buildProfileStatements(legacyProfiles));
+            console.log(`[D1 Storage] Migrated ${legacyProfiles.length} profiles from legacy blob`);
+        }
+    }
+
+    /**
+     * 生成插入或更新一行的语句，内容未变化的行不会被改写
+     */
+    _upsert(table, columns, id, values, sortOrder, data) {
+        const names = columns.map(([, column]) => column).concat('sort_order', 'data');
+        const changed = names.map(name => `${name} IS NOT excluded.${name}`).join(' OR ');
+        return this.db.prepare(`
+            INSERT INTO ${table} (id, ${names.join(', ')}, updated_at)
+            VALUES (?, ${names.map(() => '?').join(', ')}, CURRENT_TIMESTAMP)
+            ON CONFLICT(id) DO UPDATE SET ${names.map(name => `${name} = excluded.${name}`).join(', ')}, updated_at = CURRENT_TIMESTAMP
+            WHERE ${changed}
+        `).bind(id, ...values, sortOrder, data);
+    }
+
+    // 删除不在列表中的行 (ID 列表以 JSON 传入，避免超过绑定参数数量限制)
+    _deleteMissing(table, ids) {
+        return this.db.prepare(`DELETE FROM ${table} WHERE id NOT IN (SELECT value FROM json_each(?))`).bind(JSON.stringify(ids));
+    }
+
+    /**
+     * 订阅与手动节点共用一个数组，按 URL 分别写入 subscriptions / nodes 表，
+     * sort_order 记录在整个数组中的位置，读取时按其合并还原顺序
+     */
+    _buildItemStatements(items) {
+        const tables = { subscriptions: [], nodes: [] };
+        items.forEach((item, index) => {
+            const id = item.id || crypto.randomUUID();
+            const { values, data } = splitRow(item, ITEM_COLUMNS);
+            tables[isRemoteUrl(item.url) ? 'subscriptions' : 'nodes'].push({ id, values, index, data });
+        });
+        return Object.entries(tables).flatMap(([table, rows]) => [
+            this._deleteMissing(table, rows.map(row => row.id)),
+            ...rows.map(row => this._upsert(table, ITEM_COLUMNS, row.id, row.values, row.index, row.data))
+        ]);
+    }
+
+    _buildProfileStatements(profiles) {
+        const memberFields = PROFILE_MEMBER_FIELDS.map(([field]) => field);
+        const rows = profiles.map((profile, index) => {
+            const id = profile.id || crypto.randomUUID();
+            const omit = memberFields.filter(field => Array.isArray(profile[field]));
+            return { id, index, profile, omit, ...splitRow(profile, PROFILE_COLUMNS, omit) };
+        });
+        return [
+            this._deleteMissing('profiles', rows.map(row => row.id)),
+            ...rows.map(row => this._upsert('profiles', PROFILE_COLUMNS, row.id, row.values, row.index, row.data)),
+            // 成员关系整体重建，position 为在原数组中的位置
+            this.db.prepare('DELETE FROM profile_members'),
+            ...rows.flatMap(row => PROFILE_MEMBER_FIELDS
+                .filter(([field]) => row.omit.includes(field) && row.profile[field].length > 0)
+                .map(([field, memberType]) => this.db.prepare(`
+                    INSERT OR IGNORE INTO profile_members (profile_id, member_type, member_id, position)
+                    SELECT ?, ?, value, key FROM json_each(?)
+                `).bind(row.id, memberType, JSON.stringify(row.profile[field]))))
+        ];
+    }
+
+    async _getItems() {
+        const selectColumns = 'id, name, url, enabled, sort_order, data';
+        const { results } = await this.db.prepare(
+            `SELECT ${selectColumns} FROM subscriptions UNION ALL SELECT ${selectColumns} FROM nodes ORDER BY sort_order`
+        ).all();
+        if (results.length === 0) return null;
+        return results.map(row => joinRow(row, ITEM_COLUMNS));
+    }
+
+    async _getProfiles() {
+        const [profileRows, memberRows] = await this.db.batch([
+            this.db.prepare('SELECT id, name, custom_id, enabled, sort_order, data FROM profiles ORDER BY sort_order'),
+            this.db.prepare('SELECT profile_id, member_type, member_id FROM profile_members ORDER BY position')
+        ]);
+        if (profileRows.results.length === 0) return null;
+        const members = new Map();
+        memberRows.results.forEach(row => {
+            const key = `${row.profile_id}\n${row.member_type}`;
+            if (!members.has(key)) members.set(key, []);
+            members.get(key).push(row.member_id);
+        });
+        return profileRows.results.map(row => {
+            const profile = joinRow(row, PROFILE_COLUMNS);
+            PROFILE_MEMBER_FIELDS.forEach(([field, memberType]) => {
+                if (!(field in profile)) profile[field] = members.get(`${row.id}\n${memberType}`) || [];
+            });
+            return profile;
+        });
     }
 
     async get(key, type = 'json') {
         try {
-            // 根据 key 确定查询的表和字段
-            const { table, queryField, queryValue } = this._parseKey(key);
+            await this._ensureSchema();
+            if (key === DATA_KEYS.SUBSCRIPTIONS) return await this._getItems();
+            if (key === DATA_KEYS.PROFILES) return await this._getProfiles();
 
             const result = await this.db.prepare(
-                `SELECT ${table === 'settings' ? 'value as data' : 'data'} FROM ${table} WHERE ${queryField} = ?`
-            ).bind(queryValue).first();
+                'SELECT value FROM settings WHERE key = ?'
+            ).bind(this._settingsKey(key)).first();
 
             if (!result) return null;
 
-            return type === 'json' ? JSON.parse(result.data) : result.data;
+            return type === 'json' ? JSON.parse(result.value) : result.value;
         } catch (error) {
             console.error(`[D1] Failed to get key ${key}:`, error);
             return null;
@@ -94,23 +383,20 @@ class D1StorageAdapter {
 
     async put(key, value) {
         try {
-            const { table, queryField, queryValue } = this._parseKey(key);
-            const data = typeof value === 'string' ? value : JSON.stringify(value);
-
-            if (table === 'settings') {
-                // settings 表使用 key-value 结构
-                await this.db.prepare(`
-                    INSERT OR REPLACE INTO ${table} (key, value, updated_at)
-                    VALUES (?, ?, CURRENT_TIMESTAMP)
-                `).bind(queryValue, data).run();
-            } else {
-                // subscriptions 和 profiles 表使用 id-data 结构
-                await this.db.prepare(`
-                    INSERT OR REPLACE INTO ${table} (id, data, updated_at)
-                    VALUES (?, ?, CURRENT_TIMESTAMP)
-                `).bind(queryValue, data).run();
+            await this._ensureSchema();
+            if (key === DATA_KEYS.SUBSCRIPTIONS || key === DATA_KEYS.PROFILES) {
+                const items = typeof value === 'string' ? JSON.parse(value) : value;
+                if (!Array.isArray(items)) throw new Error('数据必须是数组');
+                await this.db.batch(key === DATA_KEYS.SUBSCRIPTIONS ? this._buildItemStatements(items) : this._buildProfileStatements(items));
+                return true;
             }
 
+            const data = typeof value === 'string' ? value : JSON.stringify(value);
+            await this.db.prepare(`
+                INSERT OR REPLACE INTO settings (key, value, updated_at)
+                VALUES (?, ?, CURRENT_TIMESTAMP)
+            `).bind(this._settingsKey(key), data).run();
+
             return true;
         } catch (error) {
             console.error(`[D1] Failed to put key ${key}:`, error);
@@ -120,11 +406,14 @@ class D1StorageAdapter {
 
     async delete(key) {
         try {
-            const { table, queryField, queryValue } = this._parseKey(key);
-
-            await this.db.prepare(
-                `DELETE FROM ${table} WHERE ${queryField} = ?`
-            ).bind(queryValue).run();
+            await this._ensureSchema();
+            if (key === DATA_KEYS.SUBSCRIPTIONS) {
+                await this.db.batch([this.db.prepare('DELETE FROM subscriptions'), this.db.prepare('DELETE FROM nodes')]);
+            } else if (key === DATA_KEYS.PROFILES) {
+                await this.db.batch([this.db.prepare('DELETE FROM profile_members'), this.db.prepare('DELETE FROM profiles')]);
+            } else {
+                await this.db.prepare('DELETE FROM settings WHERE key = ?').bind(this._settingsKey(key)).run();
+            }
 
             return true;
         } catch (error) {
@@ -135,28 +424,19 @@ class D1StorageAdapter {
 
     async list(prefix) {
         try {
-            // D1 中的 list 操作需要根据前缀查询相应的表
-            const tables = [
-                { name: 'subscriptions', keyField: 'id' },
-                { name: 'profiles', keyField: 'id' },
-                { name: 'settings', keyField: 'key' }
-            ];
+            await this._ensureSchema();
+            const [subs, nodes, profiles, settings] = await this.db.batch([
+                this.db.prepare('SELECT COUNT(*) AS count FROM subscriptions'),
+                this.db.prepare('SELECT COUNT(*) AS count FROM nodes'),
+                this.db.prepare('SELECT COUNT(*) AS count FROM profiles'),
+                this.db.prepare('SELECT key FROM settings')
+            ]);
             const keys = [];
+            if (subs.results[0].count + nodes.results[0].count > 0) keys.push(DATA_KEYS.SUBSCRIPTIONS);
+            if (profiles.results[0].count > 0) keys.push(DATA_KEYS.PROFILES);
+            settings.results.forEach(row => keys.push(row.key === 'main' ? DATA_KEYS.SETTINGS : row.key));
 
-            for (const table of tables) {
-                const results = await this.db.prepare(
-                    `SELECT ${table.keyField} FROM ${table.name}`
-                ).all();
-
-                results.results.forEach(row => {
-                    const key = this._buildKey(table.name, row[table.keyField]);
-                    if (key.startsWith(prefix)) {
-                        keys.push({ name: key });
-                    }
-                });
-            }
-
-            return keys;
+            return keys.filter(key => key.startsWith(prefix)).map(name => ({ name }));
         } catch (error) {
             console.error(`[D1] Failed to list keys with prefix ${prefix}:`, error);
             return [];
@@ -164,62 +444,71 @@ class D1StorageAdapter {
     }
 
     /**
-     * 解析 key，确定对应的表、查询字段和查询值
+     * 设置存放在 settings 表 key = 'main' 的行，其余 key (缓存、历史等) 原样作为 settings 表的 key
      */
-    _parseKey(key) {
-        if (key === DATA_KEYS.SUBSCRIPTIONS) {
-            return { table: 'subscriptions', queryField: 'id', queryValue: 'main' };
-        } else if (key === DATA_KEYS.PROFILES) {
-            return { table: 'profiles', queryField: 'id', queryValue: 'main' };
-        } else if (key === DATA_KEYS.SETTINGS) {
-            return { table: 'settings', queryField: 'key', queryValue: 'main' };
-        } else {
+    _settingsKey(key) {
+        if (key === DATA_KEYS.SETTINGS) return 'main';
+        if (![ACCESS_NOTIFY_STATE_KEY, MIGRATION_STATE_KEY].includes(key)
+            && ![SUBSCRIPTION_CACHE_PREFIX, SUBSCRIPTION_HISTORY_PREFIX, SUBSCRIPTION_NODES_PREFIX, MIGRATION_BACKUP_PREFIX].some(prefix => key.startsWith(prefix))) {
             // 处理其他格式的 key，默认作为 settings 表的 key，但记录警告
             console.warn(`[D1 Storage] Unknown key format: ${key}, treating as settings key`);
-            return { table: 'settings', queryField: 'key', queryValue: key };
-        }
-    }
-
-    /**
-     * 构建 key
-     */
-    _buildKey(table, keyValue) {
-        if (table === 'subscriptions' && keyValue === 'main') {
-            return DATA_KEYS.SUBSCRIPTIONS;
-        } else if (table === 'profiles' && keyValue === 'main') {
-            return DATA_KEYS.PROFILES;
-        } else if (table === 'settings' && keyValue === 'main') {
-            return DATA_KEYS.SETTINGS;
-        } else {
-            return keyValue;
         }
+        return key;
     }
 }
 
+/**
+ * 已注册的存储后端：binding 为需要绑定的环境变量，create 创建适配器
+ * 新增存储方式时在 STORAGE_TYPES 与这里各加一项，DataMigrator 即可在任意两种后端之间迁移
+ */
+const STORAGE_BACKENDS = {
+    [STORAGE_TYPES.KV]: { label: 'KV 存储', binding: 'MISUB_KV', create: (env) => new KVStorageAdapter(env.MISUB_KV) },
+    [STORAGE_TYPES.D1]: { label: 'D1 数据库', binding: 'MISUB_DB', create: (env) => new D1StorageAdapter(env.MISUB_DB) }
+};
+
 /**
  * 存储工厂类
  * 根据配置创建相应的存储适配器
  */
 export class StorageFactory {
     /**
-     * 创建存储适配器
+     * 创建存储适配器，所选后端未绑定时回退到 KV
      * @param {Object} env - Cloudflare 环境对象
      * @param {string} storageType - 存储类型 ('kv' | 'd1')
      * @returns {KVStorageAdapter|D1StorageAdapter}
      */
     static createAdapter(env, storageType = STORAGE_TYPES.KV) {
-        switch (storageType) {
-            case STORAGE_TYPES.D1:
-                if (!env.MISUB_DB) {
-                    console.warn('[Storage] D1 database not available, falling back to KV');
-                    return new KVStorageAdapter(env.MISUB_KV);
-                }
-                return new D1StorageAdapter(env.MISUB_DB);
-            
-            case STORAGE_TYPES.KV:
-            default:
-                return new KVStorageAdapter(env.MISUB_KV);
+        if (!StorageFactory.isAvailable(env, storageType)) {
+            if (storageType !== STORAGE_TYPES.KV) {
+                console.warn(`[Storage] ${storageType} storage not available, falling back to KV`);
+            }
+            return STORAGE_BACKENDS[STORAGE_TYPES.KV].create(env);
         }
+        return STORAGE_BACKENDS[storageType].create(env);
+    }
+
+    /**
+     * 存储类型已注册且对应的绑定存在
+     * @param {Object} env
+     * @param {string} storageType
+     * @returns {boolean}
+     */
+    static isAvailable(env, storageType) {
+        const backend = STORAGE_BACKENDS[storageType];
+        return Boolean(backend && env[backend.binding]);
+    }
+
+    /**
+     * 列出已注册的存储后端及其可用状态
+     * @param {Object} env
+     * @returns {{type: string, label: string, available: boolean}[]}
+     */
+    static listBackends(env) {
+        return Object.entries(STORAGE_BACKENDS).map(([type, backend]) => ({
+            type,
+            label: backend.label,
+            available: StorageFactory.isAvailable(env, type)
+        }));
     }
 
     /**
@@ -230,15 +519,18 @@ export class StorageFactory {
     static async getStorageType(env) {
         try {
             // 优先从 D1 读取设置（若已切换到 D1，则后续请求不会触碰 KV）
+            // 直接查询 settings 表，不触发建表与旧数据迁移：只绑定 D1 用于访问日志的 KV 用户不需要这些表
             if (env.MISUB_DB) {
                 try {
-                    const d1Adapter = new D1StorageAdapter(env.MISUB_DB);
-                    const d1Settings = await d1Adapter.get(DATA_KEYS.SETTINGS);
+                    const row = await env.MISUB_DB.prepare('SELECT value FROM settings WHERE key = ?').bind('main').first();
+                    const d1Settings = row ? JSON.parse(row.value) : null;
                     if (d1Settings?.storageType) {
                         return d1Settings.storageType;
                     }
                 } catch (d1Error) {
-                    console.warn('[Storage] Failed to read from D1:', d1Error.message);
+                    if (!/no such table/i.test(d1Error.message)) {
+                        console.warn('[Storage] Failed to read from D1:', d1Error.message);
+                    }
                 }
             }
 
@@ -262,66 +554,126 @@ export class StorageFactory {
     }
 }
 
+/**
+ * 按键排序后序列化，使存储层调整字段顺序 (如 D1 按列拆分后还原) 不影响比较结果
+ * @param {any} value
+ * @returns {string}
+ */
+export function canonicalStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(item => canonicalStringify(item) ?? 'null').join(',')}]`;
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${canonicalStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * 数据的校验和 (规范化 JSON 的 SHA-256)
+ * @param {any} value
+ * @returns {Promise<string>}
+ */
+async function calculateChecksum(value) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalStringify(value)));
+    return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// D1 按行存放订阅与订阅组，空列表读回为 null；迁移时这两项总是以数组写入并比较，
+// 否则目标中残留的旧列表不会被清空，且 [] 与 null 的校验和永远不一致
+const LIST_KEYS = [DATA_KEYS.SUBSCRIPTIONS, DATA_KEYS.PROFILES];
+const normalizeValue = (key, value) => (LIST_KEYS.includes(key) ? value ?? [] : value);
+
+// 除三项主数据外，随数据一起迁移的键 (缓存、历史、通知状态、迁移记录与备份)
+const MIGRATABLE_KEYS = [ACCESS_NOTIFY_STATE_KEY, MIGRATION_STATE_KEY];
+const MIGRATABLE_KEY_PREFIXES = [SUBSCRIPTION_CACHE_PREFIX, SUBSCRIPTION_HISTORY_PREFIX, SUBSCRIPTION_NODES_PREFIX, MIGRATION_BACKUP_PREFIX];
+
+/**
+ * @typedef {Object} StorageMigrationKey
+ * @property {string} key
+ * @property {string} checksum - 源数据的校验和
+ * @property {string|null} targetChecksum - 试运行时为目标中现有数据的校验和，正式迁移时为写入后读回数据的校验和
+ * @property {'new'|'same'|'overwrite'|'verified'|'mismatch'|'failed'} status - 前三种为试运行结果
+ * @property {string} [error]
+ */
+
+/**
+ * @typedef {Object} StorageMigrationReport
+ * @property {string} source
+ * @property {string} target
+ * @property {boolean} dryRun
+ * @property {boolean} success - 试运行时表示源数据读取成功，正式迁移时表示全部校验通过且已切换存储类型
+ * @property {boolean} switched - 是否已把 storageType 切换为目标后端
+ * @property {number} startedAt
+ * @property {number} finishedAt
+ * @property {StorageMigrationKey[]} keys
+ * @property {string[]} errors
+ */
+
 /**
  * 数据迁移工具
+ * 在任意两种已注册的存储后端之间复制数据，逐键比对校验和，全部一致后才切换 storageType；
+ * 源数据保持不变，需要时可再迁移回去
  */
 export class DataMigrator {
     /**
-     * 从 KV 迁移到 D1
+     * 在两种存储后端之间迁移数据
      * @param {Object} env - Cloudflare 环境对象
-     * @returns {Promise<Object>} 迁移结果
+     * @param {{from: string, to: string, dryRun?: boolean}} options - dryRun 时只读取并对比，不写入目标
+     * @returns {Promise<StorageMigrationReport>}
      */
-    static async migrateKVToD1(env) {
-        try {
-            const kvAdapter = new KVStorageAdapter(env.MISUB_KV);
-            const d1Adapter = new D1StorageAdapter(env.MISUB_DB);
-
-            const results = {
-                subscriptions: false,
-                profiles: false,
-                settings: false,
-                errors: []
-            };
-
-            // 迁移订阅数据
+    static async migrate(env, { from, to, dryRun = false }) {
+        if (from === to) throw new Error('源存储与目标存储相同');
+        for (const type of [from, to]) {
+            if (!STORAGE_BACKENDS[type]) throw new Error(`不支持的存储类型: ${type}`);
+            if (!StorageFactory.isAvailable(env, type)) throw new Error(`${STORAGE_BACKENDS[type].label}未绑定 (${STORAGE_BACKENDS[type].binding})`);
+        }
+        const source = STORAGE_BACKENDS[from].create(env);
+        const target = STORAGE_BACKENDS[to].create(env);
+        const report = { source: from, target: to, dryRun, success: false, switched: false, startedAt: Date.now(), finishedAt: null, keys: [], errors: [] };
+
+        // 设置最后写入：中途失败时目标中的 storageType 仍指向源后端
+        const keys = [DATA_KEYS.SUBSCRIPTIONS, DATA_KEYS.PROFILES, ...await DataMigrator._listExtraKeys(source), DATA_KEYS.SETTINGS];
+        for (const key of keys) {
+            const value = normalizeValue(key, await source.get(key));
+            if (value === null || value === undefined) continue;
+            const entry = { key, checksum: await calculateChecksum(value), targetChecksum: null, status: null };
             try {
-                const subscriptions = await kvAdapter.get(DATA_KEYS.SUBSCRIPTIONS);
-                if (subscriptions) {
-                    await d1Adapter.put(DATA_KEYS.SUBSCRIPTIONS, subscriptions);
-                    results.subscriptions = true;
+                if (dryRun) {
+                    // 与实际迁移的校验一致：订阅与订阅组在目标中不存在时按空列表比较
+                    const existing = normalizeValue(key, await target.get(key));
+                    entry.targetChecksum = existing === null || existing === undefined ? null : await calculateChecksum(existing);
+                    entry.status = entry.targetChecksum === null ? 'new' : (entry.targetChecksum === entry.checksum ? 'same' : 'overwrite');
+                } else {
+                    await target.put(key, value);
+                    entry.targetChecksum = await calculateChecksum(normalizeValue(key, await target.get(key)));
+                    entry.status = entry.targetChecksum === entry.checksum ? 'verified' : 'mismatch';
+                    if (entry.status === 'mismatch') report.errors.push(`${key} 校验和不一致`);
                 }
             } catch (error) {
-                results.errors.push(`订阅数据迁移失败: ${error.message}`);
+                entry.status = 'failed';
+                entry.error = error.message;
+                report.errors.push(`${key} 迁移失败: ${error.message}`);
             }
+            report.keys.push(entry);
+        }
 
-            // 迁移配置文件
-            try {
-                const profiles = await kvAdapter.get(DATA_KEYS.PROFILES);
-                if (profiles) {
-                    await d1Adapter.put(DATA_KEYS.PROFILES, profiles);
-                    results.profiles = true;
-                }
-            } catch (error) {
-                results.errors.push(`配置文件迁移失败: ${error.message}`);
+        report.success = report.errors.length === 0;
+        if (!dryRun && report.success) {
+            // 两侧都写入新的 storageType：getStorageType 优先读取 D1 中的设置
+            for (const adapter of [target, source]) {
+                const settings = await adapter.get(DATA_KEYS.SETTINGS) || {};
+                await adapter.put(DATA_KEYS.SETTINGS, { ...settings, storageType: to });
             }
-
-            // 迁移设置
-            try {
-                const settings = await kvAdapter.get(DATA_KEYS.SETTINGS);
-                if (settings) {
-                    // 更新存储类型为 D1
-                    settings.storageType = STORAGE_TYPES.D1;
-                    await d1Adapter.put(DATA_KEYS.SETTINGS, settings);
-                    results.settings = true;
-                }
-            } catch (error) {
-                results.errors.push(`设置迁移失败: ${error.message}`);
-            }
-
-            return results;
-        } catch (error) {
-            console.error('[Migration] Failed to migrate KV to D1:', error);
-            throw error;
+            report.switched = true;
         }
+        report.finishedAt = Date.now();
+        return report;
+    }
+
+    static async _listExtraKeys(adapter) {
+        const keys = await adapter.list('');
+        return keys.map(key => key.name)
+            .filter(name => MIGRATABLE_KEYS.includes(name) || MIGRATABLE_KEY_PREFIXES.some(prefix => name.startsWith(prefix)))
+            .sort();
     }
 }
@@ -0,0 +1,99 @@
+/**
+ * 上游订阅缓存
+ * 保存每个订阅最近一次成功获取并解析出的节点链接，用于 TTL 内直接响应客户端，
+ * 以及上游超时/出错时回退到最后一次可用的内容
+ */
+import { SUBSCRIPTION_CACHE_PREFIX } from './storage-adapter.js';
+
+/**
+ * @typedef {Object} SubscriptionCacheEntry
+ * @property {string} url - 缓存对应的订阅地址，地址变更后缓存失效
+ * @property {string[]} links - 规范化后的节点链接 (未经过滤与重命名)
+ * @property {string} fetchedAt - 最近一次写入成功内容的时间 (ISO)
+ * @property {string|null} lastError - 刷新失败的原因，成功后清空
+ * @property {string|null} staleSince - 开始回退到缓存的时间 (ISO)，成功后清空
+ */
+
+const getCacheKey = (subId) => `${SUBSCRIPTION_CACHE_PREFIX}${subId}`;
+
+/**
+ * 读取订阅缓存，订阅地址已变化时视为无缓存
+ * @param {Object} storageAdapter
+ * @param {{id: string, url: string}} sub
+ * @returns {Promise<SubscriptionCacheEntry|null>}
+ */
+export async function readSubscriptionCache(storageAdapter, sub) {
+    if (!sub.id) return null;
+    const entry = await storageAdapter.get(getCacheKey(sub.id));
+    if (!entry || entry.url !== sub.url || !Array.isArray(entry.links)) return null;
+    return entry;
+}
+
+/**
+ * 判断缓存是否仍在 TTL 内且可直接使用
+ * @param {SubscriptionCacheEntry|null} entry
+ * @param {number} ttlMinutes - 0 表示不直接使用缓存，仅作失败回退
+ * @returns {boolean}
+ */
+export function isSubscriptionCacheFresh(entry, ttlMinutes) {
+    if (!entry || entry.lastError || !(ttlMinutes > 0)) return false;
+    return Date.now() - new Date(entry.fetchedAt).getTime() < ttlMinutes * 60 * 1000;
+}
+
+/**
+ * 刷新成功后写入缓存
+ * 内容未变化且缓存未过期时跳过写入，避免每次请求都消耗 KV 写入额度
+ * @param {Object} storageAdapter
+ * @param {{id: string, url: string}} sub
+ * @param {string[]} links
+ * @param {SubscriptionCacheEntry|null} previous - 写入前读取到的缓存
+ * @param {number} ttlMinutes
+ */
+export async function writeSubscriptionCache(storageAdapter, sub, links, previous, ttlMinutes) {
+    if (!sub.id) return;
+    const unchanged = previous && !previous.lastError
+        && previous.links.length === links.length
+        && previous.links.every((link, index) => link === links[index]);
+    if (unchanged && (ttlMinutes <= 0 || isSubscriptionCacheFresh(previous, ttlMinutes))) return;
+
+    await storageAdapter.put(getCacheKey(sub.id), {
+        url: sub.url,
+        links,
+        fetchedAt: new Date().toISOString(),
+        lastError: null,
+        staleSince: null
+    });
+}
+
+/**
+ * 刷新失败且回退到旧缓存时，记录失败原因供管理界面提示
+ * 已处于回退状态时不再重复写入，上游持续故障期间不会放大写入次数
+ * @param {Object} storageAdapter
+ * @param {{id: string}} sub
+ * @param {SubscriptionCacheEntry} entry
+ * @param {string} error
+ */
+export async function markSubscriptionCacheStale(storageAdapter, sub, entry, error) {
+    if (entry.lastError) return;
+    await storageAdapter.put(getCacheKey(sub.id), {
+        ...entry,
+        lastError: error,
+        staleSince: new Date().toISOString()
+    });
+}
+
+/**
+ * 汇总订阅的缓存状态，供管理界面展示
+ * @param {SubscriptionCacheEntry|null} entry
+ * @returns {{fetchedAt: string, stale: boolean, lastError: string|null, staleSince: string|null, nodeCount: number}|null}
+ */
+export function getSubscriptionCacheStatus(entry) {
+    if (!entry) return null;
+    return {
+        fetchedAt: entry.fetchedAt,
+        stale: !!entry.lastError,
+        lastError: entry.lastError || null,
+        staleSince: entry.staleSince || null,
+        nodeCount: entry.links.length
+    };
+}
@@ -0,0 +1,87 @@
+/**
+ * 上游节点变化检测
+ * 定时任务把每次刷新得到的节点列表与上一次刷新比较，
+ * 用于发现机场悄悄缩减节点、返回错误页面 (节点归零) 或大面积更换节点
+ */
+import { getNodeKey, getNodeDisplayName } from '../src/shared/node-parser.js';
+import { SUBSCRIPTION_NODES_PREFIX } from './storage-adapter.js';
+
+/**
+ * @typedef {Object} NodeDiff
+ * @property {number} previousCount - 上一次刷新的节点数
+ * @property {number} currentCount - 本次刷新的节点数
+ * @property {string[]} added - 新增节点的名称
+ * @property {string[]} removed - 移除节点的名称
+ */
+
+const getNodesKey = (subId) => `${SUBSCRIPTION_NODES_PREFIX}${subId}`;
+
+/**
+ * 比较两次刷新的节点列表
+ * 以连接参数 (忽略名称) 判断是否为同一节点，仅改名不算变化
+ * @param {string[]} previousLinks
+ * @param {string[]} currentLinks
+ * @returns {NodeDiff}
+ */
+export function diffNodeLinks(previousLinks, currentLinks) {
+    const previous = new Map(previousLinks.map(link => [getNodeKey(link), link]));
+    const current = new Map(currentLinks.map(link => [getNodeKey(link), link]));
+    return {
+        previousCount: previousLinks.length,
+        currentCount: currentLinks.length,
+        added: [...current].filter(([key]) => !previous.has(key)).map(([, link]) => getNodeDisplayName(link)),
+        removed: [...previous].filter(([key]) => !current.has(key)).map(([, link]) => getNodeDisplayName(link))
+    };
+}
+
+/**
+ * 判断节点变化是否需要提醒
+ * - empty: 节点数归零
+ * - drop: 节点数减少的比例达到 dropPercent
+ * - churn: 新增与移除的节点数之和占原节点数的比例达到 changePercent
+ * @param {NodeDiff} diff
+ * @param {{dropPercent: number, changePercent: number}} thresholds - 0 表示关闭对应检查
+ * @returns {('empty'|'drop'|'churn')[]} - 触发的原因，不需要提醒时为空数组
+ */
+export function detectNodeChangeReasons(diff, { dropPercent, changePercent }) {
+    const { previousCount, currentCount, added, removed } = diff;
+    if (previousCount === 0) return [];
+    if (currentCount === 0) return ['empty'];
+
+    const reasons = [];
+    if (dropPercent > 0 && (previousCount - currentCount) / previousCount * 100 >= dropPercent) {
+        reasons.push('drop');
+    }
+    if (changePercent > 0 && (added.length + removed.length) / previousCount * 100 >= changePercent) {
+        reasons.push('churn');
+    }
+    return reasons;
+}
+
+/**
+ * 读取上一次刷新时的节点列表
+ * @param {Object} storageAdapter
+ * @param {{id: string, url: string}} sub
+ * @returns {Promise<string[]|null>} - 没有记录或订阅地址已变化时返回 null
+ */
+export async function readNodeBaseline(storageAdapter, sub) {
+    if (!sub.id) return null;
+    const entry = await storageAdapter.get(getNodesKey(sub.id));
+    if (!entry || entry.url !== sub.url || !Array.isArray(entry.links)) return null;
+    return entry.links;
+}
+
+/**
+ * 保存本次刷新的节点列表，作为下一次比较的基准
+ * @param {Object} storageAdapter
+ * @param {{id: string, url: string}} sub
+ * @param {string[]} links
+ */
+export async function writeNodeBaseline(storageAdapter, sub, links) {
+    if (!sub.id) return;
+    await storageAdapter.put(getNodesKey(sub.id), {
+        url: sub.url,
+        links,
+        checkedAt: new Date().toISOString()
+    });
+}
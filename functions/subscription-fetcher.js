@@ -0,0 +1,208 @@
+/**
+ * 统一的上游订阅获取模块
+ * 定时任务、节点数刷新、批量更新、调试与订阅输出都经由这里请求上游：
+ * 一次请求同时取得 subscription-userinfo、原始内容与节点列表，并带有重试、并发与大小/时间限制
+ */
+import { normalizeNodeLink } from '../src/shared/node-parser.js';
+import { parseSubscriptionContent } from '../src/shared/subscription-parser.js';
+import { parseUserInfoHeader } from './subscription-userinfo.js';
+
+// 默认使用 v2rayN UA 获取订阅，绕过机场过滤同时保证获取完整节点；订阅可单独覆盖
+export const DEFAULT_SUBSCRIPTION_USER_AGENT = 'v2rayN/6.45';
+
+const DEFAULT_FETCH_OPTIONS = {
+    timeout: 8000,          // 单次请求超时 (含读取响应体)
+    totalBudget: 20000,     // 含重试在内的总耗时上限
+    retries: 2,             // 失败后的最大重试次数
+    retryDelay: 500,        // 首次重试前的等待时间，之后按 2 倍递增
+    maxBytes: 10 * 1024 * 1024 // 响应体大小上限
+};
+
+// 单次调用内同时进行的上游请求数上限 (Workers 对单次调用的并发连接数有限制)
+const MAX_CONCURRENT_FETCHES = 6;
+
+/**
+ * 上游请求失败
+ * retryable 为 true 时 (超时、网络错误、5xx、429) 会按退避策略重试
+ */
+export class SubscriptionFetchError extends Error {
+    constructor(message, { status = null, retryable = false } = {}) {
+        super(message);
+        this.name = 'SubscriptionFetchError';
+        this.status = status;
+        this.retryable = retryable;
+    }
+}
+
+/**
+ * 创建并发限制器，超出上限的任务排队等待
+ * 需要在每次调用 (请求、定时任务) 内创建并通过 options.limiter 传给 fetchSubscription：
+ * Workers 中的 Promise 不能跨请求共享，模块级的队列会让一个请求等待另一个请求的 I/O
+ * @param {number} [concurrency]
+ * @returns {(task: () => Promise<any>) => Promise<any>}
+ */
+export function createFetchLimiter(concurrency = MAX_CONCURRENT_FETCHES) {
+    let active = 0;
+    const queue = [];
+    const next = () => {
+        if (active >= concurrency || queue.length === 0) return;
+        active++;
+        const { task, resolve, reject } = queue.shift();
+        task().then(resolve, reject).finally(() => {
+            active--;
+            next();
+        });
+    };
+    return (task) => new Promise((resolve, reject) => {
+        queue.push({ task, resolve, reject });
+        next();
+    });
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 构造请求上游订阅时使用的请求头
+ * 订阅自定义的 headers 会附加到请求中，自定义 userAgent 优先于各调用路径的默认值
+ * @param {{userAgent?: string, headers?: Object<string, string>}} sub - 订阅对象
+ * @param {string} defaultUserAgent - 调用路径的默认用户代理
+ * @returns {Object<string, string>}
+ */
+export function buildSubscriptionHeaders(sub, defaultUserAgent = DEFAULT_SUBSCRIPTION_USER_AGENT) {
+    const headers = { 'User-Agent': defaultUserAgent };
+    if (sub?.headers && typeof sub.headers === 'object') {
+        for (const [key, value] of Object.entries(sub.headers)) {
+            if (key && value !== undefined && value !== null) headers[key] = String(value);
+        }
+    }
+    if (typeof sub?.userAgent === 'string' && sub.userAgent.trim() !== '') {
+        headers['User-Agent'] = sub.userAgent.trim();
+    }
+    return headers;
+}
+
+/**
+ * 在大小限制内读取响应体
+ * @param {Response} response
+ * @param {number} maxBytes
+ * @returns {Promise<string>}
+ */
+async function readBodyWithLimit(response, maxBytes) {
+    const declaredLength = Number(response.headers.get('content-length'));
+    if (declaredLength > maxBytes) {
+        throw new SubscriptionFetchError(`响应体过大 (${declaredLength} 字节，上限 ${maxBytes} 字节)`);
+    }
+    if (!response.body) return await response.text();
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder('utf-8');
+    let received = 0;
+    let text = '';
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        received += value.byteLength;
+        if (received > maxBytes) {
+            await reader.cancel();
+            throw new SubscriptionFetchError(`响应体过大 (超过上限 ${maxBytes} 字节)`);
+        }
+        text += decoder.decode(value, { stream: true });
+    }
+    return text + decoder.decode();
+}
+
+/**
+ * 发起一次请求并读取响应，超时会中止请求
+ */
+async function fetchOnce(url, headers, timeout, maxBytes) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+    try {
+        const response = await fetch(new Request(url, {
+            headers,
+            redirect: 'follow',
+            signal: controller.signal,
+            cf: {
+                insecureSkipVerify: true,
+                allowUntrusted: true,
+                validateCertificate: false
+            }
+        }));
+        if (!response.ok) {
+            throw new SubscriptionFetchError(`HTTP ${response.status}`, {
+                status: response.status,
+                retryable: response.status >= 500 || response.status === 429
+            });
+        }
+        const text = await readBodyWithLimit(response, maxBytes);
+        return { response, text };
+    } catch (e) {
+        if (e instanceof SubscriptionFetchError) throw e;
+        const message = controller.signal.aborted ? 'Request timed out' : e.message;
+        throw new SubscriptionFetchError(message, { retryable: true });
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+/**
+ * @typedef {Object} SubscriptionFetchResult
+ * @property {number} status - HTTP 状态码
+ * @property {Object|null} userInfo - 解析后的 subscription-userinfo
+ * @property {string} text - 原始响应内容
+ * @property {string[]} links - 规范化后的节点链接
+ * @property {number} count - 节点数
+ * @property {{name: string, error: string}[]} conversionErrors - 无法转换的节点 (最多 20 条)
+ * @property {number} attempts - 实际请求次数
+ */
+
+/**
+ * 获取并解析一个上游订阅
+ * @param {{url: string, userAgent?: string, headers?: Object<string, string>}} sub - 订阅对象
+ * @param {Object} [options]
+ * @param {string} [options.userAgent] - 调用路径的默认 UA，订阅自定义 UA 优先
+ * @param {number} [options.timeout]
+ * @param {number} [options.totalBudget]
+ * @param {number} [options.retries]
+ * @param {number} [options.retryDelay]
+ * @param {number} [options.maxBytes]
+ * @param {Function} [options.limiter] - createFetchLimiter 创建的并发限制器，同时请求多个订阅时传入
+ * @returns {Promise<SubscriptionFetchResult>}
+ * @throws {SubscriptionFetchError} 重试耗尽或遇到不可重试的错误时
+ */
+export async function fetchSubscription(sub, options = {}) {
+    const { userAgent, timeout, totalBudget, retries, retryDelay, maxBytes, limiter } = { ...DEFAULT_FETCH_OPTIONS, ...options };
+    const runLimited = limiter || (task => task());
+    const headers = buildSubscriptionHeaders(sub, userAgent || DEFAULT_SUBSCRIPTION_USER_AGENT);
+    const deadline = Date.now() + totalBudget;
+
+    let lastError = null;
+    for (let attempt = 0; attempt <= retries; attempt++) {
+        if (attempt > 0) {
+            const delay = retryDelay * 2 ** (attempt - 1);
+            // 剩余时间不足以再试一次时直接放弃
+            if (Date.now() + delay >= deadline) break;
+            await sleep(delay);
+        }
+        try {
+            const { response, text } = await runLimited(() => fetchOnce(sub.url, headers, Math.min(timeout, Math.max(deadline - Date.now(), 1)), maxBytes));
+            // 兼容 Base64 / 明文链接 / Clash YAML / sing-box JSON 格式的上游订阅
+            const { links, errors } = parseSubscriptionContent(text);
+            const normalizedLinks = links.map(link => normalizeNodeLink(link));
+            return {
+                status: response.status,
+                userInfo: parseUserInfoHeader(response.headers.get('subscription-userinfo')),
+                text,
+                links: normalizedLinks,
+                count: normalizedLinks.length,
+                // 仅保留前 20 条原因，避免订阅数据过大
+                conversionErrors: errors.slice(0, 20),
+                attempts: attempt + 1
+            };
+        } catch (e) {
+            lastError = e instanceof SubscriptionFetchError ? e : new SubscriptionFetchError(e.message);
+            if (!lastError.retryable) break;
+        }
+    }
+    throw lastError || new SubscriptionFetchError('Request timed out', { retryable: true });
+}
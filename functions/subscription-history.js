@@ -0,0 +1,78 @@
+/**
+ * 订阅流量与节点数历史
+ * 每次刷新订阅时追加一条带时间戳的快照，按订阅保存为有上限的环形缓冲，
+ * 用于观察机场流量的消耗速度以及节点数的变化
+ */
+import { SUBSCRIPTION_HISTORY_PREFIX } from './storage-adapter.js';
+
+// 每个订阅最多保留的快照条数 (每小时一次约一个月)
+export const SUBSCRIPTION_HISTORY_LIMIT = 720;
+
+// 间隔小于该值的快照合并为一条，避免频繁手动刷新挤掉较早的数据
+const MIN_SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * @typedef {Object} SubscriptionSnapshot
+ * @property {number} t - 记录时间 (毫秒时间戳)
+ * @property {number|null} upload - 已用上传流量 (字节)
+ * @property {number|null} download - 已用下载流量 (字节)
+ * @property {number|null} total - 总流量 (字节)
+ * @property {number|null} expire - 到期时间 (秒级时间戳)
+ * @property {number|null} nodeCount - 节点数
+ */
+
+const getHistoryKey = (subId) => `${SUBSCRIPTION_HISTORY_PREFIX}${subId}`;
+
+const toNumberOrNull = (value) => Number.isFinite(Number(value)) && value !== null && value !== '' ? Number(value) : null;
+
+/**
+ * 由订阅当前的流量信息与节点数生成快照
+ * @param {{userInfo?: Object, nodeCount?: number}} sub
+ * @param {number} [now]
+ * @returns {SubscriptionSnapshot}
+ */
+export function createSubscriptionSnapshot(sub, now = Date.now()) {
+    const info = sub.userInfo || {};
+    return {
+        t: now,
+        upload: toNumberOrNull(info.upload),
+        download: toNumberOrNull(info.download),
+        total: toNumberOrNull(info.total),
+        expire: toNumberOrNull(info.expire),
+        nodeCount: toNumberOrNull(sub.nodeCount)
+    };
+}
+
+/**
+ * 读取订阅的历史快照 (按时间升序)
+ * @param {Object} storageAdapter
+ * @param {string} subId
+ * @returns {Promise<SubscriptionSnapshot[]>}
+ */
+export async function readSubscriptionHistory(storageAdapter, subId) {
+    if (!subId) return [];
+    const history = await storageAdapter.get(getHistoryKey(subId));
+    return Array.isArray(history) ? history : [];
+}
+
+/**
+ * 追加一条快照，超出上限时丢弃最早的记录
+ * @param {Object} storageAdapter
+ * @param {{id: string}} sub
+ * @param {SubscriptionSnapshot} snapshot
+ * @param {number} [limit]
+ * @returns {Promise<SubscriptionSnapshot[]>} - 追加后的历史
+ */
+export async function appendSubscriptionHistory(storageAdapter, sub, snapshot, limit = SUBSCRIPTION_HISTORY_LIMIT) {
+    if (!sub.id) return [];
+    const history = await readSubscriptionHistory(storageAdapter, sub.id);
+    const last = history[history.length - 1];
+    if (last && snapshot.t - last.t < MIN_SNAPSHOT_INTERVAL_MS) {
+        history[history.length - 1] = snapshot;
+    } else {
+        history.push(snapshot);
+    }
+    const trimmed = history.slice(-limit);
+    await storageAdapter.put(getHistoryKey(sub.id), trimmed);
+    return trimmed;
+}
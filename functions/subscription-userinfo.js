@@ -0,0 +1,67 @@
+/**
+ * subscription-userinfo 相关工具
+ * 解析上游返回的流量信息，并把多个订阅的流量信息合并为 MiSub 输出时的响应头
+ */
+
+/**
+ * 解析 subscription-userinfo 响应头
+ * @param {string|null} header - 如 "upload=1; download=2; total=3; expire=4"
+ * @returns {Object|null}
+ */
+export function parseUserInfoHeader(header) {
+    if (!header) return null;
+    const info = {};
+    header.split(';').forEach(part => {
+        const [key, value] = part.trim().split('=');
+        if (key && value) info[key] = /^\d+$/.test(value) ? Number(value) : value;
+    });
+    return info;
+}
+
+/**
+ * 合并多个订阅的流量信息
+ * - sum: 流量累加，到期时间取最早的一个
+ * - earliest: 直接使用最早到期的订阅的流量信息 (没有到期时间的订阅排在最后)
+ * @param {{userInfo?: Object}[]} subs - 参与输出的订阅
+ * @param {'sum'|'earliest'} [policy='sum']
+ * @returns {{upload: number, download: number, total: number, expire?: number}|null} - 没有任何流量信息时返回 null
+ */
+export function aggregateUserInfo(subs, policy = 'sum') {
+    const infos = subs
+        .map(sub => sub.userInfo)
+        .filter(info => info && Number(info.total) > 0);
+    if (infos.length === 0) return null;
+
+    const expireOf = (info) => Number(info.expire) > 0 ? Number(info.expire) : Infinity;
+
+    if (policy === 'earliest') {
+        const earliest = infos.reduce((a, b) => expireOf(b) < expireOf(a) ? b : a);
+        const result = {
+            upload: Number(earliest.upload) || 0,
+            download: Number(earliest.download) || 0,
+            total: Number(earliest.total) || 0
+        };
+        if (expireOf(earliest) !== Infinity) result.expire = expireOf(earliest);
+        return result;
+    }
+
+    const result = infos.reduce((acc, info) => ({
+        upload: acc.upload + (Number(info.upload) || 0),
+        download: acc.download + (Number(info.download) || 0),
+        total: acc.total + (Number(info.total) || 0)
+    }), { upload: 0, download: 0, total: 0 });
+    const expire = Math.min(...infos.map(expireOf));
+    if (expire !== Infinity) result.expire = expire;
+    return result;
+}
+
+/**
+ * 格式化为 subscription-userinfo 响应头的值
+ * @param {{upload: number, download: number, total: number, expire?: number}} info
+ * @returns {string}
+ */
+export function formatUserInfoHeader(info) {
+    const parts = [`upload=${info.upload}`, `download=${info.download}`, `total=${info.total}`];
+    if (info.expire) parts.push(`expire=${info.expire}`);
+    return parts.join('; ');
+}
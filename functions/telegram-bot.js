@@ -0,0 +1,257 @@
+/**
+ * Telegram 机器人命令
+ * Telegram 通过 Webhook 推送消息，只处理来自已配置 Telegram 通知渠道的 Chat ID 的命令，
+ * 用于在手机上查看状态、刷新订阅、启用/停用订阅或订阅组以及获取分享链接
+ */
+import { resolveNotificationChannels } from '../src/shared/notification-channels.js';
+import { formatBytes } from '../src/shared/format.js';
+
+// 注册到 Telegram 的命令列表 (setMyCommands)
+export const BOT_COMMANDS = [
+    { command: 'status', description: '查看 MiSub 概况' },
+    { command: 'traffic', description: '查看各订阅的流量与到期时间' },
+    { command: 'refresh', description: '刷新订阅：/refresh [订阅名]，不填则刷新全部' },
+    { command: 'enable', description: '启用订阅或订阅组：/enable 名称' },
+    { command: 'disable', description: '停用订阅或订阅组：/disable 名称' },
+    { command: 'link', description: '获取订阅链接：/link [订阅组]' },
+    { command: 'help', description: '查看命令说明' },
+];
+
+// 列表类回复中最多列出的条目数，避免超过 Telegram 单条消息长度限制
+const LIST_LIMIT = 30;
+
+// 名称与错误信息等外部文字放在 `代码` 中显示，去掉其中的反引号以免破坏 Markdown
+const code = (text) => `\`${String(text ?? '').replace(/`/g, "'")}\``;
+
+/**
+ * 获取机器人配置：使用第一个已启用且配置了 Bot Token 的 Telegram 渠道，
+ * 同一 Bot Token 的所有已启用 Telegram 渠道的 Chat ID 都可以发送命令；停用渠道即收回其命令权限
+ * @param {Object} settings - 全局设置
+ * @returns {{botToken: string, chatIds: string[]}|null}
+ */
+export function getTelegramBot(settings) {
+    const channels = resolveNotificationChannels(settings)
+        .filter(channel => channel.enabled !== false && channel.type === 'telegram' && channel.config?.botToken?.trim() && channel.config?.chatId?.trim());
+    if (channels.length === 0) return null;
+    const botToken = channels[0].config.botToken.trim();
+    return {
+        botToken,
+        chatIds: channels.filter(channel => channel.config.botToken.trim() === botToken).map(channel => channel.config.chatId.trim())
+    };
+}
+
+/**
+ * 由 COOKIE_SECRET 派生 Webhook 的 secret_token，Telegram 会在每次推送时通过请求头带回
+ * @param {string} secret
+ * @returns {Promise<string>}
+ */
+export async function getTelegramWebhookSecret(secret) {
+    const encoder = new TextEncoder();
+    const cryptoKey = await crypto.subtle.importKey('raw', encoder.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const signature = await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode('telegram-webhook'));
+    return Array.from(new Uint8Array(signature)).map(b => b.toString(16).padStart(2, '0')).join('').slice(0, 32);
+}
+
+/**
+ * 调用 Telegram Bot API
+ * @param {string} botToken
+ * @param {string} method
+ * @param {Object} payload
+ * @returns {Promise<Object>} - API 返回的 result；失败时抛出错误
+ */
+export async function callTelegramApi(botToken, method, payload) {
+    const response = await fetch(`https://api.telegram.org/bot${botToken}/${method}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+    });
+    const data = await response.json().catch(() => null);
+    if (!data?.ok) {
+        throw new Error(data?.description || `HTTP ${response.status}`);
+    }
+    return data.result;
+}
+
+/**
+ * 解析命令文本，如 "/refresh@MiSubBot 机场A" -> { command: 'refresh', args: '机场A' }
+ * @param {string} text
+ * @returns {{command: string, args: string}|null}
+ */
+export function parseCommand(text) {
+    const match = String(text || '').trim().match(/^\/([a-zA-Z_]+)(?:@\S+)?(?:\s+([\s\S]*))?$/);
+    if (!match) return null;
+    return { command: match[1].toLowerCase(), args: (match[2] || '').trim() };
+}
+
+/**
+ * 按 ID、自定义 ID 或名称查找条目：先精确匹配，再按名称包含匹配
+ * @param {Object[]} items
+ * @param {string} query
+ * @param {(entry: Object) => Object} [pick] - 从条目中取出订阅/订阅组对象
+ * @returns {Object[]}
+ */
+function findByName(items, query, pick = entry => entry) {
+    const keyword = query.toLowerCase();
+    const exact = items.filter(entry => {
+        const item = pick(entry);
+        return item.id === query || item.customId === query || (item.name || '').toLowerCase() === keyword;
+    });
+    if (exact.length > 0) return exact;
+    return items.filter(entry => (pick(entry).name || '').toLowerCase().includes(keyword));
+}
+
+const describeUsage = (sub) => {
+    const { upload = 0, download = 0, total = 0, expire } = sub.userInfo || {};
+    const parts = [];
+    if (total > 0) {
+        const used = upload + download;
+        parts.push(`${formatBytes(used)} / ${formatBytes(total)} (${Math.round(used / total * 100)}%)`);
+    }
+    if (expire) {
+        parts.push(`${new Date(expire * 1000).toLocaleDateString('zh-CN')} 到期`);
+    }
+    return parts.join('，') || '暂无流量信息';
+};
+
+const isRemoteSub = (sub) => /^https?:\/\//i.test(sub.url || '');
+
+const HELP_TEXT = `🤖 *MiSub 机器人*
+
+${BOT_COMMANDS.map(({ command, description }) => `/${command} - ${description}`).join('\n')}`;
+
+/**
+ * @typedef {Object} BotContext
+ * @property {Object} storageAdapter
+ * @property {Object} settings - 合并默认值后的设置
+ * @property {string} origin - MiSub 的访问地址，用于生成订阅链接
+ * @property {{subs: string, profiles: string}} keys - 订阅与订阅组的存储键
+ * @property {(sub: Object) => Promise<Object>} refreshSubscription - 刷新单个订阅 (不保存)
+ */
+
+const COMMAND_HANDLERS = {
+    async status(args, { storageAdapter, settings, keys }) {
+        const [subs, profiles] = await Promise.all([
+            storageAdapter.get(keys.subs).then(res => res || []),
+            storageAdapter.get(keys.profiles).then(res => res || [])
+        ]);
+        const remoteSubs = subs.filter(isRemoteSub);
+        const enabledSubs = remoteSubs.filter(sub => sub.enabled);
+        const manualNodes = subs.filter(sub => !isRemoteSub(sub));
+        const nodeCount = enabledSubs.reduce((sum, sub) => sum + (sub.nodeCount || 0), 0) + manualNodes.filter(node => node.enabled).length;
+        const remaining = enabledSubs.reduce((sum, sub) => {
+            const { upload = 0, download = 0, total = 0 } = sub.userInfo || {};
+            return total > 0 ? sum + Math.max(0, total - upload - download) : sum;
+        }, 0);
+        const nextExpiry = enabledSubs
+            .filter(sub => sub.userInfo?.expire)
+            .sort((a, b) => a.userInfo.expire - b.userInfo.expire)[0];
+
+        const lines = [
+            '📊 *MiSub 概况*',
+            '',
+            `*订阅:* ${code(`${enabledSubs.length} / ${remoteSubs.length} 已启用`)}`,
+            `*手动节点:* ${code(manualNodes.length)}`,
+            `*订阅组:* ${code(`${profiles.filter(profile => profile.enabled).length} / ${profiles.length} 已启用`)}`,
+            `*节点总数:* ${code(nodeCount)}`,
+            `*剩余总流量:* ${code(formatBytes(remaining))}`
+        ];
+        if (nextExpiry) {
+            lines.push(`*最近到期:* ${code(nextExpiry.name || '未命名')} ${code(new Date(nextExpiry.userInfo.expire * 1000).toLocaleDateString('zh-CN'))}`);
+        }
+        lines.push(`*存储类型:* ${code(settings.storageType === 'd1' ? 'D1' : 'KV')}`);
+        return lines.join('\n');
+    },
+
+    async traffic(args, { storageAdapter, keys }) {
+        const subs = (await storageAdapter.get(keys.subs) || []).filter(sub => isRemoteSub(sub) && sub.enabled);
+        if (subs.length === 0) return '暂无已启用的订阅。';
+        const lines = subs.slice(0, LIST_LIMIT).map(sub => `• ${code(sub.name || '未命名')}\n  ${describeUsage(sub)}`);
+        if (subs.length > LIST_LIMIT) lines.push(`… 另有 ${subs.length - LIST_LIMIT} 个订阅`);
+        return `📈 *订阅流量*\n\n${lines.join('\n')}`;
+    },
+
+    async refresh(args, { storageAdapter, keys, refreshSubscription }) {
+        const allSubs = await storageAdapter.get(keys.subs) || [];
+        const remoteSubs = allSubs.filter(isRemoteSub);
+        const targets = args ? findByName(remoteSubs, args) : remoteSubs.filter(sub => sub.enabled);
+        if (targets.length === 0) return args ? `未找到订阅 ${code(args)}` : '暂无已启用的订阅。';
+
+        const results = await Promise.all(targets.map(async (sub) => {
+            try {
+                await refreshSubscription(sub);
+                return `✅ ${code(sub.name || '未命名')} ${sub.nodeCount} 个节点，${describeUsage(sub)}`;
+            } catch (e) {
+                return `❌ ${code(sub.name || '未命名')} ${code(e.message)}`;
+            }
+        }));
+        await storageAdapter.put(keys.subs, allSubs);
+        const lines = results.slice(0, LIST_LIMIT);
+        if (results.length > LIST_LIMIT) lines.push(`… 另有 ${results.length - LIST_LIMIT} 个订阅`);
+        return `🔄 *刷新完成*\n\n${lines.join('\n')}`;
+    },
+
+    enable: (args, context) => setEnabled(args, true, context),
+    disable: (args, context) => setEnabled(args, false, context),
+
+    async link(args, { storageAdapter, settings, origin, keys }) {
+        if (!args) {
+            if (!settings.mytoken || settings.mytoken === 'auto') return '请先在设置中配置固定的主 Token。';
+            return `🔗 *主订阅链接*\n\n${code(`${origin}/${settings.mytoken}`)}`;
+        }
+        if (!settings.profileToken || settings.profileToken === 'auto') return '请先在设置中配置固定的订阅组分享 Token。';
+        const profiles = findByName(await storageAdapter.get(keys.profiles) || [], args);
+        if (profiles.length === 0) return `未找到订阅组 ${code(args)}`;
+        const lines = profiles.map(profile =>
+            `• ${code(profile.name || '未命名')}${profile.enabled ? '' : ' (已停用)'}\n  ${code(`${origin}/${settings.profileToken}/${profile.customId || profile.id}`)}`
+        );
+        return `🔗 *订阅组链接*\n\n${lines.join('\n')}`;
+    },
+
+    help: () => HELP_TEXT,
+    start: () => HELP_TEXT,
+};
+
+async function setEnabled(args, enabled, { storageAdapter, keys }) {
+    const action = enabled ? '启用' : '停用';
+    if (!args) return `请指定要${action}的订阅或订阅组，例如 /${enabled ? 'enable' : 'disable'} 机场A`;
+
+    const [allSubs, allProfiles] = await Promise.all([
+        storageAdapter.get(keys.subs).then(res => res || []),
+        storageAdapter.get(keys.profiles).then(res => res || [])
+    ]);
+    // 订阅与订阅组一起匹配，精确匹配优先于包含匹配
+    const candidates = [
+        ...allSubs.filter(isRemoteSub).map(item => ({ item, type: '订阅' })),
+        ...allProfiles.map(item => ({ item, type: '订阅组' }))
+    ];
+    const matches = findByName(candidates, args, entry => entry.item);
+
+    if (matches.length === 0) return `未找到订阅或订阅组 ${code(args)}`;
+    if (matches.length > 1) {
+        const lines = matches.slice(0, LIST_LIMIT).map(({ item, type }) => `• ${type} ${code(item.name || item.id)}`);
+        return `找到多个匹配项，请使用更完整的名称：\n\n${lines.join('\n')}`;
+    }
+
+    const { item, type } = matches[0];
+    if (item.enabled === enabled) return `${type} ${code(item.name)} 已经是${action}状态。`;
+    item.enabled = enabled;
+    await storageAdapter.put(type === '订阅' ? keys.subs : keys.profiles, type === '订阅' ? allSubs : allProfiles);
+    return `${enabled ? '✅' : '⏸️'} 已${action}${type} ${code(item.name)}`;
+}
+
+/**
+ * 执行命令并返回回复内容 (Telegram Markdown)
+ * @param {{command: string, args: string}} parsed
+ * @param {BotContext} context
+ * @returns {Promise<string>}
+ */
+export async function runBotCommand({ command, args }, context) {
+    const handler = COMMAND_HANDLERS[command];
+    if (!handler) return `未知命令 /${command}，发送 /help 查看可用命令。`;
+    try {
+        return await handler(args, context);
+    } catch (e) {
+        console.error(`[Telegram Bot] /${command} 执行失败`, e);
+        return `❌ 执行 /${command} 失败: ${code(e.message)}`;
+    }
+}
@@ -0,0 +1,79 @@
+/**
+ * 订阅流量消耗预测
+ * 根据近期的历史快照估算日均用量，推算流量耗尽的时间，并判断是否会早于订阅到期
+ */
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+// 只用最近 7 天的快照估算消耗速度，反映当前的使用习惯
+const FORECAST_WINDOW_MS = 7 * ONE_DAY_MS;
+
+// 样本时间跨度太短时估算误差过大，不做预测
+const MIN_FORECAST_SPAN_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} UsageForecast
+ * @property {number} dailyUsage - 近期日均用量 (字节)
+ * @property {number} remaining - 剩余流量 (字节)
+ * @property {number} depletionAt - 预计耗尽时间 (毫秒时间戳)
+ * @property {number|null} expireAt - 订阅到期时间 (毫秒时间戳)
+ * @property {boolean} runsOutBeforeExpiry - 是否会在到期前用完
+ * @property {number} computedAt - 计算时间 (毫秒时间戳)
+ */
+
+const usedOf = (snapshot) => (Number(snapshot.upload) || 0) + (Number(snapshot.download) || 0);
+
+/**
+ * 预测订阅流量的耗尽时间
+ * 只取与当前总流量相同、且用量未回落的最近一段快照，流量重置或套餐变更之前的数据不参与估算
+ * @param {import('./subscription-history.js').SubscriptionSnapshot[]} history - 按时间升序的历史快照
+ * @param {{upload?: number, download?: number, total?: number, expire?: number}} userInfo - 当前流量信息
+ * @param {number} [now]
+ * @returns {UsageForecast|null} - 没有流量信息、样本不足或近期没有消耗时返回 null
+ */
+export function forecastUsage(history, userInfo, now = Date.now()) {
+    const total = Number(userInfo?.total) || 0;
+    if (total <= 0 || !Array.isArray(history)) return null;
+
+    const samples = history.filter(item => Number(item.total) === total && item.t >= now - FORECAST_WINDOW_MS);
+    if (samples.length < 2) return null;
+
+    // 从最新的快照向前回溯，遇到用量回落 (流量重置) 即停止
+    let start = samples.length - 1;
+    while (start > 0 && usedOf(samples[start - 1]) <= usedOf(samples[start])) {
+        start--;
+    }
+    const first = samples[start];
+    const last = samples[samples.length - 1];
+    const span = last.t - first.t;
+    const consumed = usedOf(last) - usedOf(first);
+    if (span < MIN_FORECAST_SPAN_MS || consumed <= 0) return null;
+
+    const rate = consumed / span; // 字节/毫秒
+    const remaining = Math.max(0, total - usedOf(userInfo));
+    const depletionAt = Math.round(now + remaining / rate);
+    const expireAt = Number(userInfo.expire) > 0 ? Number(userInfo.expire) * 1000 : null;
+
+    return {
+        dailyUsage: Math.round(rate * ONE_DAY_MS),
+        remaining,
+        depletionAt,
+        expireAt,
+        runsOutBeforeExpiry: expireAt !== null && depletionAt < expireAt,
+        computedAt: now
+    };
+}
+
+/**
+ * 判断是否需要发送「流量将提前耗尽」提醒
+ * 预计在 thresholdDays 天内用完，且早于到期时间 (没有到期时间时只看天数)
+ * @param {UsageForecast|null} forecast
+ * @param {number} thresholdDays
+ * @param {number} [now]
+ * @returns {boolean}
+ */
+export function shouldWarnDepletion(forecast, thresholdDays, now = Date.now()) {
+    if (!forecast || forecast.remaining <= 0) return false;
+    if (forecast.expireAt !== null && !forecast.runsOutBeforeExpiry) return false;
+    return forecast.depletionAt - now <= thresholdDays * ONE_DAY_MS;
+}
@@ -1,20 +1,53 @@
+-- MiSub D1 数据库结构
+-- 订阅、手动节点与订阅组按条存放；name / url / enabled 等常用字段为独立的列，其余字段以 JSON 存放在 data 列。
+-- 使用旧版结构 (整个数组存放在 id = 'main' 的一行中) 的数据库会在首次访问时自动补充列并迁移数据。
 
+-- 订阅 (http/https 地址)，sort_order 为在订阅与节点列表中的位置
 CREATE TABLE IF NOT EXISTS subscriptions (
     id TEXT PRIMARY KEY,
+    name TEXT,
+    url TEXT,
+    enabled INTEGER,
+    sort_order INTEGER NOT NULL DEFAULT 0,
     data TEXT NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- 手动节点
+CREATE TABLE IF NOT EXISTS nodes (
+    id TEXT PRIMARY KEY,
+    name TEXT,
+    url TEXT,
+    enabled INTEGER,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
 
+-- 订阅组
 CREATE TABLE IF NOT EXISTS profiles (
     id TEXT PRIMARY KEY,
+    name TEXT,
+    custom_id TEXT,
+    enabled INTEGER,
+    sort_order INTEGER NOT NULL DEFAULT 0,
     data TEXT NOT NULL,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+-- 订阅组包含的订阅 (member_type = 'subscription') 与手动节点 (member_type = 'node')
+CREATE TABLE IF NOT EXISTS profile_members (
+    profile_id TEXT NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+    member_type TEXT NOT NULL,
+    member_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    PRIMARY KEY (profile_id, member_type, member_id)
+);
 
+-- 设置 (key = 'main') 及订阅缓存、历史等 key-value 数据
 CREATE TABLE IF NOT EXISTS settings (
     key TEXT PRIMARY KEY,
     value TEXT NOT NULL,
@@ -22,6 +55,45 @@ CREATE TABLE IF NOT EXISTS settings (
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
 
+CREATE INDEX IF NOT EXISTS idx_subscriptions_sort_order ON subscriptions(sort_order);
 CREATE INDEX IF NOT EXISTS idx_subscriptions_updated_at ON subscriptions(updated_at);
+CREATE INDEX IF NOT EXISTS idx_nodes_sort_order ON nodes(sort_order);
+CREATE INDEX IF NOT EXISTS idx_profiles_sort_order ON profiles(sort_order);
+CREATE INDEX IF NOT EXISTS idx_profiles_custom_id ON profiles(custom_id);
 CREATE INDEX IF NOT EXISTS idx_profiles_updated_at ON profiles(updated_at);
+CREATE INDEX IF NOT EXISTS idx_profile_members_member ON profile_members(member_type, member_id);
 CREATE INDEX IF NOT EXISTS idx_settings_updated_at ON settings(updated_at);
+
+-- 订阅访问日志 (首次写入时也会自动创建)
+CREATE TABLE IF NOT EXISTS access_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at INTEGER NOT NULL,
+    token_type TEXT NOT NULL,
+    profile_id TEXT,
+    profile_name TEXT,
+    format TEXT,
+    client TEXT,
+    user_agent TEXT,
+    ip TEXT,
+    country TEXT,
+    status INTEGER,
+    response_size INTEGER,
+    upstream_failures INTEGER NOT NULL DEFAULT 0,
+    upstream_errors TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_access_logs_created_at ON access_logs(created_at);
+CREATE INDEX IF NOT EXISTS idx_access_logs_profile_id ON access_logs(profile_id);
+
+-- 访问通知的节流与汇总记录 (首次写入时也会自动创建)
+CREATE TABLE IF NOT EXISTS access_notify_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    ip TEXT NOT NULL,
+    profile_key TEXT NOT NULL,
+    profile TEXT NOT NULL,
+    client TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_access_notify_events_kind ON access_notify_events(kind, created_at);
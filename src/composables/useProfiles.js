@@ -30,7 +30,7 @@ export function useProfiles(initialProfiles, markDirty, config) {
 
   const handleAddProfile = () => {
     isNewProfile.value = true;
-    editingProfile.value = { name: '', enabled: true, subscriptions: [], manualNodes: [], customId: '', subConverter: '', subConfig: '', expiresAt: '' };
+    editingProfile.value = { name: '', enabled: true, subscriptions: [], manualNodes: [], customId: '', subConverter: '', subConfig: '', useExternalConverter: false, expiresAt: '', renameRules: [], regionSettings: { addFlag: false, normalizeNames: false, sortByRegion: false } };
     showProfileModal.value = true;
   };
 
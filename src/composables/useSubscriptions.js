@@ -18,6 +18,11 @@ export function useSubscriptions(initialSubsRef, markDirty) {
       isUpdating: false,
       userInfo: sub.userInfo || null,
       exclude: sub.exclude || '', // 新增 exclude 属性
+      renameRules: sub.renameRules || [], // 有序的节点重命名规则
+      userAgent: sub.userAgent || '', // 请求上游时使用的自定义 UA
+      headers: sub.headers || {}, // 请求上游时附加的自定义请求头
+      conversionErrors: sub.conversionErrors || [], // 上游 Clash / sing-box 订阅中无法转换的节点
+      usageForecast: sub.usageForecast || null, // 后端根据历史快照计算的流量耗尽预测
     }));
     // [最終修正] 移除此處的自動更新迴圈，以防止本地開發伺服器因併發請求過多而崩潰。
     // subscriptions.value.forEach(sub => handleUpdateNodeCount(sub.id, true)); 
@@ -63,9 +68,13 @@ export function useSubscriptions(initialSubsRef, markDirty) {
     }
 
     try {
-      const data = await fetchNodeCount(subToUpdate.url);
+      const data = await fetchNodeCount(subToUpdate.url, { userAgent: subToUpdate.userAgent, headers: subToUpdate.headers });
+      if (data.error) throw new Error(data.error);
       subToUpdate.nodeCount = data.count || 0;
       subToUpdate.userInfo = data.userInfo || null;
+      subToUpdate.conversionErrors = data.conversionErrors || [];
+      // 仅在订阅已保存时后端才会记录历史并重新计算预测
+      if ('usageForecast' in data) subToUpdate.usageForecast = data.usageForecast;
       
       if (!isInitialLoad) {
         showToast(`${subToUpdate.name || '订阅'} 更新成功！`, 'success');
@@ -134,7 +143,9 @@ export function useSubscriptions(initialSubsRef, markDirty) {
               const sub = subscriptions.value.find(s => s.id === updateResult.id);
               if (sub) {
                 sub.nodeCount = updateResult.nodeCount;
-                // userInfo会在下次数据同步时更新
+                sub.conversionErrors = updateResult.conversionErrors || [];
+                if (updateResult.userInfo) sub.userInfo = updateResult.userInfo;
+                sub.usageForecast = updateResult.usageForecast ?? null;
               }
             }
           });
@@ -31,7 +31,14 @@ export async function login(password) {
 }
 
 // [核心修改] saveMisubs 现在接收并发送 profiles
-export async function saveMisubs(misubs, profiles) {
+/**
+ * 保存订阅与订阅组
+ * @param {Object[]} misubs
+ * @param {Object[]} profiles
+ * @param {string} [revision] - 加载时的数据版本号；服务器数据已变化时返回 conflict 及服务器上的最新数据 (remote)
+ * @returns {Promise<{success: boolean, revision?: string, conflict?: boolean, remote?: {misubs: Object[], profiles: Object[], revision: string}, message?: string}>}
+ */
+export async function saveMisubs(misubs, profiles, revision) {
     try {
         // 数据预验证
         if (!Array.isArray(misubs) || !Array.isArray(profiles)) {
@@ -42,9 +49,19 @@ export async function saveMisubs(misubs, profiles) {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             // 将 misubs 和 profiles 一起发送
-            body: JSON.stringify({ misubs, profiles })
+            body: JSON.stringify({ misubs, profiles, revision })
         });
 
+        if (response.status === 409) {
+            const conflictData = await response.json().catch(() => ({}));
+            return {
+                success: false,
+                conflict: true,
+                message: conflictData.message || '数据已被其他会话修改',
+                remote: { misubs: conflictData.misubs || [], profiles: conflictData.profiles || [], revision: conflictData.revision }
+            };
+        }
+
         // 检查HTTP状态码
         if (!response.ok) {
             const errorData = await response.json().catch(() => ({}));
@@ -67,21 +84,68 @@ export async function saveMisubs(misubs, profiles) {
     }
 }
 
-export async function fetchNodeCount(subUrl) {
+/**
+ * 获取订阅的节点数与流量信息
+ * @param {string} subUrl - 订阅地址
+ * @param {{userAgent?: string, headers?: Object<string, string>}} [requestOptions] - 订阅自定义的 UA 与请求头
+ */
+export async function fetchNodeCount(subUrl, requestOptions = {}) {
     try {
         const res = await fetch('/api/node_count', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ url: subUrl })
+            body: JSON.stringify({ url: subUrl, userAgent: requestOptions.userAgent, headers: requestOptions.headers })
         });
         const data = await res.json();
-        return data; // [修正] 直接返回整个对象 { count, userInfo }
+        return data; // [修正] 直接返回整个对象 { count, userInfo, conversionErrors }
     } catch (e) {
         console.error('fetchNodeCount error:', e);
         return { count: 0, userInfo: null };
     }
 }
 
+/**
+ * 获取订阅的流量与节点数历史快照
+ * @param {string} subId - 订阅 ID
+ * @returns {Promise<{success: boolean, history?: Object[], message?: string}>}
+ */
+export async function fetchSubscriptionHistory(subId) {
+    try {
+        const response = await fetch(`/api/subscriptions/${encodeURIComponent(subId)}/history`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            return { success: false, message: data.error || `服务器错误 (${response.status})` };
+        }
+        return { success: true, history: data.history || [] };
+    } catch (error) {
+        console.error('fetchSubscriptionHistory error:', error);
+        return { success: false, message: '网络请求失败' };
+    }
+}
+
+/**
+ * 查询订阅访问日志
+ * @param {{profile?: string, client?: string, from?: number, to?: number, limit?: number, offset?: number}} filters
+ * @returns {Promise<{success: boolean, total?: number, logs?: Object[], summary?: Object, message?: string}>}
+ */
+export async function fetchAccessLogs(filters = {}) {
+    try {
+        const params = new URLSearchParams();
+        Object.entries(filters).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && value !== '') params.set(key, value);
+        });
+        const response = await fetch(`/api/access_logs?${params}`);
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            return { success: false, message: data.error || `服务器错误 (${response.status})` };
+        }
+        return { success: true, ...data };
+    } catch (error) {
+        console.error('fetchAccessLogs error:', error);
+        return { success: false, message: '网络请求失败' };
+    }
+}
+
 export async function fetchSettings() {
     try {
         const response = await fetch('/api/settings');
@@ -151,27 +215,42 @@ export async function batchUpdateNodes(subscriptionIds) {
 }
 
 /**
- * 数据迁移：从 KV 迁移到 D1 数据库
- * @returns {Promise<Object>} - 迁移结果
+ * 获取当前使用的存储后端与已注册的后端
+ * @returns {Promise<{current: string, backends: {type: string, label: string, available: boolean}[]}|null>}
+ */
+export async function fetchStorageStatus() {
+    try {
+        const response = await fetch('/api/storage');
+        if (!response.ok) return null;
+        return await response.json();
+    } catch (error) {
+        console.error('Failed to fetch storage status:', error);
+        return null;
+    }
+}
+
+/**
+ * 把数据从当前存储后端迁移到目标后端，校验通过后切换存储类型
+ * @param {string} target - 目标存储类型
+ * @param {boolean} [dryRun] - 只对比数据，不写入也不切换
+ * @returns {Promise<Object>} - 迁移报告，请求失败时为 { success: false, error }
  */
-export async function migrateToD1() {
+export async function migrateStorage(target, dryRun = false) {
     try {
-        const response = await fetch('/api/migrate_to_d1', {
+        const response = await fetch('/api/storage/migrate', {
             method: 'POST',
-            headers: { 'Content-Type': 'application/json' }
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ target, dryRun })
         });
-
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            const errorMessage = errorData.message || errorData.error || `服务器错误 (${response.status})`;
-            return { success: false, message: errorMessage };
+        const result = await response.json().catch(() => ({}));
+        // 校验未通过时 (500) 仍会返回完整的迁移报告
+        if (!response.ok && !result.keys) {
+            return { success: false, error: result.error || `服务器错误 (${response.status})` };
         }
-
-        const result = await response.json();
         return result;
     } catch (error) {
-        console.error("Failed to migrate to D1:", error);
-        return { success: false, message: '网络请求失败，请检查网络连接' };
+        console.error('Failed to migrate storage:', error);
+        return { success: false, error: '网络请求失败，请检查网络连接' };
     }
 }
 
@@ -202,3 +281,93 @@ export async function testSubscription(url, userAgent) {
         return { success: false, message: '网络请求失败，请检查网络连接' };
     }
 }
+
+/**
+ * 使用给定的渠道配置发送一条测试通知
+ * @param {Object} channel - 通知渠道配置 (可未保存)
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function testNotificationChannel(channel) {
+    try {
+        const response = await fetch('/api/notification_test', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ channel })
+        });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            return { success: false, error: result.error || `服务器错误 (${response.status})` };
+        }
+        return result;
+    } catch (error) {
+        console.error('Failed to test notification channel:', error);
+        return { success: false, error: '网络请求失败，请检查网络连接' };
+    }
+}
+
+/**
+ * 为已保存的 Telegram 通知渠道注册机器人 Webhook 与命令列表
+ * @returns {Promise<{success: boolean, webhookUrl?: string, error?: string}>}
+ */
+export async function setupTelegramBot() {
+    try {
+        const response = await fetch('/api/telegram/setup', { method: 'POST' });
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            return { success: false, error: result.error || `服务器错误 (${response.status})` };
+        }
+        return result;
+    } catch (error) {
+        console.error('Failed to set up Telegram bot:', error);
+        return { success: false, error: '网络请求失败，请检查网络连接' };
+    }
+}
+
+/**
+ * 调用订阅 / 节点 / 订阅组的 REST 接口
+ * @param {string} path - 如 /subscriptions 或 /profiles/:id
+ * @param {string} [method]
+ * @param {Object} [body]
+ * @returns {Promise<{success: boolean, data?: any, message?: string}>}
+ */
+async function requestResource(path, method = 'GET', body) {
+    try {
+        const response = await fetch(`/api${path}`, {
+            method,
+            headers: body ? { 'Content-Type': 'application/json' } : undefined,
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            return { success: false, message: data.error || `服务器错误 (${response.status})` };
+        }
+        return { success: true, data };
+    } catch (error) {
+        console.error(`${method} /api${path} failed:`, error);
+        return { success: false, message: '网络请求失败' };
+    }
+}
+
+const resourcePath = (collection, id) => `/${collection}/${encodeURIComponent(id)}`;
+
+// --- 订阅 ---
+export const fetchSubscriptions = () => requestResource('/subscriptions');
+export const fetchSubscription = (id) => requestResource(resourcePath('subscriptions', id));
+export const createSubscription = (subscription) => requestResource('/subscriptions', 'POST', subscription);
+export const patchSubscription = (id, changes) => requestResource(resourcePath('subscriptions', id), 'PATCH', changes);
+// 删除后返回的 data.affectedProfiles 为被移除引用的订阅组 ID
+export const removeSubscription = (id) => requestResource(resourcePath('subscriptions', id), 'DELETE');
+
+// --- 手动节点 ---
+export const fetchNodes = () => requestResource('/nodes');
+export const fetchNode = (id) => requestResource(resourcePath('nodes', id));
+export const createNode = (node) => requestResource('/nodes', 'POST', node);
+export const patchNode = (id, changes) => requestResource(resourcePath('nodes', id), 'PATCH', changes);
+export const removeNode = (id) => requestResource(resourcePath('nodes', id), 'DELETE');
+
+// --- 订阅组 ---
+export const fetchProfiles = () => requestResource('/profiles');
+export const fetchProfile = (id) => requestResource(resourcePath('profiles', id));
+export const createProfile = (profile) => requestResource('/profiles', 'POST', profile);
+export const patchProfile = (id, changes) => requestResource(resourcePath('profiles', id), 'PATCH', changes);
+export const removeProfile = (id) => requestResource(resourcePath('profiles', id), 'DELETE');
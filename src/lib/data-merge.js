@@ -0,0 +1,174 @@
+//
+// src/lib/data-merge.js
+//
+// 保存冲突时的差异对比与三方合并
+// base 为本会话上次加载/保存时的服务器数据，local 为本地待保存的数据，remote 为服务器上的最新数据，
+// 三者的结构均为 { misubs, profiles }
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// 前端初始化时会为缺省字段补上空值，比较时把各种空值视为相同
+const isEmptyValue = (value) => value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0)
+    || (isPlainObject(value) && Object.keys(value).length === 0);
+
+// 按键排序后序列化，使对象的键顺序不影响比较
+function stableStringify(value) {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (isPlainObject(value)) {
+        return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value);
+}
+
+const isSameValue = (a, b) => (isEmptyValue(a) && isEmptyValue(b)) || stableStringify(a) === stableStringify(b);
+
+/**
+ * 列出两个版本之间值不同的字段
+ * @param {Object} from
+ * @param {Object} to
+ * @returns {string[]}
+ */
+function changedFields(from, to) {
+    const keys = new Set([...Object.keys(from), ...Object.keys(to)]);
+    return [...keys].filter(key => key !== 'id' && !isSameValue(from[key], to[key]));
+}
+
+const byId = (items) => new Map((items || []).map(item => [item.id, item]));
+
+const COLLECTIONS = ['misubs', 'profiles'];
+
+const getItemType = (collection, item) => {
+    if (collection === 'profiles') return '订阅组';
+    return /^https?:\/\//.test(item.url || '') ? '订阅' : '节点';
+};
+
+/**
+ * 单侧相对于 base 的变更
+ * @returns {{status: 'added'|'modified'|'deleted'|null, fields: string[]}}
+ */
+function describeChange(baseItem, item) {
+    if (!baseItem) return { status: item ? 'added' : null, fields: [] };
+    if (!item) return { status: 'deleted', fields: [] };
+    const fields = changedFields(baseItem, item);
+    return { status: fields.length > 0 ? 'modified' : null, fields };
+}
+
+/**
+ * @typedef {Object} ConflictEntry
+ * @property {string} id
+ * @property {string} type - 订阅 / 节点 / 订阅组
+ * @property {string} name
+ * @property {{status: string|null, fields: string[]}} local - 本地相对 base 的变更
+ * @property {{status: string|null, fields: string[]}} remote - 服务器相对 base 的变更
+ * @property {{field: string, local: any, remote: any}[]} conflicts - 双方都修改且结果不同的字段
+ * @property {boolean} conflicted - 存在字段冲突，或一方删除而另一方修改
+ */
+
+/**
+ * 对比本地与服务器相对 base 的变更，只返回至少一方有变更的条目
+ * @param {{misubs: Object[], profiles: Object[]}} base
+ * @param {{misubs: Object[], profiles: Object[]}} local
+ * @param {{misubs: Object[], profiles: Object[]}} remote
+ * @returns {ConflictEntry[]}
+ */
+export function diffData(base, local, remote) {
+    const entries = [];
+    COLLECTIONS.forEach(collection => {
+        const baseMap = byId(base[collection]);
+        const localMap = byId(local[collection]);
+        const remoteMap = byId(remote[collection]);
+        const ids = new Set([...baseMap.keys(), ...localMap.keys(), ...remoteMap.keys()]);
+
+        ids.forEach(id => {
+            const baseItem = baseMap.get(id);
+            const localItem = localMap.get(id);
+            const remoteItem = remoteMap.get(id);
+            const localChange = describeChange(baseItem, localItem);
+            const remoteChange = describeChange(baseItem, remoteItem);
+            if (!localChange.status && !remoteChange.status) return;
+
+            const conflicts = localItem && remoteItem
+                ? [...new Set([...localChange.fields, ...remoteChange.fields])]
+                    .filter(field => (!baseItem || (localChange.fields.includes(field) && remoteChange.fields.includes(field)))
+                        && !isSameValue(localItem[field], remoteItem[field]))
+                    .map(field => ({ field, local: localItem[field], remote: remoteItem[field] }))
+                : [];
+            const deleteConflict = (localChange.status === 'deleted' && remoteChange.status === 'modified')
+                || (remoteChange.status === 'deleted' && localChange.status === 'modified');
+            const item = localItem || remoteItem || baseItem;
+
+            entries.push({
+                id,
+                type: getItemType(collection, item),
+                name: item.name || id,
+                local: localChange,
+                remote: remoteChange,
+                conflicts,
+                conflicted: conflicts.length > 0 || deleteConflict
+            });
+        });
+    });
+    return entries;
+}
+
+/**
+ * 合并单个条目：本地修改过的字段取本地值，其余字段取服务器值
+ */
+function mergeItem(baseItem, localItem, remoteItem) {
+    const merged = { ...remoteItem };
+    changedFields(baseItem, localItem).forEach(field => {
+        if (localItem[field] === undefined) {
+            delete merged[field];
+        } else {
+            merged[field] = localItem[field];
+        }
+    });
+    return merged;
+}
+
+/**
+ * 合并一个集合，保持本地顺序，服务器新增的条目放在最前
+ * 双方修改同一字段时以本地为准；一方删除而另一方修改时保留修改后的条目
+ */
+function mergeCollection(baseItems, localItems, remoteItems) {
+    const baseMap = byId(baseItems);
+    const localMap = byId(localItems);
+    const remoteMap = byId(remoteItems);
+    const merged = [];
+
+    (localItems || []).forEach(localItem => {
+        const baseItem = baseMap.get(localItem.id);
+        const remoteItem = remoteMap.get(localItem.id);
+        if (!baseItem) {
+            merged.push(localItem);
+        } else if (!remoteItem) {
+            if (changedFields(baseItem, localItem).length > 0) merged.push(localItem);
+        } else {
+            merged.push(mergeItem(baseItem, localItem, remoteItem));
+        }
+    });
+
+    const remoteAdded = (remoteItems || []).filter(item => !localMap.has(item.id)
+        && (!baseMap.has(item.id) || changedFields(baseMap.get(item.id), item).length > 0));
+    return [...remoteAdded, ...merged];
+}
+
+/**
+ * 三方合并本地与服务器的数据，并清理订阅组中指向已删除订阅/节点的引用
+ * @param {{misubs: Object[], profiles: Object[]}} base
+ * @param {{misubs: Object[], profiles: Object[]}} local
+ * @param {{misubs: Object[], profiles: Object[]}} remote
+ * @returns {{misubs: Object[], profiles: Object[]}}
+ */
+export function mergeData(base, local, remote) {
+    const misubs = mergeCollection(base.misubs, local.misubs, remote.misubs);
+    const existingIds = new Set(misubs.map(item => item.id));
+    const profiles = mergeCollection(base.profiles, local.profiles, remote.profiles).map(profile => ({
+        ...profile,
+        subscriptions: (profile.subscriptions || []).filter(id => existingIds.has(id)),
+        manualNodes: (profile.manualNodes || []).filter(id => existingIds.has(id))
+    }));
+    return { misubs, profiles };
+}
@@ -0,0 +1,20 @@
+/**
+ * 通用格式化函数 (Pages Functions 与前端共用)
+ */
+
+const BYTE_UNITS = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+
+/**
+ * 把字节数格式化为带单位的字符串，如 1536 -> "1.5 KB"
+ * @param {number} bytes
+ * @param {number} [decimals] - 保留的小数位数
+ * @returns {string} - 非正数或非数字时返回 "0 B"
+ */
+export function formatBytes(bytes, decimals = 2) {
+    if (!+bytes || bytes < 0) return '0 B';
+    const k = 1024;
+    const dm = decimals < 0 ? 0 : decimals;
+    // 小于 1 字节时 log 为负数，按字节显示；超过 PB 时仍以 PB 为单位
+    const i = Math.min(Math.max(Math.floor(Math.log(bytes) / Math.log(k)), 0), BYTE_UNITS.length - 1);
+    return `${parseFloat((bytes / Math.pow(k, i)).toFixed(dm))} ${BYTE_UNITS[i]}`;
+}
@@ -0,0 +1,852 @@
+/**
+ * 节点链接解析 / 序列化模块 (Pages Functions 与前端共用)
+ * 将各协议的分享链接解析为结构化的节点对象，并可无损地序列化回分享链接。
+ * 重命名、过滤、去重等操作都应通过此模块完成，保证前后端行为一致。
+ *
+ * 未被识别的查询参数 (或 vmess JSON 字段) 会保存在 node.extra 中，序列化时原样写回；
+ * 已识别的参数的原始值保存在 node.explicitParams 中，值为默认值 (如 type=tcp) 时据此写回，不增删链接中的参数。
+ * 没有 #fragment 的链接名称为空，显示时使用 getNodeDisplayName。
+ */
+
+// 支持解析的协议前缀 (不区分大小写)，与订阅处理中的节点正则保持一致
+export const NODE_LINK_REGEX = /^(ss|ssr|vmess|vless|trojan|hysteria2?|hy|hy2|tuic|anytls|socks5):\/\//i;
+
+/**
+ * 将 Base64 (含 URL-safe 变体) 解码为 UTF-8 字符串
+ * @param {string} str - Base64 字符串
+ * @returns {string} - 解码后的字符串
+ */
+export function decodeBase64Utf8(str) {
+    let normalized = str.trim().replace(/-/g, '+').replace(/_/g, '/').replace(/\s/g, '');
+    normalized = normalized.padEnd(normalized.length + (4 - normalized.length % 4) % 4, '=');
+    const binaryString = atob(normalized);
+    const bytes = new Uint8Array(binaryString.length);
+    for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+    }
+    return new TextDecoder('utf-8').decode(bytes);
+}
+
+/**
+ * 将 UTF-8 字符串编码为 Base64
+ * @param {string} str - 原始字符串
+ * @param {boolean} [urlSafe=false] - 是否输出无填充的 URL-safe 变体
+ * @returns {string} - Base64 字符串
+ */
+export function encodeBase64Utf8(str, urlSafe = false) {
+    const bytes = new TextEncoder().encode(str);
+    let binaryString = '';
+    for (let i = 0; i < bytes.length; i++) {
+        binaryString += String.fromCharCode(bytes[i]);
+    }
+    const encoded = btoa(binaryString);
+    return urlSafe ? encoded.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '') : encoded;
+}
+
+function safeDecodeURIComponent(str) {
+    try {
+        return decodeURIComponent(str);
+    } catch (e) {
+        return str;
+    }
+}
+
+function isTruthyParam(value) {
+    return value === '1' || value === 'true';
+}
+
+function splitList(value) {
+    return value ? value.split(',').map(v => v.trim()).filter(Boolean) : [];
+}
+
+/**
+ * 拆分 "host:port"，兼容 IPv6 方括号写法
+ * @param {string} hostPort
+ * @returns {{server: string, port: number}}
+ */
+function splitHostPort(hostPort) {
+    if (hostPort.startsWith('[')) {
+        const bracketEnd = hostPort.indexOf(']');
+        const server = hostPort.substring(1, bracketEnd);
+        const port = hostPort.substring(bracketEnd + 1).replace(/^:/, '');
+        return { server, port: Number(port) };
+    }
+    const lastColon = hostPort.lastIndexOf(':');
+    if (lastColon === -1) return { server: hostPort, port: NaN };
+    return { server: hostPort.substring(0, lastColon), port: Number(hostPort.substring(lastColon + 1)) };
+}
+
+/**
+ * 将标准 URI 形式的链接拆分为各组成部分
+ * scheme://userinfo@host:port/path?query#fragment
+ * @param {string} link
+ * @returns {{scheme: string, userinfo: string, server: string, port: number, path: string, params: URLSearchParams, name: string}}
+ */
+function splitLink(link) {
+    const schemeEnd = link.indexOf('://');
+    const scheme = link.substring(0, schemeEnd).toLowerCase();
+    let rest = link.substring(schemeEnd + 3);
+
+    let name = '';
+    const hashIndex = rest.indexOf('#');
+    if (hashIndex !== -1) {
+        name = safeDecodeURIComponent(rest.substring(hashIndex + 1)).trim();
+        rest = rest.substring(0, hashIndex);
+    }
+
+    let query = '';
+    const queryIndex = rest.indexOf('?');
+    if (queryIndex !== -1) {
+        query = rest.substring(queryIndex + 1);
+        rest = rest.substring(0, queryIndex);
+    }
+
+    let path = '';
+    const slashIndex = rest.indexOf('/');
+    if (slashIndex !== -1) {
+        path = rest.substring(slashIndex);
+        rest = rest.substring(0, slashIndex);
+    }
+
+    const atIndex = rest.lastIndexOf('@');
+    const userinfo = atIndex !== -1 ? rest.substring(0, atIndex) : '';
+    const { server, port } = splitHostPort(atIndex !== -1 ? rest.substring(atIndex + 1) : rest);
+
+    return { scheme, userinfo, server, port, path, params: new URLSearchParams(query), name };
+}
+
+/**
+ * 记录链接中显式写出的已识别参数，序列化时结构化字段为默认值 (不会输出) 的参数按原值写回
+ * @param {URLSearchParams} params
+ * @param {string[]} keys - 已被解析为结构化字段的参数名
+ * @returns {Object<string, string>}
+ */
+function collectExplicit(params, keys) {
+    const explicit = {};
+    keys.forEach(key => {
+        if (params.has(key)) explicit[key] = params.get(key);
+    });
+    return explicit;
+}
+
+/**
+ * 收集未被解析器识别的查询参数，序列化时原样写回
+ * @param {URLSearchParams} params
+ * @param {string[]} consumedKeys - 已被解析为结构化字段的参数名
+ * @returns {Object<string, string>}
+ */
+function collectExtra(params, consumedKeys) {
+    const extra = {};
+    for (const [key, value] of params) {
+        if (!consumedKeys.includes(key)) extra[key] = value;
+    }
+    return extra;
+}
+
+// readTransportParams 读取的参数名
+const TRANSPORT_KEYS = ['type', 'headerType', 'host', 'path', 'serviceName', 'sni', 'peer', 'alpn', 'fp', 'allowInsecure', 'insecure'];
+
+/**
+ * 从查询参数中读取 TLS 与传输层设置 (vless / trojan 通用)
+ */
+function readTransportParams(params, node) {
+    node.network = (params.get('type') || 'tcp').toLowerCase();
+    node.headerType = params.get('headerType') || '';
+    node.host = params.get('host') || '';
+    node.path = params.get('path') || '';
+    node.serviceName = params.get('serviceName') || '';
+    node.sni = params.get('sni') || params.get('peer') || '';
+    node.alpn = splitList(params.get('alpn'));
+    node.fingerprint = params.get('fp') || '';
+    node.skipCertVerify = isTruthyParam(params.get('allowInsecure')) || isTruthyParam(params.get('insecure'));
+    if (node.network === 'grpc' && !node.serviceName) {
+        node.serviceName = node.path;
+    }
+}
+
+// vmess JSON 中被解析为结构化字段的键
+const VMESS_KEYS = ['v', 'ps', 'add', 'port', 'id', 'aid', 'scy', 'net', 'type', 'host', 'path', 'tls', 'sni', 'alpn', 'fp', 'allowInsecure', 'skip_cert_verify'];
+
+function parseVmess(link) {
+    const config = JSON.parse(decodeBase64Utf8(link.substring('vmess://'.length).split('#')[0]));
+    const extra = {};
+    Object.keys(config).forEach(key => {
+        if (!VMESS_KEYS.includes(key)) extra[key] = config[key];
+    });
+    const tls = config.tls === 'tls' || config.tls === true;
+    const network = (config.net || 'tcp').toLowerCase();
+    return {
+        type: 'vmess',
+        name: config.ps || '',
+        server: config.add,
+        port: Number(config.port),
+        uuid: config.id,
+        alterId: Number(config.aid || 0),
+        cipher: config.scy || 'auto',
+        network,
+        headerType: config.type || '',
+        host: config.host || '',
+        path: config.path || '',
+        serviceName: network === 'grpc' ? (config.path || '') : '',
+        tls,
+        sni: config.sni || '',
+        alpn: splitList(config.alpn),
+        fingerprint: config.fp || '',
+        skipCertVerify: isTruthyParam(String(config.allowInsecure ?? config.skip_cert_verify ?? '')),
+        extra
+    };
+}
+
+function parseVless(link) {
+    const { userinfo, server, port, params, name } = splitLink(link);
+    const security = (params.get('security') || '').toLowerCase();
+    const node = {
+        type: 'vless',
+        name,
+        server,
+        port,
+        uuid: safeDecodeURIComponent(userinfo),
+        flow: params.get('flow') || '',
+        security: params.get('security') || '',
+        tls: security === 'tls' || security === 'reality' || security === 'xtls',
+        reality: security === 'reality'
+            ? { publicKey: params.get('pbk') || '', shortId: params.get('sid') || '' }
+            : null,
+        extra: collectExtra(params, ['security', 'flow', 'pbk', 'sid', ...TRANSPORT_KEYS]),
+        explicitParams: collectExplicit(params, ['flow', 'pbk', 'sid', ...TRANSPORT_KEYS])
+    };
+    readTransportParams(params, node);
+    return node;
+}
+
+function parseTrojan(link) {
+    const { userinfo, server, port, params, name } = splitLink(link);
+    const security = (params.get('security') || 'tls').toLowerCase();
+    const node = {
+        type: 'trojan',
+        name,
+        server,
+        port,
+        password: safeDecodeURIComponent(userinfo),
+        security: params.get('security') || '',
+        tls: security !== 'none',
+        reality: security === 'reality'
+            ? { publicKey: params.get('pbk') || '', shortId: params.get('sid') || '' }
+            : null,
+        extra: collectExtra(params, ['security', 'pbk', 'sid', ...TRANSPORT_KEYS]),
+        explicitParams: collectExplicit(params, ['pbk', 'sid', ...TRANSPORT_KEYS])
+    };
+    readTransportParams(params, node);
+    return node;
+}
+
+function parseSS(link) {
+    let body = link.substring('ss://'.length);
+    let name = '';
+    const hashIndex = body.indexOf('#');
+    if (hashIndex !== -1) {
+        name = safeDecodeURIComponent(body.substring(hashIndex + 1)).trim();
+        body = body.substring(0, hashIndex);
+    }
+
+    // 旧格式: ss://base64(method:password@host:port)
+    if (!body.includes('@')) {
+        const queryIndex = body.indexOf('?');
+        const encoded = queryIndex !== -1 ? body.substring(0, queryIndex) : body;
+        body = decodeBase64Utf8(safeDecodeURIComponent(encoded).replace(/\/$/, '')) + (queryIndex !== -1 ? body.substring(queryIndex) : '');
+    }
+
+    const { userinfo, server, port, params } = splitLink(`ss://${body}`);
+    let credentials = safeDecodeURIComponent(userinfo);
+    // SIP002: userinfo 为 base64(method:password)；SS2022 允许明文 method:password
+    if (!credentials.includes(':')) {
+        credentials = decodeBase64Utf8(credentials);
+    }
+    const colonIndex = credentials.indexOf(':');
+
+    const node = {
+        type: 'ss',
+        name,
+        server,
+        port,
+        cipher: credentials.substring(0, colonIndex),
+        password: credentials.substring(colonIndex + 1),
+        plugin: '',
+        pluginOpts: {},
+        extra: collectExtra(params, ['plugin'])
+    };
+
+    const plugin = params.get('plugin');
+    if (plugin) {
+        const [pluginName, ...opts] = plugin.split(';');
+        node.plugin = pluginName;
+        opts.forEach(opt => {
+            const eqIndex = opt.indexOf('=');
+            if (eqIndex === -1) {
+                node.pluginOpts[opt] = true;
+            } else {
+                node.pluginOpts[opt.substring(0, eqIndex)] = opt.substring(eqIndex + 1);
+            }
+        });
+    }
+    return node;
+}
+
+function parseSSR(link) {
+    const decoded = decodeBase64Utf8(link.substring('ssr://'.length).split('#')[0]);
+    const [main, query = ''] = decoded.split('/?');
+    // server 可能为 IPv6，因此从右侧拆出固定的 5 个字段
+    const parts = main.split(':');
+    const passwordB64 = parts.pop();
+    const obfs = parts.pop();
+    const cipher = parts.pop();
+    const protocol = parts.pop();
+    const port = Number(parts.pop());
+    const server = parts.join(':');
+    const params = new URLSearchParams(query);
+    const readB64 = (key) => {
+        const value = params.get(key);
+        if (!value) return '';
+        try { return decodeBase64Utf8(value); } catch (e) { return ''; }
+    };
+
+    return {
+        type: 'ssr',
+        name: readB64('remarks'),
+        server,
+        port,
+        cipher,
+        password: decodeBase64Utf8(passwordB64),
+        protocol,
+        protocolParam: readB64('protoparam'),
+        obfs,
+        obfsParam: readB64('obfsparam'),
+        extra: collectExtra(params, ['remarks', 'protoparam', 'obfsparam'])
+    };
+}
+
+const HYSTERIA_KEYS = ['auth', 'protocol', 'upmbps', 'downmbps', 'obfs', 'obfsParam', 'peer', 'sni', 'alpn', 'insecure'];
+
+function parseHysteria(link) {
+    const { server, port, params, name } = splitLink(link);
+    return {
+        type: 'hysteria',
+        name,
+        server,
+        port,
+        auth: params.get('auth') || '',
+        protocol: params.get('protocol') || '',
+        up: params.get('upmbps') || '',
+        down: params.get('downmbps') || '',
+        obfs: params.get('obfs') || '',
+        obfsPassword: params.get('obfsParam') || '',
+        sni: params.get('peer') || params.get('sni') || '',
+        alpn: splitList(params.get('alpn')),
+        skipCertVerify: isTruthyParam(params.get('insecure')),
+        extra: collectExtra(params, HYSTERIA_KEYS),
+        explicitParams: collectExplicit(params, HYSTERIA_KEYS)
+    };
+}
+
+const HYSTERIA2_KEYS = ['mport', 'obfs', 'obfs-password', 'sni', 'alpn', 'insecure'];
+
+function parseHysteria2(link) {
+    const { userinfo, server, port, params, name } = splitLink(link);
+    return {
+        type: 'hysteria2',
+        name,
+        server,
+        port,
+        password: safeDecodeURIComponent(userinfo),
+        ports: params.get('mport') || '',
+        obfs: params.get('obfs') || '',
+        obfsPassword: params.get('obfs-password') || '',
+        sni: params.get('sni') || '',
+        alpn: splitList(params.get('alpn')),
+        skipCertVerify: isTruthyParam(params.get('insecure')),
+        extra: collectExtra(params, HYSTERIA2_KEYS),
+        explicitParams: collectExplicit(params, HYSTERIA2_KEYS)
+    };
+}
+
+const TUIC_KEYS = ['congestion_control', 'udp_relay_mode', 'sni', 'alpn', 'allow_insecure', 'insecure'];
+
+function parseTuic(link) {
+    const { userinfo, server, port, params, name } = splitLink(link);
+    const decodedUserinfo = safeDecodeURIComponent(userinfo);
+    const colonIndex = decodedUserinfo.indexOf(':');
+    return {
+        type: 'tuic',
+        name,
+        server,
+        port,
+        uuid: colonIndex !== -1 ? decodedUserinfo.substring(0, colonIndex) : decodedUserinfo,
+        password: colonIndex !== -1 ? decodedUserinfo.substring(colonIndex + 1) : '',
+        congestionControl: params.get('congestion_control') || 'bbr',
+        udpRelayMode: params.get('udp_relay_mode') || 'native',
+        sni: params.get('sni') || '',
+        alpn: splitList(params.get('alpn')),
+        skipCertVerify: isTruthyParam(params.get('allow_insecure')) || isTruthyParam(params.get('insecure')),
+        extra: collectExtra(params, TUIC_KEYS),
+        explicitParams: collectExplicit(params, TUIC_KEYS)
+    };
+}
+
+const ANYTLS_KEYS = ['sni', 'alpn', 'fp', 'insecure', 'allowInsecure'];
+
+function parseAnyTLS(link) {
+    const { userinfo, server, port, params, name } = splitLink(link);
+    return {
+        type: 'anytls',
+        name,
+        server,
+        port,
+        password: safeDecodeURIComponent(userinfo),
+        sni: params.get('sni') || '',
+        alpn: splitList(params.get('alpn')),
+        fingerprint: params.get('fp') || '',
+        skipCertVerify: isTruthyParam(params.get('insecure')) || isTruthyParam(params.get('allowInsecure')),
+        extra: collectExtra(params, ANYTLS_KEYS),
+        explicitParams: collectExplicit(params, ANYTLS_KEYS)
+    };
+}
+
+function parseSocks5(link) {
+    const { userinfo, server, port, params, name } = splitLink(link);
+    let credentials = safeDecodeURIComponent(userinfo);
+    if (credentials && !credentials.includes(':')) {
+        // 部分客户端将 user:pass 整体做 base64
+        try { credentials = decodeBase64Utf8(credentials); } catch (e) { /* 保留原文 */ }
+    }
+    const colonIndex = credentials.indexOf(':');
+    return {
+        type: 'socks5',
+        name,
+        server,
+        port,
+        username: colonIndex !== -1 ? credentials.substring(0, colonIndex) : credentials,
+        password: colonIndex !== -1 ? credentials.substring(colonIndex + 1) : '',
+        extra: collectExtra(params, [])
+    };
+}
+
+const PARSERS = {
+    vmess: parseVmess,
+    vless: parseVless,
+    trojan: parseTrojan,
+    ss: parseSS,
+    ssr: parseSSR,
+    hysteria: parseHysteria,
+    hy: parseHysteria,
+    hysteria2: parseHysteria2,
+    hy2: parseHysteria2,
+    tuic: parseTuic,
+    anytls: parseAnyTLS,
+    socks5: parseSocks5
+};
+
+/**
+ * 解析单条节点链接
+ * @param {string} link - 节点分享链接
+ * @returns {Object} - 结构化节点对象
+ * @throws {Error} - 协议不受支持或链接格式错误时抛出
+ */
+export function parseNodeLink(link) {
+    const trimmed = link.trim();
+    const match = trimmed.match(NODE_LINK_REGEX);
+    if (!match) {
+        throw new Error('不支持的节点协议');
+    }
+    const node = PARSERS[match[1].toLowerCase()](trimmed);
+    if (!node.server || !Number.isInteger(node.port) || node.port <= 0 || node.port > 65535) {
+        throw new Error('节点地址或端口无效');
+    }
+    return node;
+}
+
+/**
+ * 解析以换行分隔的节点列表
+ * @param {string} content - 节点列表文本
+ * @returns {{nodes: Object[], errors: {link: string, error: string}[]}}
+ */
+export function parseNodeList(content) {
+    const nodes = [];
+    const errors = [];
+    content.replace(/\r\n/g, '\n').split('\n')
+        .map(line => line.trim())
+        .filter(line => NODE_LINK_REGEX.test(line))
+        .forEach(line => {
+            try {
+                nodes.push(parseNodeLink(line));
+            } catch (e) {
+                errors.push({ link: line, error: e.message });
+            }
+        });
+    return { nodes, errors };
+}
+
+// 没有名称的节点显示为「地址:端口」
+function displayNameOf(node) {
+    return node.name || `${node.server}:${node.port}`;
+}
+
+/**
+ * 为没有名称的节点补上显示名称，并为重名节点追加序号，客户端配置中的代理名称必须非空且唯一
+ * @param {Object[]} nodes - 结构化节点列表 (原地修改)
+ * @returns {Object[]} - 同一列表
+ */
+export function ensureUniqueNodeNames(nodes) {
+    const seen = new Map();
+    nodes.forEach(node => {
+        node.name = displayNameOf(node);
+        const count = seen.get(node.name) || 0;
+        seen.set(node.name, count + 1);
+        if (count > 0) {
+            let candidate = `${node.name} ${count + 1}`;
+            while (seen.has(candidate)) {
+                candidate = `${candidate}_`;
+            }
+            seen.set(candidate, 1);
+            node.name = candidate;
+        }
+    });
+    return nodes;
+}
+
+// --- 序列化 ---
+
+function formatHost(server) {
+    return server.includes(':') ? `[${server}]` : server;
+}
+
+/**
+ * 按顺序拼接查询参数，并追加 extra 中保存的未识别参数
+ * 空值 (默认值) 不输出，除非原链接中显式写出了该参数，此时写回原值
+ * @param {Array<[string, *]>} entries
+ * @param {Object<string, string>} [extra]
+ * @param {Object<string, string>} [explicit] - 原链接中的已识别参数，见 collectExplicit
+ * @returns {string} - 以 ? 开头的查询串，无参数时为空字符串
+ */
+function buildQuery(entries, extra = {}, explicit = {}) {
+    const params = new URLSearchParams();
+    entries.forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '' || value === false) {
+            if (key in explicit) params.append(key, explicit[key]);
+            return;
+        }
+        params.append(key, value === true ? '1' : String(value));
+    });
+    Object.entries(extra).forEach(([key, value]) => params.append(key, value));
+    const query = params.toString();
+    return query ? `?${query}` : '';
+}
+
+function buildFragment(name) {
+    return name ? `#${encodeURIComponent(name)}` : '';
+}
+
+function transportEntries(node) {
+    return [
+        ['type', node.network && node.network !== 'tcp' ? node.network : (node.headerType ? 'tcp' : '')],
+        ['headerType', node.headerType],
+        ['host', node.host],
+        ['path', node.path],
+        ['serviceName', node.serviceName],
+        ['sni', node.sni],
+        ['alpn', (node.alpn || []).join(',')],
+        ['fp', node.fingerprint],
+        ['allowInsecure', node.skipCertVerify]
+    ];
+}
+
+function realityEntries(node) {
+    if (!node.reality) return [];
+    return [['pbk', node.reality.publicKey], ['sid', node.reality.shortId]];
+}
+
+function serializeVmess(node) {
+    const config = {
+        v: '2',
+        ps: node.name,
+        add: node.server,
+        port: String(node.port),
+        id: node.uuid,
+        aid: String(node.alterId || 0),
+        scy: node.cipher || 'auto',
+        net: node.network || 'tcp',
+        type: node.headerType || '',
+        host: node.host || '',
+        path: node.path || (node.network === 'grpc' ? node.serviceName || '' : ''),
+        tls: node.tls ? 'tls' : '',
+        sni: node.sni || '',
+        alpn: (node.alpn || []).join(','),
+        fp: node.fingerprint || ''
+    };
+    if (node.skipCertVerify) config.allowInsecure = true;
+    Object.assign(config, node.extra || {});
+    return `vmess://${encodeBase64Utf8(JSON.stringify(config))}`;
+}
+
+/**
+ * 确定 security 参数：链接中原有的值 (如 xtls) 与当前 tls / reality 状态一致时原样写回；
+ * 原链接没有该参数且状态为协议默认值时不输出，否则按状态生成
+ * @param {Object} node
+ * @param {string} plain - 不使用 TLS 时的写法
+ * @param {string} implicit - 省略 security 时协议默认的写法
+ * @returns {string}
+ */
+function resolveSecurity(node, plain, implicit) {
+    const derived = node.reality ? 'reality' : (node.tls ? 'tls' : plain);
+    const original = (node.security || '').toLowerCase();
+    if (!original) return derived === implicit ? '' : derived;
+    const kind = original === 'reality' ? 'reality' : (original === 'tls' || original === 'xtls' ? 'tls' : plain);
+    return kind === derived ? node.security : derived;
+}
+
+function serializeVless(node) {
+    const security = resolveSecurity(node, '', '');
+    const query = buildQuery([
+        ['security', security],
+        ['flow', node.flow],
+        ...realityEntries(node),
+        ...transportEntries(node)
+    ], node.extra, node.explicitParams);
+    return `vless://${encodeURIComponent(node.uuid)}@${formatHost(node.server)}:${node.port}${query}${buildFragment(node.name)}`;
+}
+
+function serializeTrojan(node) {
+    const security = resolveSecurity(node, 'none', 'tls');
+    const query = buildQuery([
+        ['security', security],
+        ...realityEntries(node),
+        ...transportEntries(node)
+    ], node.extra, node.explicitParams);
+    return `trojan://${encodeURIComponent(node.password)}@${formatHost(node.server)}:${node.port}${query}${buildFragment(node.name)}`;
+}
+
+function serializeSS(node) {
+    // SS2022 的密钥本身是 base64，按 SIP022 约定使用明文 userinfo；其余加密方式使用 base64(method:password)
+    const userinfo = node.cipher.startsWith('2022-')
+        ? `${encodeURIComponent(node.cipher)}:${encodeURIComponent(node.password)}`
+        : encodeBase64Utf8(`${node.cipher}:${node.password}`, true);
+    let plugin = '';
+    if (node.plugin) {
+        const opts = Object.entries(node.pluginOpts || {})
+            .map(([key, value]) => value === true ? key : `${key}=${value}`);
+        plugin = [node.plugin, ...opts].join(';');
+    }
+    const query = buildQuery([['plugin', plugin]], node.extra);
+    return `ss://${userinfo}@${formatHost(node.server)}:${node.port}${query ? `/${query}` : ''}${buildFragment(node.name)}`;
+}
+
+function serializeSSR(node) {
+    const b64 = (value) => encodeBase64Utf8(value || '', true);
+    const params = new URLSearchParams();
+    params.append('obfsparam', b64(node.obfsParam));
+    params.append('protoparam', b64(node.protocolParam));
+    params.append('remarks', b64(node.name));
+    Object.entries(node.extra || {}).forEach(([key, value]) => params.append(key, value));
+    const main = `${node.server}:${node.port}:${node.protocol}:${node.cipher}:${node.obfs}:${b64(node.password)}`;
+    return `ssr://${encodeBase64Utf8(`${main}/?${params.toString()}`, true)}`;
+}
+
+function serializeHysteria(node) {
+    const query = buildQuery([
+        ['protocol', node.protocol],
+        ['auth', node.auth],
+        ['peer', node.sni],
+        ['insecure', node.skipCertVerify],
+        ['upmbps', node.up],
+        ['downmbps', node.down],
+        ['alpn', (node.alpn || []).join(',')],
+        ['obfs', node.obfs],
+        ['obfsParam', node.obfsPassword]
+    ], node.extra, node.explicitParams);
+    return `hysteria://${formatHost(node.server)}:${node.port}${query}${buildFragment(node.name)}`;
+}
+
+function serializeHysteria2(node) {
+    const query = buildQuery([
+        ['sni', node.sni],
+        ['insecure', node.skipCertVerify],
+        ['obfs', node.obfs],
+        ['obfs-password', node.obfsPassword],
+        ['mport', node.ports],
+        ['alpn', (node.alpn || []).join(',')]
+    ], node.extra, node.explicitParams);
+    return `hysteria2://${encodeURIComponent(node.password)}@${formatHost(node.server)}:${node.port}/${query}${buildFragment(node.name)}`;
+}
+
+function serializeTuic(node) {
+    const query = buildQuery([
+        ['congestion_control', node.congestionControl === 'bbr' ? '' : node.congestionControl],
+        ['udp_relay_mode', node.udpRelayMode === 'native' ? '' : node.udpRelayMode],
+        ['sni', node.sni],
+        ['alpn', (node.alpn || []).join(',')],
+        ['allow_insecure', node.skipCertVerify]
+    ], node.extra, node.explicitParams);
+    return `tuic://${encodeURIComponent(node.uuid)}:${encodeURIComponent(node.password)}@${formatHost(node.server)}:${node.port}${query}${buildFragment(node.name)}`;
+}
+
+function serializeAnyTLS(node) {
+    const query = buildQuery([
+        ['sni', node.sni],
+        ['fp', node.fingerprint],
+        ['alpn', (node.alpn || []).join(',')],
+        ['insecure', node.skipCertVerify]
+    ], node.extra, node.explicitParams);
+    return `anytls://${encodeURIComponent(node.password)}@${formatHost(node.server)}:${node.port}${query}${buildFragment(node.name)}`;
+}
+
+function serializeSocks5(node) {
+    // 始终保留冒号，避免仅有用户名时被误判为 base64 凭据
+    const userinfo = node.username ? `${encodeURIComponent(node.username)}:${encodeURIComponent(node.password || '')}@` : '';
+    return `socks5://${userinfo}${formatHost(node.server)}:${node.port}${buildQuery([], node.extra)}${buildFragment(node.name)}`;
+}
+
+const SERIALIZERS = {
+    vmess: serializeVmess,
+    vless: serializeVless,
+    trojan: serializeTrojan,
+    ss: serializeSS,
+    ssr: serializeSSR,
+    hysteria: serializeHysteria,
+    hysteria2: serializeHysteria2,
+    tuic: serializeTuic,
+    anytls: serializeAnyTLS,
+    socks5: serializeSocks5
+};
+
+/**
+ * 将结构化节点序列化为分享链接，与 parseNodeLink 互逆
+ * @param {Object} node - parseNodeLink 输出的节点对象
+ * @returns {string} - 节点分享链接
+ * @throws {Error} - 节点类型未知时抛出
+ */
+export function serializeNode(node) {
+    const serializer = SERIALIZERS[node.type];
+    if (!serializer) {
+        throw new Error(`不支持的节点类型: ${node.type}`);
+    }
+    return serializer(node);
+}
+
+// --- 通用链接操作 (前后端共用) ---
+
+// 协议别名 -> 规范名称
+const PROTOCOL_ALIASES = { hy: 'hysteria', hy2: 'hysteria2' };
+
+/**
+ * 规范化协议名称 (hy -> hysteria, hy2 -> hysteria2)
+ * @param {string} protocol
+ * @returns {string}
+ */
+export function normalizeProtocol(protocol) {
+    const lower = (protocol || '').toLowerCase();
+    return PROTOCOL_ALIASES[lower] || lower;
+}
+
+/**
+ * 获取链接的协议类型，仅依据协议头判断，不会解析整条链接
+ * @param {string} link - 节点链接或订阅地址
+ * @returns {string} - 规范化后的协议名；http(s) 订阅返回 'http'；无法识别时返回 'unknown'
+ */
+export function getNodeProtocol(link) {
+    if (!link) return 'unknown';
+    const trimmed = link.trim();
+    const match = trimmed.toLowerCase().match(NODE_LINK_REGEX);
+    if (match) return normalizeProtocol(match[1]);
+    if (/^https?:\/\//i.test(trimmed)) return 'http';
+    return 'unknown';
+}
+
+/**
+ * 读取节点名称
+ * @param {string} link - 节点链接
+ * @returns {string} - 节点名称，解析失败时回退到 #fragment，仍没有则返回空字符串
+ */
+export function getNodeName(link) {
+    try {
+        return parseNodeLink(link).name;
+    } catch (e) {
+        const hashIndex = link.lastIndexOf('#');
+        return hashIndex !== -1 ? safeDecodeURIComponent(link.substring(hashIndex + 1)).trim() : '';
+    }
+}
+
+/**
+ * 读取用于显示的节点名称
+ * @param {string} link - 节点链接
+ * @returns {string} - 节点名称，链接没有名称时为「地址:端口」，无法解析时同 getNodeName
+ */
+export function getNodeDisplayName(link) {
+    try {
+        return displayNameOf(parseNodeLink(link));
+    } catch (e) {
+        return getNodeName(link);
+    }
+}
+
+/**
+ * 修改节点名称，其余参数保持不变
+ * @param {string} link - 节点链接
+ * @param {string} name - 新名称
+ * @returns {string} - 新链接；无法解析的链接仅替换 #fragment
+ */
+export function setNodeName(link, name) {
+    try {
+        const node = parseNodeLink(link);
+        node.name = name;
+        return serializeNode(node);
+    } catch (e) {
+        const hashIndex = link.lastIndexOf('#');
+        const base = hashIndex !== -1 ? link.substring(0, hashIndex) : link;
+        return `${base}${buildFragment(name)}`;
+    }
+}
+
+/**
+ * 为节点名称添加前缀 (名称已以该前缀开头时不重复添加)
+ * @param {string} link - 原始节点链接
+ * @param {string} prefix - 要添加的前缀 (通常是订阅名)
+ * @returns {string} - 添加了前缀的新链接
+ */
+export function prependNodeName(link, prefix) {
+    if (!prefix) return link;
+    const originalName = getNodeName(link);
+    if (originalName.startsWith(prefix)) {
+        return link;
+    }
+    return setNodeName(link, originalName ? `${prefix} - ${originalName}` : prefix);
+}
+
+/**
+ * 将链接规范化为序列化器的标准写法 (如修复 URL 编码的 SS userinfo、旧版 SS 链接等)
+ * @param {string} link - 节点链接
+ * @returns {string} - 规范化后的链接，无法解析时原样返回
+ */
+export function normalizeNodeLink(link) {
+    try {
+        return serializeNode(parseNodeLink(link));
+    } catch (e) {
+        return link;
+    }
+}
+
+/**
+ * 生成节点的去重键：忽略名称，仅比较连接参数
+ * @param {string} link - 节点链接
+ * @returns {string} - 去重键，无法解析时回退为去掉 #fragment 的原链接
+ */
+export function getNodeKey(link) {
+    try {
+        // security 的写法与显式写出的默认参数不影响连接
+        const { name, extra, security, explicitParams, ...rest } = parseNodeLink(link);
+        // vmess 的 remark 字段同样属于名称
+        const sortedExtra = Object.keys(extra || {}).filter(key => key !== 'remark').sort().map(key => [key, extra[key]]);
+        return `${rest.type}:${JSON.stringify({ ...rest, extra: sortedExtra })}`;
+    } catch (e) {
+        const hashIndex = link.indexOf('#');
+        return hashIndex !== -1 ? link.substring(0, hashIndex) : link;
+    }
+}
@@ -0,0 +1,149 @@
+/**
+ * 通知渠道与事件定义 (Pages Functions 与前端共用)
+ * 前端据此渲染各渠道的配置表单，后端据此校验配置并按事件分发通知
+ */
+
+/**
+ * @typedef {Object} NotificationEvent
+ * @property {string} key - 事件标识
+ * @property {string} label - 中文名称
+ */
+
+/** @type {NotificationEvent[]} */
+export const NOTIFICATION_EVENTS = [
+    { key: 'expiry', label: '订阅临期' },
+    { key: 'traffic', label: '流量预警' },
+    { key: 'depletion', label: '流量耗尽预测' },
+    { key: 'nodes', label: '节点变化' },
+    { key: 'access', label: '订阅被访问' },
+    { key: 'settings', label: '设置更新' },
+];
+
+/**
+ * @typedef {Object} ChannelField
+ * @property {string} key - 配置项键名
+ * @property {string} label - 表单标签
+ * @property {string} [placeholder]
+ * @property {boolean} [required]
+ * @property {boolean} [secret] - 是否按密码框显示
+ */
+
+/**
+ * @typedef {Object} ChannelType
+ * @property {string} type - 渠道类型
+ * @property {string} name - 显示名称
+ * @property {ChannelField[]} fields - 配置项
+ */
+
+/** @type {ChannelType[]} */
+export const CHANNEL_TYPES = [
+    {
+        type: 'telegram',
+        name: 'Telegram',
+        fields: [
+            { key: 'botToken', label: 'Bot Token', placeholder: '123456:ABC-DEF...', required: true, secret: true },
+            { key: 'chatId', label: 'Chat ID', placeholder: '123456789', required: true },
+        ]
+    },
+    {
+        type: 'webhook',
+        name: '通用 Webhook',
+        fields: [
+            { key: 'url', label: 'Webhook URL', placeholder: 'https://example.com/hook', required: true },
+            { key: 'secret', label: 'Authorization 请求头 (可选)', placeholder: 'Bearer xxx', secret: true },
+        ]
+    },
+    {
+        type: 'bark',
+        name: 'Bark',
+        fields: [
+            { key: 'server', label: '服务器 (可选)', placeholder: 'https://api.day.app' },
+            { key: 'deviceKey', label: 'Device Key', required: true, secret: true },
+        ]
+    },
+    {
+        type: 'serverchan',
+        name: 'Server酱',
+        fields: [
+            { key: 'sendKey', label: 'SendKey', placeholder: 'SCT... 或 sctp...', required: true, secret: true },
+        ]
+    },
+    {
+        type: 'pushplus',
+        name: 'PushPlus',
+        fields: [
+            { key: 'token', label: 'Token', required: true, secret: true },
+            { key: 'topic', label: '群组编码 (可选)' },
+        ]
+    },
+    {
+        type: 'ntfy',
+        name: 'ntfy',
+        fields: [
+            { key: 'server', label: '服务器 (可选)', placeholder: 'https://ntfy.sh' },
+            { key: 'topic', label: 'Topic', required: true },
+            { key: 'token', label: 'Access Token (可选)', secret: true },
+        ]
+    },
+    {
+        type: 'discord',
+        name: 'Discord',
+        fields: [
+            { key: 'webhookUrl', label: 'Webhook URL', placeholder: 'https://discord.com/api/webhooks/...', required: true, secret: true },
+        ]
+    },
+    {
+        type: 'slack',
+        name: 'Slack',
+        fields: [
+            { key: 'webhookUrl', label: 'Incoming Webhook URL', placeholder: 'https://hooks.slack.com/services/...', required: true, secret: true },
+        ]
+    },
+];
+
+const CHANNEL_TYPE_MAP = new Map(CHANNEL_TYPES.map(channelType => [channelType.type, channelType]));
+
+/**
+ * 获取渠道类型定义
+ * @param {string} type
+ * @returns {ChannelType|undefined}
+ */
+export function getChannelType(type) {
+    return CHANNEL_TYPE_MAP.get(type);
+}
+
+/**
+ * 校验渠道配置
+ * @param {{type: string, config?: Object}} channel
+ * @returns {string} - 错误信息，合法时返回空字符串
+ */
+export function validateChannel(channel) {
+    const channelType = getChannelType(channel?.type);
+    if (!channelType) return `未知的通知渠道类型: ${channel?.type}`;
+    const missing = channelType.fields.filter(field => field.required && !String(channel.config?.[field.key] || '').trim());
+    if (missing.length > 0) return `${channelType.name} 缺少 ${missing.map(field => field.label).join('、')}`;
+    const urlField = channelType.fields.find(field => /url|server/i.test(field.key) && channel.config?.[field.key]);
+    if (urlField && !/^https?:\/\//.test(channel.config[urlField.key].trim())) return `${urlField.label} 必须以 http:// 或 https:// 开头`;
+    return '';
+}
+
+/**
+ * 获取生效的通知渠道
+ * 尚未配置过渠道 (旧版数据) 时，沿用 BotToken / ChatID 作为接收全部事件的 Telegram 渠道
+ * @param {Object} settings - 全局设置
+ * @returns {{id: string, type: string, name?: string, enabled: boolean, config: Object, events: string[]}[]}
+ */
+export function resolveNotificationChannels(settings) {
+    if (Array.isArray(settings?.notificationChannels)) return settings.notificationChannels;
+    if (settings?.BotToken && settings?.ChatID) {
+        return [{
+            id: 'legacy-telegram',
+            type: 'telegram',
+            name: 'Telegram',
+            enabled: true,
+            config: { botToken: settings.BotToken, chatId: settings.ChatID },
+            events: NOTIFICATION_EVENTS.map(event => event.key)
+        }];
+    }
+    return [];
+}
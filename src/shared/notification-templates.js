@@ -0,0 +1,279 @@
+/**
+ * 通知消息模板 (Pages Functions 与前端共用)
+ * 模板使用 Telegram 风格的 Markdown，占位符写作 {name} 或 {sub.name}；
+ * 若某一行中的占位符全部为空，该行会被整体省略，便于书写可选信息
+ */
+import { NOTIFICATION_EVENTS } from './notification-channels.js';
+
+export const DEFAULT_NOTIFICATION_LOCALE = 'zh-CN';
+export const DEFAULT_NOTIFICATION_TIMEZONE = 'Asia/Shanghai';
+
+// 设置界面可选的语言区域 (影响日期与时间的格式)
+export const NOTIFICATION_LOCALES = [
+    { value: 'zh-CN', label: '简体中文' },
+    { value: 'zh-TW', label: '繁體中文' },
+    { value: 'en-US', label: 'English (US)' },
+    { value: 'en-GB', label: 'English (UK)' },
+    { value: 'ja-JP', label: '日本語' },
+    { value: 'ko-KR', label: '한국어' },
+    { value: 'ru-RU', label: 'Русский' },
+];
+
+// 设置界面中提示的常用时区，也可以填写任意 IANA 时区
+export const COMMON_TIMEZONES = [
+    'Asia/Shanghai', 'Asia/Hong_Kong', 'Asia/Taipei', 'Asia/Tokyo', 'Asia/Seoul', 'Asia/Singapore',
+    'Europe/London', 'Europe/Berlin', 'Europe/Moscow', 'America/New_York', 'America/Los_Angeles', 'UTC',
+];
+
+/** 每种事件的默认模板 */
+export const DEFAULT_NOTIFICATION_TEMPLATES = {
+    expiry: `🗓️ *订阅临期提醒* 🗓️
+
+*订阅名称:* \`{sub.name}\`
+*状态:* \`{status}\`
+*到期日期:* \`{expireDate}\`
+
+*时间:* \`{time}\``,
+    traffic: `📈 *流量预警提醒* 📈
+
+*订阅名称:* \`{sub.name}\`
+*状态:* \`已使用 {usagePercent}%\`
+*详情:* \`{used} / {total}\`
+
+*时间:* \`{time}\``,
+    depletion: `⏳ *流量耗尽预警* ⏳
+
+*订阅名称:* \`{sub.name}\`
+*状态:* \`按近期用量预计 {daysLeft} 天内用完\`
+*详情:* \`剩余 {remaining}，日均 {dailyUsage}\`
+*预计耗尽:* \`{depletionDate}\`
+*到期日期:* \`{expireDate}\`
+
+*时间:* \`{time}\``,
+    nodes: `🧩 *订阅节点变化提醒* 🧩
+
+*订阅名称:* \`{sub.name}\`
+*状态:* \`{status}\`
+{added}
+{removed}
+
+*时间:* \`{time}\``,
+    access: `🛰️ *订阅被访问* 🛰️
+
+*IP 地址:* \`{clientIp}\`
+*国家:* \`{country}\`
+*城市:* \`{city}\`
+*ISP:* \`{isp}\`
+*ASN:* \`{asn}\`
+
+*域名:* \`{domain}\`
+*客户端:* \`{userAgent}\`
+*请求格式:* \`{format}\`
+*订阅组:* \`{profile}\`
+*到期时间:* \`{profileExpire}\`
+
+*时间:* \`{time}\``,
+    accessDigest: `🛰️ *订阅访问汇总* 🛰️
+
+*统计区间:* \`{since} ~ {until}\`
+*访问次数:* \`{count}\`
+*独立 IP:* \`{ipCount}\`
+
+*订阅组:*
+{profiles}
+*IP 地址:*
+{ips}
+*客户端:*
+{clients}
+
+*时间:* \`{time}\``,
+    settings: `⚙️ *MiSub 设置更新* ⚙️
+
+您的 MiSub 应用设置已成功更新。
+
+*时间:* \`{time}\``,
+};
+
+/**
+ * 可编辑的模板类型：每种通知事件一个模板，另有访问汇总模板 (通过订阅了「订阅被访问」的渠道发送)
+ * @type {{key: string, label: string}[]}
+ */
+export const NOTIFICATION_TEMPLATE_TYPES = [
+    ...NOTIFICATION_EVENTS,
+    { key: 'accessDigest', label: '访问汇总' },
+];
+
+// 所有事件都可使用的占位符
+const COMMON_VARIABLES = [
+    { key: 'time', description: '发送时间' },
+    { key: 'timeZone', description: '时区' },
+];
+
+const SUB_VARIABLES = [
+    { key: 'sub.name', description: '订阅名称' },
+    { key: 'sub.url', description: '订阅地址' },
+];
+
+/** 每种事件可用的占位符，供设置界面提示 */
+export const TEMPLATE_VARIABLES = {
+    expiry: [...SUB_VARIABLES, { key: 'daysRemaining', description: '剩余天数 (已过期为负数)' }, { key: 'status', description: '状态描述 (随语言区域)' }, { key: 'expireDate', description: '到期日期' }],
+    traffic: [...SUB_VARIABLES, { key: 'usagePercent', description: '已用百分比' }, { key: 'used', description: '已用流量' }, { key: 'total', description: '总流量' }, { key: 'remaining', description: '剩余流量' }],
+    depletion: [...SUB_VARIABLES, { key: 'daysLeft', description: '预计剩余天数' }, { key: 'remaining', description: '剩余流量' }, { key: 'dailyUsage', description: '日均用量' }, { key: 'depletionDate', description: '预计耗尽日期' }, { key: 'expireDate', description: '到期日期 (可能为空)' }],
+    nodes: [...SUB_VARIABLES, { key: 'status', description: '变化描述 (随语言区域)' }, { key: 'previousCount', description: '原节点数' }, { key: 'currentCount', description: '现节点数' }, { key: 'added', description: '新增节点列表 (含标题，可能为空)' }, { key: 'removed', description: '移除节点列表 (含标题，可能为空)' }],
+    access: [{ key: 'clientIp', description: '客户端 IP' }, { key: 'country', description: '国家' }, { key: 'city', description: '城市' }, { key: 'isp', description: 'ISP' }, { key: 'asn', description: 'ASN' }, { key: 'domain', description: '访问域名' }, { key: 'userAgent', description: '客户端 UA' }, { key: 'format', description: '请求格式' }, { key: 'profile', description: '订阅组名称 (可能为空)' }, { key: 'profileExpire', description: '订阅组到期时间 (可能为空)' }],
+    accessDigest: [{ key: 'count', description: '访问次数' }, { key: 'ipCount', description: '独立 IP 数' }, { key: 'since', description: '统计开始时间' }, { key: 'until', description: '统计结束时间' }, { key: 'profiles', description: '访问最多的订阅组列表' }, { key: 'ips', description: '访问最多的 IP 列表' }, { key: 'clients', description: '访问最多的客户端列表' }],
+    settings: [],
+};
+Object.keys(TEMPLATE_VARIABLES).forEach(event => TEMPLATE_VARIABLES[event].push(...COMMON_VARIABLES));
+
+/** 预览用的示例数据 */
+export const TEMPLATE_SAMPLE_CONTEXTS = {
+    expiry: { sub: { name: '示例机场', url: 'https://example.com/sub' }, daysRemaining: 3, status: '仅剩 3 天到期', expireDate: '2025/1/31' },
+    traffic: { sub: { name: '示例机场', url: 'https://example.com/sub' }, usagePercent: 92, used: '184 GB', total: '200 GB', remaining: '16 GB' },
+    depletion: { sub: { name: '示例机场', url: 'https://example.com/sub' }, daysLeft: 4, remaining: '40 GB', dailyUsage: '10 GB', depletionDate: '2025/1/20', expireDate: '2025/1/31' },
+    nodes: { sub: { name: '示例机场', url: 'https://example.com/sub' }, status: '节点数骤降 20 → 8', previousCount: 20, currentCount: 8, added: '', removed: '*移除 2 个:*\n  • `香港 01`\n  • `日本 02`' },
+    access: { clientIp: '203.0.113.1', country: '中国', city: '上海', isp: 'Example ISP', asn: 'AS64500', domain: 'misub.example.com', userAgent: 'clash-meta/1.17.0', format: 'clash', profile: '我的订阅组', profileExpire: '' },
+    accessDigest: { count: 26, ipCount: 3, since: '2025/1/20 09:00:00', until: '2025/1/20 10:00:00', profiles: '  • `我的订阅组` × 24\n  • `全部订阅` × 2', ips: '  • `203.0.113.1` × 20\n  • `203.0.113.2` × 5\n  • `198.51.100.7` × 1', clients: '  • `clash-meta/1.17.0` × 24\n  • `sing-box 1.8.0` × 2' },
+    settings: {},
+};
+
+const PLACEHOLDER_REGEX = /\{([a-zA-Z_][\w.]*)\}/g;
+
+const lookup = (context, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+
+/**
+ * 渲染模板
+ * 未知的占位符原样保留；占位符全部为空的行会被省略
+ * @param {string} template
+ * @param {Object} context
+ * @returns {string}
+ */
+export function renderTemplate(template, context) {
+    const lines = String(template || '').split('\n').flatMap(line => {
+        let hasPlaceholder = false;
+        let hasValue = false;
+        const rendered = line.replace(PLACEHOLDER_REGEX, (match, path) => {
+            const value = lookup(context, path);
+            if (value === undefined) return match;
+            hasPlaceholder = true;
+            if (value !== null && value !== '') hasValue = true;
+            return value === null ? '' : String(value);
+        });
+        return hasPlaceholder && !hasValue ? [] : [rendered];
+    });
+    // 省略空行后可能留下连续空行，合并为一个
+    return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * 获取事件使用的模板，未自定义时使用默认模板
+ * @param {Object} settings
+ * @param {string} event
+ * @returns {string}
+ */
+export function getNotificationTemplate(settings, event) {
+    const custom = settings?.notificationTemplates?.[event];
+    return typeof custom === 'string' && custom.trim() !== '' ? custom : (DEFAULT_NOTIFICATION_TEMPLATES[event] || '');
+}
+
+/**
+ * 替换到模板中的状态描述等文字，按通知的语言区域选择；没有对应翻译的语言使用英文
+ * 模板本身由用户编辑，这里只负责代码生成的文字
+ */
+const NOTIFICATION_PHRASES = {
+    'zh-CN': {
+        unnamed: '未命名',
+        expired: '已过期',
+        expiresIn: (days) => `仅剩 ${days} 天到期`,
+        nodesEmpty: '节点归零',
+        nodesEmptyHtml: '节点归零 (上游返回了 HTML 页面)',
+        nodesDrop: (from, to) => `节点数骤降 ${from} → ${to}`,
+        nodesChanged: (from, to) => `节点大面积变化 ${from} → ${to}`,
+        nodesAdded: (count) => `新增 ${count} 个`,
+        nodesRemoved: (count) => `移除 ${count} 个`,
+        nodesMore: (count) => `… 等共 ${count} 个`
+    },
+    'zh-TW': {
+        unnamed: '未命名',
+        expired: '已過期',
+        expiresIn: (days) => `僅剩 ${days} 天到期`,
+        nodesEmpty: '節點歸零',
+        nodesEmptyHtml: '節點歸零 (上游返回了 HTML 頁面)',
+        nodesDrop: (from, to) => `節點數驟降 ${from} → ${to}`,
+        nodesChanged: (from, to) => `節點大面積變化 ${from} → ${to}`,
+        nodesAdded: (count) => `新增 ${count} 個`,
+        nodesRemoved: (count) => `移除 ${count} 個`,
+        nodesMore: (count) => `… 等共 ${count} 個`
+    },
+    en: {
+        unnamed: 'Unnamed',
+        expired: 'Expired',
+        expiresIn: (days) => `Expires in ${days} day${days === 1 ? '' : 's'}`,
+        nodesEmpty: 'No nodes left',
+        nodesEmptyHtml: 'No nodes left (upstream returned an HTML page)',
+        nodesDrop: (from, to) => `Node count dropped ${from} → ${to}`,
+        nodesChanged: (from, to) => `Most nodes changed ${from} → ${to}`,
+        nodesAdded: (count) => `${count} added`,
+        nodesRemoved: (count) => `${count} removed`,
+        nodesMore: (count) => `… ${count} in total`
+    }
+};
+
+/**
+ * 获取语言区域对应的通知文字
+ * @param {string} locale
+ * @returns {Object}
+ */
+export function getNotificationPhrases(locale) {
+    if (/^zh-(TW|HK|MO|Hant)/i.test(locale)) return NOTIFICATION_PHRASES['zh-TW'];
+    if (/^zh/i.test(locale)) return NOTIFICATION_PHRASES['zh-CN'];
+    return NOTIFICATION_PHRASES.en;
+}
+
+/**
+ * 判断时区是否可用
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * 按设置的语言区域与时区创建日期格式化函数，并附带该语言区域的通知文字
+ * @param {Object} settings
+ * @returns {{locale: string, timeZone: string, formatDate: (value: number|Date) => string, formatDateTime: (value: number|Date) => string, phrases: Object}}
+ */
+export function getNotificationFormatter(settings) {
+    const locale = settings?.notificationLocale || DEFAULT_NOTIFICATION_LOCALE;
+    const timeZone = isValidTimeZone(settings?.notificationTimeZone) ? settings.notificationTimeZone : DEFAULT_NOTIFICATION_TIMEZONE;
+    return {
+        locale,
+        timeZone,
+        formatDate: (value) => new Date(value).toLocaleDateString(locale, { timeZone }),
+        formatDateTime: (value) => new Date(value).toLocaleString(locale, { timeZone }),
+        phrases: getNotificationPhrases(locale)
+    };
+}
+
+/**
+ * 渲染事件通知：在事件数据之外补充发送时间与时区
+ * @param {Object} settings - 全局设置 (模板、语言区域与时区)
+ * @param {string} event - 模板类型，见 NOTIFICATION_TEMPLATE_TYPES
+ * @param {Object} data - 事件数据
+ * @param {number} [now]
+ * @returns {string}
+ */
+export function renderNotification(settings, event, data, now = Date.now()) {
+    const { timeZone, formatDateTime } = getNotificationFormatter(settings);
+    return renderTemplate(getNotificationTemplate(settings, event), {
+        ...data,
+        time: formatDateTime(now),
+        timeZone
+    });
+}
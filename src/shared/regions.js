@@ -0,0 +1,194 @@
+/**
+ * 国家/地区字典 (Pages Functions 与前端共用)
+ * 用于节点搜索、地区识别、旗帜与规范化命名，以及按地区排序；数组顺序即排序优先级
+ */
+
+/**
+ * @typedef {Object} Region
+ * @property {string} code - ISO 3166-1 二字码 (大写)
+ * @property {string} name - 中文名称
+ * @property {string[]} keywords - 中文/英文关键词 (含繁体、城市名)
+ * @property {string[]} [aliases] - 除二字码外可识别的大写缩写
+ */
+
+/** @type {Region[]} */
+export const REGIONS = [
+    { code: 'HK', name: '香港', keywords: ['香港', 'Hong Kong', 'HongKong'], aliases: ['HKG'] },
+    { code: 'TW', name: '台湾', keywords: ['台湾', '臺灣', '台灣', '台北', 'Taiwan', 'Taipei'], aliases: ['TWN'] },
+    { code: 'SG', name: '新加坡', keywords: ['新加坡', '狮城', '獅城', 'Singapore'], aliases: ['SGP'] },
+    { code: 'JP', name: '日本', keywords: ['日本', '东京', '東京', '大阪', 'Japan', 'Tokyo', 'Osaka'], aliases: ['JPN'] },
+    { code: 'US', name: '美国', keywords: ['美国', '美國', '洛杉矶', '洛杉磯', '硅谷', '圣何塞', '西雅图', 'United States', 'America', 'Los Angeles', 'San Jose', 'Seattle'], aliases: ['USA'] },
+    { code: 'KR', name: '韩国', keywords: ['韩国', '韓國', '首尔', '首爾', 'Korea', 'Seoul'], aliases: ['KOR'] },
+    { code: 'GB', name: '英国', keywords: ['英国', '英國', '伦敦', '倫敦', 'United Kingdom', 'Britain', 'London'], aliases: ['UK'] },
+    { code: 'DE', name: '德国', keywords: ['德国', '德國', '法兰克福', '法蘭克福', 'Germany', 'Frankfurt'] },
+    { code: 'FR', name: '法国', keywords: ['法国', '法國', '巴黎', 'France', 'Paris'] },
+    { code: 'CA', name: '加拿大', keywords: ['加拿大', 'Canada', 'Toronto'] },
+    { code: 'AU', name: '澳大利亚', keywords: ['澳大利亚', '澳大利亞', '澳洲', '悉尼', 'Australia', 'Sydney'] },
+    { code: 'MO', name: '澳门', keywords: ['澳门', '澳門', 'Macau', 'Macao'] },
+    { code: 'CN', name: '中国', keywords: ['中国', '中國', '大陆', '大陸', '内地', '內地', 'China'] },
+    { code: 'MY', name: '马来西亚', keywords: ['马来西亚', '馬來西亞', 'Malaysia'] },
+    { code: 'TH', name: '泰国', keywords: ['泰国', '泰國', 'Thailand'] },
+    { code: 'VN', name: '越南', keywords: ['越南', 'Vietnam'] },
+    { code: 'PH', name: '菲律宾', keywords: ['菲律宾', '菲律賓', 'Philippines'] },
+    // 印度尼西亚需排在印度之前，避免被「印度」提前匹配
+    { code: 'ID', name: '印度尼西亚', keywords: ['印度尼西亚', '印度尼西亞', '印尼', 'Indonesia'] },
+    { code: 'IN', name: '印度', keywords: ['印度', 'India'] },
+    { code: 'PK', name: '巴基斯坦', keywords: ['巴基斯坦', 'Pakistan'] },
+    { code: 'BD', name: '孟加拉国', keywords: ['孟加拉国', '孟加拉國', 'Bangladesh'] },
+    { code: 'AE', name: '阿联酋', keywords: ['阿联酋', '阿聯酋', '迪拜', 'Dubai', 'United Arab Emirates'] },
+    { code: 'SA', name: '沙特阿拉伯', keywords: ['沙特阿拉伯', '沙特', 'Saudi'] },
+    { code: 'TR', name: '土耳其', keywords: ['土耳其', 'Turkey', 'Türkiye'] },
+    { code: 'RU', name: '俄罗斯', keywords: ['俄罗斯', '俄羅斯', 'Russia', 'Moscow'] },
+    { code: 'BR', name: '巴西', keywords: ['巴西', 'Brazil'] },
+    { code: 'MX', name: '墨西哥', keywords: ['墨西哥', 'Mexico'] },
+    { code: 'AR', name: '阿根廷', keywords: ['阿根廷', 'Argentina'] },
+    { code: 'CL', name: '智利', keywords: ['智利', 'Chile'] },
+    { code: 'ZA', name: '南非', keywords: ['南非', 'South Africa'] },
+    { code: 'EG', name: '埃及', keywords: ['埃及', 'Egypt'] },
+    { code: 'NG', name: '尼日利亚', keywords: ['尼日利亚', '尼日利亞', 'Nigeria'] },
+    { code: 'KE', name: '肯尼亚', keywords: ['肯尼亚', '肯尼亞', 'Kenya'] },
+    { code: 'IL', name: '以色列', keywords: ['以色列', 'Israel'] },
+    { code: 'IR', name: '伊朗', keywords: ['伊朗', 'Iran'] },
+    { code: 'IQ', name: '伊拉克', keywords: ['伊拉克', 'Iraq'] },
+    { code: 'UA', name: '乌克兰', keywords: ['乌克兰', '烏克蘭', 'Ukraine'] },
+    { code: 'PL', name: '波兰', keywords: ['波兰', '波蘭', 'Poland'] },
+    { code: 'CZ', name: '捷克', keywords: ['捷克', 'Czech'] },
+    { code: 'HU', name: '匈牙利', keywords: ['匈牙利', 'Hungary'] },
+    { code: 'RO', name: '罗马尼亚', keywords: ['罗马尼亚', '羅馬尼亞', 'Romania'] },
+    { code: 'GR', name: '希腊', keywords: ['希腊', '希臘', 'Greece'] },
+    { code: 'PT', name: '葡萄牙', keywords: ['葡萄牙', 'Portugal'] },
+    { code: 'ES', name: '西班牙', keywords: ['西班牙', 'Spain'] },
+    { code: 'IT', name: '意大利', keywords: ['意大利', 'Italy'] },
+    { code: 'NL', name: '荷兰', keywords: ['荷兰', '荷蘭', 'Netherlands', 'Amsterdam'] },
+    { code: 'BE', name: '比利时', keywords: ['比利时', '比利時', 'Belgium'] },
+    { code: 'SE', name: '瑞典', keywords: ['瑞典', 'Sweden'] },
+    { code: 'NO', name: '挪威', keywords: ['挪威', 'Norway'] },
+    { code: 'DK', name: '丹麦', keywords: ['丹麦', '丹麥', 'Denmark'] },
+    { code: 'FI', name: '芬兰', keywords: ['芬兰', '芬蘭', 'Finland'] },
+    { code: 'CH', name: '瑞士', keywords: ['瑞士', 'Switzerland'] },
+    { code: 'AT', name: '奥地利', keywords: ['奥地利', '奧地利', 'Austria'] },
+    { code: 'IE', name: '爱尔兰', keywords: ['爱尔兰', '愛爾蘭', 'Ireland'] },
+    { code: 'NZ', name: '新西兰', keywords: ['新西兰', '紐西蘭', 'New Zealand'] },
+];
+
+const REGION_BY_CODE = new Map(REGIONS.map(region => [region.code, region]));
+const REGION_INDEX = new Map(REGIONS.map((region, index) => [region.code, index]));
+
+// 两个连续的区域指示符即为旗帜 emoji
+const FLAG_REGEX = /[\u{1F1E6}-\u{1F1FF}]{2}/u;
+
+const escapeRegex = (str) => str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 英文关键词与大写代码要求前后不是字母，避免误匹配单词片段
+const REGION_MATCHERS = REGIONS.map(region => {
+    const cjkKeywords = region.keywords.filter(k => !/^[\x20-\x7e]+$/.test(k));
+    const latinKeywords = region.keywords.filter(k => /^[\x20-\x7e]+$/.test(k));
+    const codes = [region.code, ...(region.aliases || [])];
+    return {
+        region,
+        keywordRegex: new RegExp([
+            ...cjkKeywords.map(escapeRegex),
+            ...latinKeywords.map(k => `(?<![A-Za-z])${escapeRegex(k)}(?![A-Za-z])`)
+        ].join('|'), 'i'),
+        codeRegex: new RegExp(`(?<![A-Za-z])(?:${codes.join('|')})(?![A-Za-z])`)
+    };
+});
+
+/**
+ * 由二字码生成旗帜 emoji
+ * @param {string} code - 如 'HK'
+ * @returns {string} - 如 '🇭🇰'
+ */
+export function getRegionFlag(code) {
+    if (!/^[A-Za-z]{2}$/.test(code || '')) return '';
+    return String.fromCodePoint(...code.toUpperCase().split('').map(c => 0x1F1E6 + c.charCodeAt(0) - 65));
+}
+
+/**
+ * 识别节点名称所属的国家/地区
+ * 依次尝试旗帜 emoji、中英文关键词与大写代码 (如 HK、USA)
+ * @param {string} name - 节点名称
+ * @returns {Region|null}
+ */
+export function detectRegion(name) {
+    if (!name) return null;
+
+    const flag = name.match(FLAG_REGEX);
+    if (flag) {
+        const code = Array.from(flag[0]).map(c => String.fromCharCode(c.codePointAt(0) - 0x1F1E6 + 65)).join('');
+        if (REGION_BY_CODE.has(code)) return REGION_BY_CODE.get(code);
+    }
+
+    for (const { region, keywordRegex } of REGION_MATCHERS) {
+        if (keywordRegex.test(name)) return region;
+    }
+    for (const { region, codeRegex } of REGION_MATCHERS) {
+        if (codeRegex.test(name)) return region;
+    }
+    return null;
+}
+
+/**
+ * 获取节点名称的地区排序序号，无法识别时排在最后
+ * @param {string} name - 节点名称
+ * @returns {number}
+ */
+export function getRegionOrder(name) {
+    const region = detectRegion(name);
+    return region ? REGION_INDEX.get(region.code) : Infinity;
+}
+
+/**
+ * 按地区顺序比较两个节点名称，同地区按名称排序
+ * @param {string} nameA
+ * @param {string} nameB
+ * @returns {number}
+ */
+export function compareByRegion(nameA, nameB) {
+    const orderA = getRegionOrder(nameA);
+    const orderB = getRegionOrder(nameB);
+    if (orderA !== orderB) return orderA - orderB;
+    return (nameA || '').localeCompare(nameB || '', 'zh-CN');
+}
+
+/**
+ * 获取搜索词对应的地区别名，用于「输入 hk 可搜到 香港 节点」
+ * @param {string} query - 搜索词
+ * @returns {string[]} - 小写的候选词，不是地区代码时返回空数组
+ */
+export function getRegionSearchTerms(query) {
+    const region = REGION_BY_CODE.get((query || '').trim().toUpperCase());
+    if (!region) return [];
+    return [getRegionFlag(region.code), region.code, ...(region.aliases || []), ...region.keywords]
+        .map(term => term.toLowerCase());
+}
+
+/**
+ * 按订阅组的地区设置处理节点名称
+ * - addFlag: 在名称前添加旗帜 (名称中已有旗帜时跳过)
+ * - normalizeNames: 重写为「🇭🇰 HK 01」形式，同地区按出现顺序编号
+ * 无法识别地区的节点保持原名
+ * @param {string[]} names - 节点名称 (已按输出顺序排列)
+ * @param {{addFlag?: boolean, normalizeNames?: boolean}} options
+ * @returns {string[]}
+ */
+export function formatRegionNames(names, { addFlag = false, normalizeNames = false } = {}) {
+    const regions = names.map(detectRegion);
+    const totals = new Map();
+    regions.forEach(region => region && totals.set(region.code, (totals.get(region.code) || 0) + 1));
+
+    const counters = new Map();
+    return names.map((name, index) => {
+        const region = regions[index];
+        if (!region) return name;
+        const flag = getRegionFlag(region.code);
+        if (normalizeNames) {
+            const number = (counters.get(region.code) || 0) + 1;
+            counters.set(region.code, number);
+            const width = Math.max(2, String(totals.get(region.code)).length);
+            const canonical = `${region.code} ${String(number).padStart(width, '0')}`;
+            return addFlag ? `${flag} ${canonical}` : canonical;
+        }
+        return addFlag && !FLAG_REGEX.test(name) ? `${flag} ${name}` : name;
+    });
+}
@@ -0,0 +1,67 @@
+/**
+ * 节点重命名规则 (Pages Functions 与前端共用)
+ * 规则为有序列表 [{ pattern, replacement }]，按顺序对节点名称执行正则替换，replacement 支持 $1 等捕获组引用
+ */
+import { getNodeName, setNodeName } from './node-parser.js';
+
+/**
+ * 校验单条规则的正则表达式
+ * @param {string} pattern
+ * @returns {string} - 错误信息，合法时返回空字符串
+ */
+export function validateRenamePattern(pattern) {
+    if (!pattern) return '正则表达式不能为空';
+    try {
+        new RegExp(pattern, 'g');
+        return '';
+    } catch (e) {
+        return e.message;
+    }
+}
+
+/**
+ * 预编译规则列表，跳过空规则与无效的正则表达式
+ * @param {{pattern: string, replacement?: string}[]} rules
+ * @returns {{regex: RegExp, replacement: string}[]}
+ */
+export function compileRenameRules(rules) {
+    if (!Array.isArray(rules)) return [];
+    const compiled = [];
+    rules.forEach(rule => {
+        if (!rule || !rule.pattern) return;
+        try {
+            compiled.push({ regex: new RegExp(rule.pattern, 'g'), replacement: rule.replacement ?? '' });
+        } catch (e) {
+            console.warn(`[Rename] 忽略无效的重命名规则: ${rule.pattern}`, e.message);
+        }
+    });
+    return compiled;
+}
+
+/**
+ * 按顺序对名称执行重命名规则
+ * @param {string} name - 原始名称
+ * @param {{regex: RegExp, replacement: string}[]} compiledRules - compileRenameRules 的结果
+ * @returns {string} - 新名称；若替换后为空则保留原名称
+ */
+export function applyRenameRules(name, compiledRules) {
+    if (!compiledRules || compiledRules.length === 0) return name;
+    const renamed = compiledRules
+        .reduce((current, { regex, replacement }) => current.replace(regex, replacement), name)
+        .replace(/\s+/g, ' ')
+        .trim();
+    return renamed || name;
+}
+
+/**
+ * 对节点链接执行重命名规则
+ * @param {string} link - 节点链接
+ * @param {{regex: RegExp, replacement: string}[]} compiledRules - compileRenameRules 的结果
+ * @returns {string} - 重命名后的链接，名称未变化时原样返回
+ */
+export function renameNodeLink(link, compiledRules) {
+    if (!compiledRules || compiledRules.length === 0) return link;
+    const originalName = getNodeName(link);
+    const newName = applyRenameRules(originalName, compiledRules);
+    return newName === originalName ? link : setNodeName(link, newName);
+}
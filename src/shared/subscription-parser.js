@@ -0,0 +1,415 @@
+/**
+ * 订阅内容解析模块 (Pages Functions 与前端共用)
+ * 将上游返回的订阅内容 (Base64 / 明文链接 / Clash YAML / sing-box JSON) 统一转换为节点链接列表，
+ * 无法转换的代理会连同原因一并返回，供订阅状态展示。
+ */
+import yaml from 'js-yaml';
+import { NODE_LINK_REGEX, decodeBase64Utf8, serializeNode } from './node-parser.js';
+
+// sing-box 中不代表具体节点的出站类型，解析时直接忽略
+const SINGBOX_NON_PROXY_TYPES = ['direct', 'block', 'dns', 'selector', 'urltest'];
+
+function baseNode(type, name, server, port) {
+    return {
+        type,
+        name: name || `${server}:${port}`,
+        server: String(server || ''),
+        port: Number(port),
+        network: 'tcp',
+        headerType: '',
+        host: '',
+        path: '',
+        serviceName: '',
+        tls: false,
+        sni: '',
+        alpn: [],
+        fingerprint: '',
+        skipCertVerify: false,
+        extra: {}
+    };
+}
+
+function toList(value) {
+    if (!value) return [];
+    return Array.isArray(value) ? value.map(String) : String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+function firstOf(value) {
+    return Array.isArray(value) ? (value[0] || '') : (value || '');
+}
+
+// --- Clash ---
+
+function readClashTls(proxy, node, sniKey = 'servername') {
+    node.sni = proxy[sniKey] || proxy.sni || proxy.servername || '';
+    node.alpn = toList(proxy.alpn);
+    node.fingerprint = proxy['client-fingerprint'] || '';
+    node.skipCertVerify = proxy['skip-cert-verify'] === true;
+    if (proxy['reality-opts']) {
+        node.tls = true;
+        node.reality = {
+            publicKey: proxy['reality-opts']['public-key'] || '',
+            shortId: proxy['reality-opts']['short-id'] || ''
+        };
+    }
+}
+
+function readClashTransport(proxy, node) {
+    const network = proxy.network || 'tcp';
+    switch (network) {
+        case 'tcp':
+            break;
+        case 'ws': {
+            const opts = proxy['ws-opts'] || {};
+            node.network = opts['v2ray-http-upgrade'] ? 'httpupgrade' : 'ws';
+            node.path = opts.path || '/';
+            node.host = opts.headers?.Host || opts.headers?.host || '';
+            break;
+        }
+        case 'grpc':
+            node.network = 'grpc';
+            node.serviceName = proxy['grpc-opts']?.['grpc-service-name'] || '';
+            break;
+        case 'h2': {
+            const opts = proxy['h2-opts'] || {};
+            node.network = 'h2';
+            node.path = opts.path || '/';
+            node.host = toList(opts.host).join(',');
+            break;
+        }
+        case 'http': {
+            // Clash 的 http 网络即 tcp + http 伪装
+            const opts = proxy['http-opts'] || {};
+            node.headerType = 'http';
+            node.path = firstOf(opts.path) || '/';
+            node.host = toList(opts.headers?.Host || opts.headers?.host).join(',');
+            break;
+        }
+        default:
+            throw new Error(`不支持的传输协议: ${network}`);
+    }
+}
+
+/**
+ * 将 Clash 代理定义转换为结构化节点 (nodeToClashProxy 的逆操作)
+ * @param {Object} proxy - Clash proxies 中的单个条目
+ * @returns {Object} - 与 parseNodeLink 输出相同结构的节点对象
+ * @throws {Error} - 代理类型或参数无法转换时抛出
+ */
+export function clashProxyToNode(proxy) {
+    if (!proxy || typeof proxy !== 'object') throw new Error('代理定义无效');
+    const type = String(proxy.type || '').toLowerCase();
+    const node = baseNode(type, proxy.name, proxy.server, proxy.port);
+
+    switch (type) {
+        case 'ss': {
+            Object.assign(node, { cipher: proxy.cipher, password: String(proxy.password ?? ''), plugin: '', pluginOpts: {} });
+            const opts = proxy['plugin-opts'] || {};
+            if (proxy.plugin === 'obfs') {
+                node.plugin = 'obfs-local';
+                node.pluginOpts = { obfs: opts.mode || 'http' };
+                if (opts.host) node.pluginOpts['obfs-host'] = opts.host;
+            } else if (proxy.plugin === 'v2ray-plugin') {
+                node.plugin = 'v2ray-plugin';
+                node.pluginOpts = { mode: opts.mode || 'websocket' };
+                if (opts.tls) node.pluginOpts.tls = true;
+                if (opts.host) node.pluginOpts.host = opts.host;
+                if (opts.path) node.pluginOpts.path = opts.path;
+            } else if (proxy.plugin) {
+                throw new Error(`不支持的 SS 插件: ${proxy.plugin}`);
+            }
+            break;
+        }
+        case 'ssr':
+            Object.assign(node, {
+                cipher: proxy.cipher,
+                password: String(proxy.password ?? ''),
+                protocol: proxy.protocol || 'origin',
+                protocolParam: proxy['protocol-param'] || '',
+                obfs: proxy.obfs || 'plain',
+                obfsParam: proxy['obfs-param'] || ''
+            });
+            break;
+        case 'vmess':
+            Object.assign(node, {
+                uuid: proxy.uuid,
+                alterId: Number(proxy.alterId || 0),
+                cipher: proxy.cipher || 'auto',
+                tls: proxy.tls === true
+            });
+            readClashTls(proxy, node);
+            readClashTransport(proxy, node);
+            break;
+        case 'vless':
+            Object.assign(node, { uuid: proxy.uuid, flow: proxy.flow || '', tls: proxy.tls === true, reality: null });
+            readClashTls(proxy, node);
+            readClashTransport(proxy, node);
+            break;
+        case 'trojan':
+            Object.assign(node, { password: String(proxy.password ?? ''), tls: true, reality: null });
+            readClashTls(proxy, node, 'sni');
+            readClashTransport(proxy, node);
+            break;
+        case 'hysteria':
+            Object.assign(node, {
+                auth: proxy['auth-str'] || proxy.auth || '',
+                protocol: proxy.protocol || '',
+                up: String(proxy.up || '').match(/\d+/)?.[0] || '',
+                down: String(proxy.down || '').match(/\d+/)?.[0] || '',
+                obfs: '',
+                obfsPassword: proxy.obfs || ''
+            });
+            readClashTls(proxy, node, 'sni');
+            break;
+        case 'hysteria2':
+            Object.assign(node, {
+                password: String(proxy.password ?? ''),
+                ports: proxy.ports ? String(proxy.ports) : '',
+                obfs: proxy.obfs || '',
+                obfsPassword: proxy['obfs-password'] || ''
+            });
+            readClashTls(proxy, node, 'sni');
+            break;
+        case 'tuic':
+            if (!proxy.uuid) throw new Error('不支持 TUIC v4 (token) 节点');
+            Object.assign(node, {
+                uuid: proxy.uuid,
+                password: String(proxy.password ?? ''),
+                congestionControl: proxy['congestion-controller'] || 'bbr',
+                udpRelayMode: proxy['udp-relay-mode'] || 'native'
+            });
+            readClashTls(proxy, node, 'sni');
+            break;
+        case 'anytls':
+            node.password = String(proxy.password ?? '');
+            readClashTls(proxy, node, 'sni');
+            break;
+        case 'socks5':
+            if (proxy.tls) throw new Error('不支持 SOCKS5 over TLS');
+            node.username = proxy.username ? String(proxy.username) : '';
+            node.password = proxy.password ? String(proxy.password) : '';
+            break;
+        default:
+            throw new Error(`不支持的代理类型: ${proxy.type}`);
+    }
+    return node;
+}
+
+// --- sing-box ---
+
+function readSingboxTls(outbound, node, { force = false } = {}) {
+    const tls = outbound.tls || {};
+    node.tls = force || tls.enabled === true;
+    node.sni = tls.server_name || '';
+    node.alpn = toList(tls.alpn);
+    node.fingerprint = tls.utls?.enabled ? (tls.utls.fingerprint || '') : '';
+    node.skipCertVerify = tls.insecure === true;
+    if (tls.reality?.enabled) {
+        node.reality = { publicKey: tls.reality.public_key || '', shortId: tls.reality.short_id || '' };
+    }
+}
+
+function readSingboxTransport(outbound, node) {
+    const transport = outbound.transport;
+    if (!transport) return;
+    switch (transport.type) {
+        case 'ws':
+            node.network = 'ws';
+            node.path = transport.path || '/';
+            node.host = transport.headers?.Host || transport.headers?.host || '';
+            break;
+        case 'grpc':
+            node.network = 'grpc';
+            node.serviceName = transport.service_name || '';
+            break;
+        case 'http':
+            node.network = 'h2';
+            node.path = transport.path || '/';
+            node.host = toList(transport.host).join(',');
+            break;
+        case 'httpupgrade':
+            node.network = 'httpupgrade';
+            node.path = transport.path || '/';
+            node.host = transport.host || '';
+            break;
+        default:
+            throw new Error(`不支持的传输协议: ${transport.type}`);
+    }
+}
+
+function parsePluginOpts(str) {
+    const opts = {};
+    (str || '').split(';').filter(Boolean).forEach(opt => {
+        const eqIndex = opt.indexOf('=');
+        if (eqIndex === -1) {
+            opts[opt] = true;
+        } else {
+            opts[opt.substring(0, eqIndex)] = opt.substring(eqIndex + 1);
+        }
+    });
+    return opts;
+}
+
+/**
+ * 将 sing-box 出站转换为结构化节点 (nodeToSingboxOutbound 的逆操作)
+ * @param {Object} outbound - sing-box outbounds 中的单个条目
+ * @returns {Object} - 与 parseNodeLink 输出相同结构的节点对象
+ * @throws {Error} - 出站类型或参数无法转换时抛出
+ */
+export function singboxOutboundToNode(outbound) {
+    if (!outbound || typeof outbound !== 'object') throw new Error('出站定义无效');
+    const type = outbound.type;
+    const node = baseNode(type, outbound.tag, outbound.server, outbound.server_port);
+
+    switch (type) {
+        case 'shadowsocks': {
+            node.type = 'ss';
+            Object.assign(node, { cipher: outbound.method, password: outbound.password || '', plugin: '', pluginOpts: {} });
+            if (outbound.plugin) {
+                if (outbound.plugin !== 'obfs-local' && outbound.plugin !== 'v2ray-plugin') {
+                    throw new Error(`不支持的 SS 插件: ${outbound.plugin}`);
+                }
+                node.plugin = outbound.plugin;
+                node.pluginOpts = parsePluginOpts(outbound.plugin_opts);
+            }
+            break;
+        }
+        case 'vmess':
+            Object.assign(node, { uuid: outbound.uuid, alterId: Number(outbound.alter_id || 0), cipher: outbound.security || 'auto' });
+            readSingboxTls(outbound, node);
+            readSingboxTransport(outbound, node);
+            break;
+        case 'vless':
+            Object.assign(node, { uuid: outbound.uuid, flow: outbound.flow || '', reality: null });
+            readSingboxTls(outbound, node);
+            readSingboxTransport(outbound, node);
+            break;
+        case 'trojan':
+            Object.assign(node, { password: outbound.password || '', reality: null });
+            readSingboxTls(outbound, node);
+            readSingboxTransport(outbound, node);
+            break;
+        case 'hysteria':
+            Object.assign(node, {
+                auth: outbound.auth_str || '',
+                protocol: '',
+                up: outbound.up_mbps ? String(outbound.up_mbps) : '',
+                down: outbound.down_mbps ? String(outbound.down_mbps) : '',
+                obfs: '',
+                obfsPassword: outbound.obfs || ''
+            });
+            readSingboxTls(outbound, node, { force: true });
+            break;
+        case 'hysteria2':
+            Object.assign(node, {
+                password: outbound.password || '',
+                ports: '',
+                obfs: outbound.obfs?.type || '',
+                obfsPassword: outbound.obfs?.password || ''
+            });
+            readSingboxTls(outbound, node, { force: true });
+            break;
+        case 'tuic':
+            Object.assign(node, {
+                uuid: outbound.uuid,
+                password: outbound.password || '',
+                congestionControl: outbound.congestion_control || 'bbr',
+                udpRelayMode: outbound.udp_relay_mode || 'native'
+            });
+            readSingboxTls(outbound, node, { force: true });
+            break;
+        case 'anytls':
+            node.password = outbound.password || '';
+            readSingboxTls(outbound, node, { force: true });
+            break;
+        case 'socks':
+            if (outbound.version && outbound.version !== '5') throw new Error(`不支持的 SOCKS 版本: ${outbound.version}`);
+            node.type = 'socks5';
+            node.username = outbound.username || '';
+            node.password = outbound.password || '';
+            break;
+        default:
+            throw new Error(`不支持的出站类型: ${type}`);
+    }
+    return node;
+}
+
+// --- 订阅内容 ---
+
+/**
+ * 尝试将整段内容作为 Base64 解码
+ * @returns {string|null} - 解码结果，不是 Base64 时返回 null
+ */
+function tryDecodeBase64(text) {
+    const cleaned = text.replace(/\s/g, '');
+    if (cleaned.length <= 20 || !/^[A-Za-z0-9+/=_-]+$/.test(cleaned)) return null;
+    try {
+        return decodeBase64Utf8(cleaned);
+    } catch (e) {
+        return null;
+    }
+}
+
+function convertEntries(entries, converter, label) {
+    const links = [];
+    const errors = [];
+    entries.forEach((entry, index) => {
+        const name = entry?.name || entry?.tag || `${label} #${index + 1}`;
+        try {
+            const node = converter(entry);
+            if (!node.server || !Number.isInteger(node.port) || node.port <= 0 || node.port > 65535) {
+                throw new Error('节点地址或端口无效');
+            }
+            links.push(serializeNode(node));
+        } catch (e) {
+            errors.push({ name, error: e.message });
+        }
+    });
+    return { links, errors };
+}
+
+function tryParseClash(text) {
+    if (!/^\s*proxies\s*:/m.test(text)) return null;
+    try {
+        const config = yaml.load(text);
+        if (config && Array.isArray(config.proxies)) return config.proxies;
+    } catch (e) { /* 不是合法的 YAML */ }
+    return null;
+}
+
+function tryParseSingbox(text) {
+    if (!text.trimStart().startsWith('{')) return null;
+    try {
+        const config = JSON.parse(text);
+        if (config && Array.isArray(config.outbounds)) return config.outbounds;
+    } catch (e) { /* 不是合法的 JSON */ }
+    return null;
+}
+
+/**
+ * 解析上游订阅内容
+ * @param {string} text - 上游返回的原始内容
+ * @returns {{format: 'clash'|'singbox'|'base64'|'plain', links: string[], errors: {name: string, error: string}[]}}
+ *   links 为节点链接；errors 为无法转换的代理及原因 (仅 Clash / sing-box 格式会产生)
+ */
+export function parseSubscriptionContent(text) {
+    const content = text || '';
+
+    const clashProxies = tryParseClash(content);
+    if (clashProxies) {
+        return { format: 'clash', ...convertEntries(clashProxies, clashProxyToNode, 'Clash 代理') };
+    }
+
+    const singboxOutbounds = tryParseSingbox(content);
+    if (singboxOutbounds) {
+        const proxies = singboxOutbounds.filter(o => !SINGBOX_NON_PROXY_TYPES.includes(o?.type));
+        return { format: 'singbox', ...convertEntries(proxies, singboxOutboundToNode, 'sing-box 出站') };
+    }
+
+    const decoded = tryDecodeBase64(content);
+    const body = decoded ?? content;
+    const links = body.replace(/\r\n/g, '\n').split('\n')
+        .map(line => line.trim())
+        .filter(line => NODE_LINK_REGEX.test(line));
+    return { format: decoded !== null ? 'base64' : 'plain', links, errors: [] };
+}